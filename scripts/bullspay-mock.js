@@ -0,0 +1,419 @@
+import crypto from 'crypto';
+import express from 'express';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Servidor BullsPay falso, em memória, para desenvolvimento e testes sem o gateway real.
+//
+// Uso:
+//   node scripts/bullspay-mock.js            (porta BULLSPAY_MOCK_PORT, padrão 4010)
+//   BULLSPAY_API_BASE=http://localhost:4010/api npm start
+//
+// Atende as mesmas rotas que src/bullspay.js chama (transactions/*, withdrawals/*, webhooks/*),
+// exigindo X-Public-Key/X-Private-Key iguais a BULLSPAY_CLIENT_ID/BULLSPAY_API_KEY.
+// Valores trafegam em centavos, como no gateway.
+//
+// Rotas de controle (sem autenticação), para mover o estado e disparar webhooks:
+//   GET  /mock/state                               estado completo
+//   POST /mock/reset                               limpa tudo e volta ao saldo inicial
+//   POST /mock/transactions/:id/status {status, notify?}   ex.: {"status": "paid"}
+//   POST /mock/withdrawals/:id/status  {status, notify?}
+//   POST /mock/transactions/:id/webhook            reenvia o webhook com o status atual
+//   POST /mock/withdrawals/:id/webhook
+//
+// Webhooks vão para os cadastrados em /api/webhooks/create; sem nenhum cadastrado para o evento,
+// para BULLSPAY_MOCK_WEBHOOK_URL (padrão http://localhost:5000/webhook/bullspay).
+// Cada entrega leva X-Event-Id, X-Timestamp e X-Signature: HMAC-SHA256 de `${timestamp}.${eventId}.${corpo}`
+// com BULLSPAY_WEBHOOK_SECRET (ou BULLSPAY_API_KEY), o esquema conferido por src/webhooks.js.
+
+const PORT = parseInt(process.env.BULLSPAY_MOCK_PORT || '4010');
+const DEFAULT_WEBHOOK_URL = process.env.BULLSPAY_MOCK_WEBHOOK_URL || 'http://localhost:5000/webhook/bullspay';
+// Saldo inicial da conta no gateway, em centavos (padrão R$ 10.000,00)
+const INITIAL_BALANCE = parseInt(process.env.BULLSPAY_MOCK_BALANCE || '1000000');
+const WEBHOOK_TIMEOUT_MS = 5000;
+// Mesmo segredo que o app usa para conferir a assinatura (src/bullspay.js getWebhookSecret)
+const WEBHOOK_SECRET = process.env.BULLSPAY_WEBHOOK_SECRET || process.env.BULLSPAY_API_KEY;
+
+// Transições permitidas; status fora da lista de origem são finais
+const TRANSACTION_TRANSITIONS = {
+  pending: ['paid', 'failed', 'canceled', 'expired'],
+  paid: ['refunded', 'chargeback']
+};
+
+const WITHDRAWAL_TRANSITIONS = {
+  pending: ['paid', 'failed', 'canceled']
+};
+
+const PIX_KEY_TYPES = ['cpf', 'cnpj', 'email', 'phone', 'random'];
+
+const state = createState();
+
+function createState() {
+  return {
+    transactions: new Map(),
+    withdrawals: new Map(),
+    webhooks: new Map(),
+    balance: { available: INITIAL_BALANCE, blocked: 0 }
+  };
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(10).toString('hex')}`;
+}
+
+function ok(res, data, status = 200) {
+  res.status(status).json({ success: true, data });
+}
+
+function fail(res, status, message) {
+  res.status(status).json({ success: false, message });
+}
+
+function paginate(items, query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.max(parseInt(query.limit) || 10, 1);
+  let filtered = items;
+
+  if (query.id) {
+    filtered = filtered.filter(item => item.unic_id === query.id);
+  }
+  if (query.status && query.status !== 'all') {
+    filtered = filtered.filter(item => item.status === query.status);
+  }
+
+  // Mais recentes primeiro, como no gateway
+  filtered = [...filtered].sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  return {
+    items: filtered.slice((page - 1) * limit, page * limit),
+    pagination: {
+      current_page: page,
+      per_page: limit,
+      total: filtered.length,
+      total_pages: Math.max(Math.ceil(filtered.length / limit), 1)
+    }
+  };
+}
+
+// ========== SALDO ==========
+
+/**
+ * Efeito de uma mudança de status no saldo do gateway (centavos)
+ */
+function applyBalanceEffect(kind, record, newStatus) {
+  const { balance } = state;
+
+  if (kind === 'transaction') {
+    if (newStatus === 'paid') balance.available += record.total_value;
+    if (newStatus === 'refunded' || newStatus === 'chargeback') balance.available -= record.total_value;
+    return;
+  }
+
+  // Saque: o valor fica bloqueado desde o pedido até sair (pago) ou voltar (falhou/cancelado)
+  if (newStatus === 'paid') {
+    balance.blocked -= record.amount;
+  } else if (newStatus === 'failed' || newStatus === 'canceled') {
+    balance.blocked -= record.amount;
+    balance.available += record.amount;
+  }
+}
+
+/**
+ * Move um registro pela máquina de estados
+ * @returns {{changed: boolean, error?: string}}
+ */
+function transition(kind, record, newStatus) {
+  const transitions = kind === 'transaction' ? TRANSACTION_TRANSITIONS : WITHDRAWAL_TRANSITIONS;
+
+  if (record.status === newStatus) {
+    return { changed: false };
+  }
+
+  if (!(transitions[record.status] || []).includes(newStatus)) {
+    return { changed: false, error: `Transição inválida: ${record.status} -> ${newStatus}` };
+  }
+
+  applyBalanceEffect(kind, record, newStatus);
+  record.status = newStatus;
+  record.updated_at = new Date().toISOString();
+  if (newStatus === 'paid') record.paid_at = record.updated_at;
+
+  return { changed: true };
+}
+
+// ========== WEBHOOKS DE SAÍDA ==========
+
+function webhookTargets(kind) {
+  const flag = kind === 'transaction' ? 'send_transaction_event' : 'send_withdraw_event';
+  const registered = [...state.webhooks.values()].filter(webhook => webhook[flag]).map(webhook => webhook.url);
+  return registered.length > 0 ? registered : [DEFAULT_WEBHOOK_URL];
+}
+
+/**
+ * Envia o webhook com o estado atual do registro para cada destino
+ * @returns {Promise<Array<{url: string, status?: number, ok: boolean, error?: string}>>}
+ */
+async function fireWebhook(kind, record) {
+  const payload = {
+    event: kind === 'transaction' ? 'transaction.updated' : 'withdraw.updated',
+    data: { ...record }
+  };
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  // O mesmo id em todos os destinos: um reenvio manual (/mock/.../webhook) gera um evento novo
+  const eventId = newId('mock_evt');
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${eventId}.${body}`).digest('hex');
+
+  const deliveries = [];
+
+  for (const url of webhookTargets(kind)) {
+    try {
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Event-Id': eventId,
+          'X-Timestamp': timestamp,
+          'X-Signature': signature
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      deliveries.push({ url, status: resp.status, ok: resp.ok });
+    } catch (error) {
+      deliveries.push({ url, ok: false, error: error.message });
+    }
+  }
+
+  console.log(`📨 Webhook ${payload.event} ${record.unic_id} (${record.status}) ${eventId}:`, deliveries);
+  return deliveries;
+}
+
+// ========== SERVIDOR ==========
+
+const app = express();
+app.use(express.json());
+
+// Mesmas credenciais que o app usa para falar com o gateway
+function authMiddleware(req, res, next) {
+  if (req.get('X-Public-Key') !== process.env.BULLSPAY_CLIENT_ID || req.get('X-Private-Key') !== process.env.BULLSPAY_API_KEY) {
+    return fail(res, 401, 'Credenciais inválidas');
+  }
+  next();
+}
+
+const api = express.Router();
+api.use(authMiddleware);
+
+// ========== TRANSAÇÕES (DEPÓSITOS) ==========
+
+api.post('/transactions/create', (req, res) => {
+  const { amount, buyer_infos: buyer, external_id: externalId, payment_method: paymentMethod } = req.body;
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return fail(res, 422, 'amount deve ser um inteiro positivo em centavos');
+  }
+  if (!buyer?.buyer_name || !buyer?.buyer_document) {
+    return fail(res, 422, 'buyer_infos incompleto');
+  }
+  if (paymentMethod !== 'pix') {
+    return fail(res, 422, 'payment_method não suportado');
+  }
+
+  const now = new Date().toISOString();
+  const transaction = {
+    unic_id: newId('mock_tx'),
+    external_id: externalId || null,
+    status: 'pending',
+    total_value: amount,
+    payment_method: 'pix',
+    buyer_infos: buyer,
+    created_at: now,
+    updated_at: now,
+    paid_at: null
+  };
+  state.transactions.set(transaction.unic_id, transaction);
+
+  const qrcode = `00020126MOCKPIX${transaction.unic_id}5204000053039865802BR6304MOCK`;
+
+  ok(res, {
+    payment_url: `http://localhost:${PORT}/pay/${transaction.unic_id}`,
+    payment_data: {
+      id: transaction.unic_id,
+      status: transaction.status,
+      amount: transaction.total_value,
+      created_at: transaction.created_at
+    },
+    pix_data: {
+      qrcode,
+      qrcode_base64: Buffer.from(qrcode).toString('base64')
+    }
+  }, 201);
+});
+
+api.get('/transactions/list', (req, res) => {
+  const { items, pagination } = paginate([...state.transactions.values()], req.query);
+  ok(res, { transactions: items, pagination });
+});
+
+api.put('/transactions/refund/:id', async (req, res) => {
+  const transaction = state.transactions.get(req.params.id);
+
+  if (!transaction) {
+    return fail(res, 404, 'Transação não encontrada');
+  }
+
+  if (transaction.status !== 'paid') {
+    return fail(res, 422, `Só transações pagas podem ser estornadas (status: ${transaction.status})`);
+  }
+
+  transition('transaction', transaction, 'refunded');
+
+  ok(res, transaction);
+  await fireWebhook('transaction', transaction);
+});
+
+// ========== SAQUES ==========
+
+api.get('/withdrawals/balance', (req, res) => {
+  const { available, blocked } = state.balance;
+  ok(res, { balance: available + blocked, available_balance: available, blocked_balance: blocked });
+});
+
+api.post('/withdrawals/request', (req, res) => {
+  const { amount, pix_key_type: pixKeyType, pix_key: pixKey } = req.body;
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return fail(res, 422, 'amount deve ser um inteiro positivo em centavos');
+  }
+  if (!PIX_KEY_TYPES.includes(pixKeyType) || !pixKey) {
+    return fail(res, 422, 'Chave PIX inválida');
+  }
+  if (amount > state.balance.available) {
+    return fail(res, 422, 'Saldo insuficiente');
+  }
+
+  state.balance.available -= amount;
+  state.balance.blocked += amount;
+
+  const now = new Date().toISOString();
+  const withdrawal = {
+    unic_id: newId('mock_wd'),
+    status: 'pending',
+    amount,
+    pix_key_type: pixKeyType,
+    pix_key: pixKey,
+    created_at: now,
+    updated_at: now,
+    paid_at: null
+  };
+  state.withdrawals.set(withdrawal.unic_id, withdrawal);
+
+  ok(res, withdrawal, 201);
+});
+
+api.get('/withdrawals/list', (req, res) => {
+  const { items, pagination } = paginate([...state.withdrawals.values()], req.query);
+  ok(res, { withdrawals: items, pagination });
+});
+
+// ========== WEBHOOKS ==========
+
+api.get('/webhooks/list', (req, res) => {
+  const { items, pagination } = paginate([...state.webhooks.values()], { page: req.query.page, limit: req.query.limit });
+  ok(res, { webhooks: items, pagination });
+});
+
+api.post('/webhooks/create', (req, res) => {
+  const { url, send_transaction_event: sendTransactionEvent = true, send_withdraw_event: sendWithdrawEvent = false } = req.body;
+
+  if (!url || !/^https?:\/\//.test(url)) {
+    return fail(res, 422, 'url inválida');
+  }
+
+  const webhook = {
+    unic_id: newId('mock_wh'),
+    url,
+    send_transaction_event: Boolean(sendTransactionEvent),
+    send_withdraw_event: Boolean(sendWithdrawEvent),
+    created_at: new Date().toISOString()
+  };
+  state.webhooks.set(webhook.unic_id, webhook);
+
+  ok(res, webhook, 201);
+});
+
+api.delete('/webhooks/:id', (req, res) => {
+  if (!state.webhooks.delete(req.params.id)) {
+    return fail(res, 404, 'Webhook não encontrado');
+  }
+  ok(res, { unic_id: req.params.id });
+});
+
+app.use('/api', api);
+
+// ========== CONTROLE DO MOCK ==========
+
+const RECORDS = {
+  transactions: { kind: 'transaction', map: () => state.transactions },
+  withdrawals: { kind: 'withdrawal', map: () => state.withdrawals }
+};
+
+function findRecord(req, res) {
+  const records = RECORDS[req.params.collection];
+  const record = records?.map().get(req.params.id);
+
+  if (!record) {
+    fail(res, 404, 'Registro não encontrado');
+    return null;
+  }
+
+  return { kind: records.kind, record };
+}
+
+app.get('/mock/state', (req, res) => {
+  ok(res, {
+    balance: state.balance,
+    transactions: [...state.transactions.values()],
+    withdrawals: [...state.withdrawals.values()],
+    webhooks: [...state.webhooks.values()]
+  });
+});
+
+app.post('/mock/reset', (req, res) => {
+  Object.assign(state, createState());
+  ok(res, { reset: true });
+});
+
+app.post('/mock/:collection(transactions|withdrawals)/:id/status', async (req, res) => {
+  const found = findRecord(req, res);
+  if (!found) return;
+
+  const { status, notify = true } = req.body || {};
+  const { changed, error } = transition(found.kind, found.record, status);
+
+  if (error) {
+    return fail(res, 422, error);
+  }
+
+  const deliveries = changed && notify ? await fireWebhook(found.kind, found.record) : [];
+  ok(res, { record: found.record, changed, deliveries });
+});
+
+app.post('/mock/:collection(transactions|withdrawals)/:id/webhook', async (req, res) => {
+  const found = findRecord(req, res);
+  if (!found) return;
+
+  const deliveries = await fireWebhook(found.kind, found.record);
+  ok(res, { record: found.record, deliveries });
+});
+
+if (!process.env.BULLSPAY_CLIENT_ID || !process.env.BULLSPAY_API_KEY) {
+  console.error('❌ BULLSPAY_CLIENT_ID e BULLSPAY_API_KEY devem estar configuradas (as mesmas do app)');
+  process.exit(1);
+}
+
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`🐂 BullsPay mock em http://localhost:${PORT}/api (webhooks padrão: ${DEFAULT_WEBHOOK_URL})`);
+});
@@ -1,6 +1,8 @@
 import bcrypt from 'bcrypt';
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { adjustUserBalance } from '../src/ledger.js';
+import { waiveRollovers } from '../src/rollover.js';
 
 dotenv.config();
 
@@ -23,24 +25,47 @@ async function createTestAccount() {
 
     const passwordHash = await bcrypt.hash(testData.password, SALT_ROUNDS);
 
-    // Verificar se já existe
-    const existing = await pool.query('SELECT id FROM users WHERE email = $1', [testData.email]);
-    
-    if (existing.rows.length > 0) {
-      // Atualizar saldo
-      await pool.query(
-        'UPDATE users SET balance = $1, rollover_required = 0 WHERE email = $2',
-        [testData.balance, testData.email]
-      );
-      console.log('✓ Conta de teste atualizada!');
-    } else {
-      // Criar nova
-      await pool.query(
-        `INSERT INTO users (username, email, password_hash, cpf, balance, rollover_required, first_deposit_made, is_admin) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [testData.username, testData.email, passwordHash, testData.cpf, testData.balance, 0, true, false]
-      );
-      console.log('✓ Conta de teste criada com sucesso!');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Verificar se já existe
+      const existing = await client.query('SELECT id, balance FROM users WHERE email = $1 FOR UPDATE', [testData.email]);
+      let userId;
+      let currentBalance = 0;
+
+      if (existing.rows.length > 0) {
+        userId = existing.rows[0].id;
+        currentBalance = parseFloat(existing.rows[0].balance);
+        await waiveRollovers(client, userId);
+        console.log('✓ Conta de teste atualizada!');
+      } else {
+        // Criar nova (o saldo entra pelo livro-razão logo abaixo)
+        const created = await client.query(
+          `INSERT INTO users (username, email, password_hash, cpf, balance, rollover_required, first_deposit_made, is_admin) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING id`,
+          [testData.username, testData.email, passwordHash, testData.cpf, 0, 0, true, false]
+        );
+        userId = created.rows[0].id;
+        console.log('✓ Conta de teste criada com sucesso!');
+      }
+
+      // Ajustar saldo registrando o lançamento no livro-razão
+      const delta = testData.balance - currentBalance;
+      if (delta !== 0) {
+        await adjustUserBalance(client, userId, delta, {
+          entryType: 'adjustment',
+          description: 'Saldo da conta de teste'
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
     console.log('');
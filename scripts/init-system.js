@@ -1,4 +1,6 @@
 import { initDatabase } from '../src/db.js';
+import { adjustUserBalance } from '../src/ledger.js';
+import { waiveRollovers } from '../src/rollover.js';
 import bcrypt from 'bcrypt';
 import pg from 'pg';
 import dotenv from 'dotenv';
@@ -72,21 +74,49 @@ async function initSystem() {
 
     const testPasswordHash = await bcrypt.hash(testData.password, SALT_ROUNDS);
     
-    const existingTest = await pool.query('SELECT id FROM users WHERE email = $1', [testData.email]);
-    
-    if (existingTest.rows.length > 0) {
-      await pool.query(
-        'UPDATE users SET balance = $1, rollover_required = 0, password_hash = $2 WHERE email = $3',
-        [testData.balance, testPasswordHash, testData.email]
-      );
-      console.log('✅ Conta de teste atualizada!');
-    } else {
-      await pool.query(
-        `INSERT INTO users (username, email, password_hash, cpf, balance, rollover_required, first_deposit_made, is_admin) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [testData.username, testData.email, testPasswordHash, testData.cpf, testData.balance, 0, true, false]
-      );
-      console.log('✅ Conta de teste criada!');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existingTest = await client.query('SELECT id, balance FROM users WHERE email = $1 FOR UPDATE', [testData.email]);
+      let testUserId;
+      let currentBalance = 0;
+
+      if (existingTest.rows.length > 0) {
+        testUserId = existingTest.rows[0].id;
+        currentBalance = parseFloat(existingTest.rows[0].balance);
+        await client.query(
+          'UPDATE users SET password_hash = $1 WHERE id = $2',
+          [testPasswordHash, testUserId]
+        );
+        await waiveRollovers(client, testUserId);
+        console.log('✅ Conta de teste atualizada!');
+      } else {
+        const created = await client.query(
+          `INSERT INTO users (username, email, password_hash, cpf, balance, rollover_required, first_deposit_made, is_admin) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING id`,
+          [testData.username, testData.email, testPasswordHash, testData.cpf, 0, 0, true, false]
+        );
+        testUserId = created.rows[0].id;
+        console.log('✅ Conta de teste criada!');
+      }
+
+      // Saldo de teste entra pelo livro-razão para não gerar divergência na conciliação
+      const delta = testData.balance - currentBalance;
+      if (delta !== 0) {
+        await adjustUserBalance(client, testUserId, delta, {
+          entryType: 'adjustment',
+          description: 'Saldo da conta de teste'
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
     console.log('\n' + '='.repeat(60));
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import { ALLOWED_BETS } from '../src/gameEngine.js';
+import { DEFAULT_PAYTABLE, DEFAULT_GAME_TYPE, validatePaytable } from '../src/paytable.js';
+import { DEFAULT_JACKPOTS } from '../src/defaultPaytables.js';
+import { simulateRtp, simulationToCsv } from '../src/simulator.js';
+
+// Uso:
+//   node scripts/simulate-rtp.js [--rounds=1000000] [--bets=1,5,50] [--session=100]
+//                                [--paytable=arquivo.json] [--format=json|csv] [--output=arquivo]
+//                                [--jackpot-percent=1] [--jackpot-min-bet=0]
+// Não acessa o banco: usa a tabela padrão ou a tabela candidata informada em --paytable, e as regras do
+// jackpot padrão da raspadinha (DEFAULT_JACKPOTS) ou as informadas. --jackpot-percent=0 simula sem jackpot.
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] ?? true;
+    }
+  }
+  return args;
+}
+
+function loadPaytable(file) {
+  if (!file) return DEFAULT_PAYTABLE;
+
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Aceita tanto a definição pura quanto uma linha exportada da tabela paytables
+  return content.definition || content;
+}
+
+function loadJackpot(args) {
+  const defaults = DEFAULT_JACKPOTS[DEFAULT_GAME_TYPE];
+  const contributionPercent = args['jackpot-percent'] !== undefined ? parseFloat(args['jackpot-percent']) : defaults.contributionPercent;
+  const minBet = args['jackpot-min-bet'] !== undefined ? parseFloat(args['jackpot-min-bet']) : defaults.minBet;
+
+  if (!Number.isFinite(contributionPercent) || contributionPercent < 0 || !Number.isFinite(minBet) || minBet < 0) {
+    throw new Error('Regras do jackpot inválidas');
+  }
+
+  return contributionPercent > 0 ? { contributionPercent, minBet } : null;
+}
+
+function runSimulation() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    const paytable = loadPaytable(args.paytable);
+    const jackpot = loadJackpot(args);
+    const { valid, errors } = validatePaytable(paytable, { jackpot });
+    if (!valid) {
+      console.error('❌ Tabela de prêmios inválida:');
+      errors.forEach(error => console.error(`   - ${error}`));
+      process.exit(1);
+    }
+
+    const simulation = simulateRtp({
+      rounds: args.rounds ? parseInt(args.rounds) : 1000000,
+      bets: args.bets ? args.bets.split(',').map(parseFloat) : ALLOWED_BETS,
+      sessionLength: args.session ? parseInt(args.session) : 100,
+      paytable,
+      jackpot
+    });
+
+    const output = args.format === 'csv'
+      ? simulationToCsv(simulation)
+      : JSON.stringify(simulation, null, 2) + '\n';
+
+    if (args.output) {
+      fs.writeFileSync(args.output, output);
+      console.error(`✅ Simulação salva em ${args.output} (RTP geral: ${simulation.overallTotalRtp}%, prêmios ${simulation.overallRtp}%)`);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error('❌ Erro na simulação:', error.message);
+    process.exit(1);
+  }
+}
+
+runSimulation();
@@ -1,20 +1,34 @@
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
-import { pool } from './db.js';
+import { pool, withTransaction } from './db.js';
+import { adjustUserBalance } from './ledger.js';
+import { startSession } from './limits.js';
+import { getActiveExclusion, recordRestrictedLogin } from './exclusion.js';
+import { isValidCpf, onlyDigits, parseBirthDate, calculateAge, MIN_AGE } from './validation.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-in-production';
 const SALT_ROUNDS = 10;
 
-export async function registerUser({ username, email, password, cpf }) {
-  if (!username || !email || !password || !cpf) {
+export async function registerUser({ username, email, password, cpf, birthDate }) {
+  if (!username || !email || !password || !cpf || !birthDate) {
     throw new Error('Todos os campos são obrigatórios');
   }
 
-  const cpfClean = cpf.replace(/\D/g, '');
-  if (cpfClean.length !== 11) {
+  const cpfClean = onlyDigits(cpf);
+  if (!isValidCpf(cpfClean)) {
     throw new Error('CPF inválido');
   }
 
+  const birthDateClean = parseBirthDate(birthDate);
+  const age = birthDateClean && calculateAge(birthDateClean);
+  if (!birthDateClean || age > 120) {
+    throw new Error('Data de nascimento inválida');
+  }
+
+  if (age < MIN_AGE) {
+    throw new Error(`Data de nascimento inválida: o cadastro é permitido apenas para maiores de ${MIN_AGE} anos`);
+  }
+
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   if (!emailRegex.test(email)) {
     throw new Error('Email inválido');
@@ -24,14 +38,15 @@ export async function registerUser({ username, email, password, cpf }) {
 
   try {
     const result = await pool.query(
-      `INSERT INTO users (username, email, password_hash, cpf, balance, rollover_required)
-       VALUES ($1, $2, $3, $4, 0, 0)
-       RETURNING id, username, email, cpf, is_admin, balance, rollover_required, created_at`,
-      [username, email, passwordHash, cpfClean]
+      `INSERT INTO users (username, email, password_hash, cpf, birth_date, balance, rollover_required)
+       VALUES ($1, $2, $3, $4, $5, 0, 0)
+       RETURNING id, username, email, cpf, birth_date, is_admin, balance, rollover_required, created_at`,
+      [username, email, passwordHash, cpfClean, birthDateClean]
     );
 
     const user = result.rows[0];
-    const token = jwt.sign({ userId: user.id, email: user.email, isAdmin: user.is_admin }, JWT_SECRET, { expiresIn: '7d' });
+    const session = await startSession(user.id);
+    const token = jwt.sign({ userId: user.id, email: user.email, isAdmin: user.is_admin, sessionId: session.id }, JWT_SECRET, { expiresIn: '7d' });
 
     return { user, token };
   } catch (error) {
@@ -65,7 +80,34 @@ export async function loginUser({ email, password }) {
     throw new Error('Credenciais inválidas');
   }
 
-  const token = jwt.sign({ userId: user.id, email: user.email, isAdmin: user.is_admin }, JWT_SECRET, { expiresIn: '7d' });
+  // Em autoexclusão o token é restrito (consultas e saque) e expira junto com a exclusão
+  const exclusion = await getActiveExclusion(user.id);
+  if (exclusion) {
+    await recordRestrictedLogin(user.id, exclusion);
+
+    const secondsLeft = exclusion.ends_at ? Math.ceil((new Date(exclusion.ends_at) - Date.now()) / 1000) : Infinity;
+    const token = jwt.sign(
+      { userId: user.id, email: user.email, isAdmin: false, restricted: true },
+      JWT_SECRET,
+      { expiresIn: Math.min(secondsLeft, 7 * 24 * 60 * 60) }
+    );
+
+    return {
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        balance: user.balance,
+        restricted: true
+      },
+      exclusion: { period: exclusion.period, ends_at: exclusion.ends_at },
+      token
+    };
+  }
+
+  // Cada login abre uma sessão nova (limite de tempo de sessão)
+  const session = await startSession(user.id);
+  const token = jwt.sign({ userId: user.id, email: user.email, isAdmin: user.is_admin, sessionId: session.id }, JWT_SECRET, { expiresIn: '7d' });
 
   return {
     user: {
@@ -93,7 +135,7 @@ export function verifyToken(token) {
 
 export async function getUserById(userId) {
   const result = await pool.query(
-    'SELECT id, username, email, cpf, is_admin, balance, rollover_required, first_deposit_made, created_at FROM users WHERE id = $1',
+    'SELECT id, username, email, cpf, birth_date, is_admin, balance, bonus_balance, rollover_required, first_deposit_made, created_at FROM users WHERE id = $1',
     [userId]
   );
 
@@ -104,114 +146,27 @@ export async function getUserById(userId) {
   return result.rows[0];
 }
 
-export async function updateUserBalance(userId, amount, operation = 'add') {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-
-    const result = await client.query(
-      'SELECT balance FROM users WHERE id = $1 FOR UPDATE',
-      [userId]
-    );
-
-    if (result.rows.length === 0) {
-      throw new Error('Usuário não encontrado');
-    }
-
-    const currentBalance = parseFloat(result.rows[0].balance);
-    let newBalance;
-
-    if (operation === 'add') {
-      newBalance = currentBalance + parseFloat(amount);
-    } else if (operation === 'subtract') {
-      newBalance = currentBalance - parseFloat(amount);
-      if (newBalance < 0) {
-        throw new Error('Saldo insuficiente');
-      }
-    } else {
-      throw new Error('Operação inválida');
-    }
-
-    await client.query(
-      'UPDATE users SET balance = $1 WHERE id = $2',
-      [newBalance, userId]
-    );
-
-    await client.query('COMMIT');
-
-    return newBalance;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
+/**
+ * Credita ou debita o saldo do usuário registrando o lançamento no livro-razão
+ * @param {string} userId - ID do usuário
+ * @param {number} amount - Valor (sempre positivo)
+ * @param {'add'|'subtract'} operation - Operação
+ * @param {{entryType?: string, transactionId?: string, gameRoundId?: string, description?: string}} ledger - Dados do lançamento
+ * @returns {Promise<number>} Novo saldo
+ */
+export async function updateUserBalance(userId, amount, operation = 'add', ledger = {}) {
+  let delta;
+
+  if (operation === 'add') {
+    delta = parseFloat(amount);
+  } else if (operation === 'subtract') {
+    delta = -parseFloat(amount);
+  } else {
+    throw new Error('Operação inválida');
   }
-}
 
-export async function updateRollover(userId, amount, operation = 'add') {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-
-    const result = await client.query(
-      'SELECT rollover_required FROM users WHERE id = $1 FOR UPDATE',
-      [userId]
-    );
-
-    if (result.rows.length === 0) {
-      throw new Error('Usuário não encontrado');
-    }
-
-    const currentRollover = parseFloat(result.rows[0].rollover_required);
-    let newRollover;
-
-    if (operation === 'add') {
-      newRollover = currentRollover + parseFloat(amount);
-    } else if (operation === 'subtract') {
-      newRollover = Math.max(0, currentRollover - parseFloat(amount));
-    } else {
-      throw new Error('Operação inválida');
-    }
-
-    await client.query(
-      'UPDATE users SET rollover_required = $1 WHERE id = $2',
-      [newRollover, userId]
-    );
-
-    await client.query('COMMIT');
-
-    return newRollover;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
-export async function applyFirstDepositRollover(userId, amount) {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-
-    // Atualizar rollover e marcar first_deposit_made APENAS se ainda não foi feito (atômico)
-    const result = await client.query(
-      `UPDATE users 
-       SET rollover_required = rollover_required + $1, 
-           first_deposit_made = true
-       WHERE id = $2 AND first_deposit_made = false
-       RETURNING rollover_required, first_deposit_made`,
-      [parseFloat(amount), userId]
-    );
-
-    await client.query('COMMIT');
-
-    // Retornar se o rollover foi aplicado (true) ou se já havia sido aplicado antes (false)
-    return result.rows.length > 0;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
-  }
+  return withTransaction(client => adjustUserBalance(client, userId, delta, {
+    entryType: 'adjustment',
+    ...ledger
+  }));
 }
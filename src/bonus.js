@@ -0,0 +1,512 @@
+import { pool, withTransaction } from './db.js';
+import { ACCOUNTS, BONUS_COUNTER_ACCOUNTS, adjustUserBalance, recordLedgerEntry, roundMoney } from './ledger.js';
+
+export const CAMPAIGN_TYPES = ['first_deposit', 'reload', 'free_cards'];
+
+const CODE_REGEX = /^[A-Z0-9_-]{3,50}$/;
+
+// ========== CAMPANHAS ==========
+
+export async function listCampaigns() {
+  const result = await pool.query(
+    `SELECT c.*,
+            (SELECT COUNT(*) FROM user_bonuses b WHERE b.campaign_id = c.id) AS granted_count
+     FROM bonus_campaigns c
+     ORDER BY c.created_at DESC`
+  );
+  return result.rows;
+}
+
+/**
+ * Cria uma campanha de bônus
+ * - first_deposit / reload: bônus de match_percent% do depósito (até max_bonus) para depósitos >= min_deposit
+ * - free_cards: free_cards cartelas de free_card_bet, resgatadas pelo código
+ * Em todas, o wagering é wagering_multiplier x o bônus (ou x os ganhos das cartelas grátis)
+ */
+export async function createCampaign({
+  code,
+  name,
+  type,
+  matchPercent = 0,
+  maxBonus = null,
+  minDeposit = 0,
+  freeCards = 0,
+  freeCardBet = null,
+  wageringMultiplier,
+  expiryDays = 30,
+  maxCashout = null
+}, createdBy = null) {
+  const normalizedCode = (code || '').toString().trim().toUpperCase();
+
+  if (!CODE_REGEX.test(normalizedCode)) {
+    throw new Error('Código de campanha inválido (3 a 50 caracteres: letras, números, _ ou -)');
+  }
+
+  if (!name) {
+    throw new Error('Nome da campanha inválido');
+  }
+
+  if (!CAMPAIGN_TYPES.includes(type)) {
+    throw new Error(`Tipo de campanha inválido. Use: ${CAMPAIGN_TYPES.join(', ')}`);
+  }
+
+  const campaign = {
+    matchPercent: parseFloat(matchPercent) || 0,
+    maxBonus: maxBonus === null || maxBonus === undefined ? null : parseFloat(maxBonus),
+    minDeposit: parseFloat(minDeposit) || 0,
+    freeCards: parseInt(freeCards) || 0,
+    freeCardBet: freeCardBet === null || freeCardBet === undefined ? null : parseFloat(freeCardBet),
+    wageringMultiplier: parseFloat(wageringMultiplier),
+    expiryDays: parseInt(expiryDays),
+    maxCashout: maxCashout === null || maxCashout === undefined ? null : parseFloat(maxCashout)
+  };
+
+  if (type === 'free_cards') {
+    if (campaign.freeCards <= 0 || !(campaign.freeCardBet > 0)) {
+      throw new Error('Campanha de cartelas grátis inválida: informe freeCards e freeCardBet');
+    }
+  } else if (campaign.matchPercent <= 0) {
+    throw new Error('Percentual de match inválido');
+  }
+
+  if (!Number.isFinite(campaign.wageringMultiplier) || campaign.wageringMultiplier < 0) {
+    throw new Error('Multiplicador de wagering inválido');
+  }
+
+  if (!Number.isInteger(campaign.expiryDays) || campaign.expiryDays <= 0) {
+    throw new Error('Validade do bônus inválida (dias)');
+  }
+
+  if ((campaign.maxBonus !== null && !(campaign.maxBonus > 0)) || (campaign.maxCashout !== null && !(campaign.maxCashout >= 0))) {
+    throw new Error('Limites da campanha inválidos');
+  }
+
+  const existing = await pool.query('SELECT id FROM bonus_campaigns WHERE code = $1', [normalizedCode]);
+  if (existing.rows.length > 0) {
+    throw new Error('Campanha com este código já existe');
+  }
+
+  const result = await pool.query(
+    `INSERT INTO bonus_campaigns (code, name, type, match_percent, max_bonus, min_deposit, free_cards, free_card_bet, wagering_multiplier, expiry_days, max_cashout, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      normalizedCode, name, type, campaign.matchPercent, campaign.maxBonus, campaign.minDeposit,
+      campaign.freeCards, campaign.freeCardBet, campaign.wageringMultiplier, campaign.expiryDays,
+      campaign.maxCashout, createdBy
+    ]
+  );
+
+  return result.rows[0];
+}
+
+export async function setCampaignActive(campaignId, active) {
+  const result = await pool.query(
+    'UPDATE bonus_campaigns SET active = $1 WHERE id = $2 RETURNING *',
+    [Boolean(active), campaignId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Campanha não encontrada');
+  }
+
+  return result.rows[0];
+}
+
+// ========== SALDO DE BÔNUS ==========
+
+/**
+ * Altera o saldo de um bônus e o users.bonus_balance, sem lançar no livro-razão
+ */
+async function applyBonusDelta(client, userBonus, delta) {
+  const bonusResult = await client.query(
+    'UPDATE user_bonuses SET balance = balance + $1 WHERE id = $2 RETURNING *',
+    [delta, userBonus.id]
+  );
+
+  const userResult = await client.query(
+    'UPDATE users SET bonus_balance = bonus_balance + $1 WHERE id = $2 RETURNING bonus_balance',
+    [delta, userBonus.user_id]
+  );
+
+  return { userBonus: bonusResult.rows[0], bonusBalance: parseFloat(userResult.rows[0].bonus_balance) };
+}
+
+/**
+ * Credita ou debita o saldo de um bônus e registra o lançamento na conta user_bonus
+ */
+async function adjustBonusBalance(client, userBonus, delta, { entryType, gameRoundId = null, transactionId = null, description = null }) {
+  const { userBonus: updated, bonusBalance } = await applyBonusDelta(client, userBonus, delta);
+
+  await recordLedgerEntry(client, {
+    userId: userBonus.user_id,
+    entryType,
+    amount: delta,
+    account: ACCOUNTS.USER_BONUS,
+    counterAccount: BONUS_COUNTER_ACCOUNTS[entryType],
+    balanceAfter: bonusBalance,
+    transactionId,
+    gameRoundId,
+    description
+  });
+
+  return { userBonus: updated, bonusBalance };
+}
+
+/**
+ * Concede um bônus de campanha ao usuário
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {object} campaign - Linha de bonus_campaigns
+ * @param {{transactionId?: string, depositAmount?: number}} options - Depósito que originou o bônus (match)
+ * @returns {Promise<object|null>} Bônus concedido (null se o valor calculado for zero)
+ */
+async function grantBonus(client, userId, campaign, { transactionId = null, depositAmount = 0 } = {}) {
+  let amount = 0;
+  if (campaign.type !== 'free_cards') {
+    amount = roundMoney(depositAmount * parseFloat(campaign.match_percent) / 100);
+    if (campaign.max_bonus !== null) {
+      amount = Math.min(amount, parseFloat(campaign.max_bonus));
+    }
+    if (amount <= 0) return null;
+  }
+
+  const result = await client.query(
+    `INSERT INTO user_bonuses (user_id, campaign_id, transaction_id, bonus_amount, wagering_required, free_cards_remaining, free_card_bet, max_cashout, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + $9::int * INTERVAL '1 day')
+     RETURNING *`,
+    [
+      userId,
+      campaign.id,
+      transactionId,
+      amount,
+      roundMoney(amount * parseFloat(campaign.wagering_multiplier)),
+      campaign.type === 'free_cards' ? campaign.free_cards : 0,
+      campaign.free_card_bet,
+      campaign.max_cashout,
+      campaign.expiry_days
+    ]
+  );
+
+  let userBonus = result.rows[0];
+
+  if (amount > 0) {
+    ({ userBonus } = await adjustBonusBalance(client, userBonus, amount, {
+      entryType: 'bonus_grant',
+      transactionId,
+      description: `Bônus ${campaign.name}`
+    }));
+  }
+
+  return userBonus;
+}
+
+async function hasCampaignBonus(client, userId, campaignId) {
+  const result = await client.query(
+    'SELECT 1 FROM user_bonuses WHERE user_id = $1 AND campaign_id = $2',
+    [userId, campaignId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Concede o bônus de depósito (primeiro depósito ou reload) na mesma transação da liquidação
+ * Usa a campanha ativa mais recente do tipo cujo depósito mínimo é atendido
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {object} transaction - Depósito liquidado
+ * @param {boolean} isFirstDeposit
+ */
+export async function grantDepositBonus(client, transaction, isFirstDeposit) {
+  const amount = parseFloat(transaction.amount);
+
+  const result = await client.query(
+    `SELECT * FROM bonus_campaigns
+     WHERE type = $1 AND active = true AND min_deposit <= $2
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [isFirstDeposit ? 'first_deposit' : 'reload', amount]
+  );
+
+  const campaign = result.rows[0];
+  if (!campaign) return null;
+
+  if (campaign.type === 'first_deposit' && await hasCampaignBonus(client, transaction.user_id, campaign.id)) {
+    return null;
+  }
+
+  return grantBonus(client, transaction.user_id, campaign, { transactionId: transaction.id, depositAmount: amount });
+}
+
+/**
+ * Concede cartelas grátis de uma campanha (resgate por código pelo jogador ou concessão pelo admin)
+ * Cada usuário recebe uma campanha de cartelas grátis no máximo uma vez
+ */
+export async function grantFreeCards(userId, { code = null, campaignId = null }) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT * FROM bonus_campaigns
+       WHERE type = 'free_cards' AND active = true AND (code = $1 OR id = $2)`,
+      [code ? code.toString().trim().toUpperCase() : null, campaignId]
+    );
+
+    const campaign = result.rows[0];
+    if (!campaign) {
+      throw new Error('Campanha de cartelas grátis não encontrada');
+    }
+
+    // Serializa resgates simultâneos do mesmo usuário
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    if (await hasCampaignBonus(client, userId, campaign.id)) {
+      throw new Error('Bônus já resgatado por este usuário');
+    }
+
+    return grantBonus(client, userId, campaign);
+  });
+}
+
+/**
+ * Encerra bônus vencidos do usuário, devolvendo o saldo restante à casa
+ */
+export async function expireBonuses(client, userId) {
+  const result = await client.query(
+    `SELECT * FROM user_bonuses
+     WHERE user_id = $1 AND status = 'active' AND expires_at <= NOW()
+     FOR UPDATE`,
+    [userId]
+  );
+
+  for (const userBonus of result.rows) {
+    await closeBonus(client, userBonus, 'expired');
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Encerra o bônus; o saldo que sobrar (já descontado o valor liberado) volta para a casa
+ */
+async function closeBonus(client, userBonus, status, releasedAmount = 0, description = null) {
+  const remaining = roundMoney(parseFloat(userBonus.balance));
+  if (remaining > 0) {
+    await adjustBonusBalance(client, userBonus, -remaining, {
+      entryType: 'bonus_forfeit',
+      description: description || (status === 'expired' ? 'Bônus expirado' : 'Bônus acima do limite de saque')
+    });
+  }
+
+  await client.query(
+    `UPDATE user_bonuses
+     SET status = $1, released_amount = $2, completed_at = NOW()
+     WHERE id = $3`,
+    [status, releasedAmount, userBonus.id]
+  );
+}
+
+/**
+ * Cancela os bônus ativos concedidos por um depósito estornado (reembolso ou chargeback)
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @returns {Promise<number>} Quantidade de bônus cancelados
+ */
+export async function forfeitDepositBonuses(client, transactionId) {
+  const result = await client.query(
+    `SELECT * FROM user_bonuses
+     WHERE transaction_id = $1 AND status = 'active'
+     FOR UPDATE`,
+    [transactionId]
+  );
+
+  for (const userBonus of result.rows) {
+    await closeBonus(client, userBonus, 'forfeited', 0, 'Bônus cancelado: depósito estornado');
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Saldo disponível para apostar `betAmount`: saldo real + saldo de bônus + cartelas grátis desse valor
+ */
+export async function getAvailableFunds(client, userId, betAmount) {
+  const result = await client.query(
+    `SELECT u.balance, u.bonus_balance,
+            COALESCE((SELECT SUM(free_cards_remaining) FROM user_bonuses
+                      WHERE user_id = u.id AND status = 'active' AND free_card_bet = $2), 0) AS free_cards
+     FROM users u
+     WHERE u.id = $1`,
+    [userId, betAmount]
+  );
+
+  const row = result.rows[0];
+  return parseFloat(row.balance) + parseFloat(row.bonus_balance) + parseInt(row.free_cards) * betAmount;
+}
+
+/**
+ * Decide quem paga a aposta, nesta ordem: cartela grátis do mesmo valor, saldo real, saldo de um bônus
+ * Em apostas com saldo real, o bônus retornado é o que recebe a contribuição de wagering
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta (usuário já travado)
+ * @param {number} cashBalance - Saldo real atual
+ * @returns {Promise<{source: 'free_card'|'cash'|'bonus', userBonus: object|null}>}
+ */
+export async function chooseBetFunding(client, userId, betAmount, cashBalance) {
+  const freeCard = await client.query(
+    `SELECT * FROM user_bonuses
+     WHERE user_id = $1 AND status = 'active' AND free_cards_remaining > 0 AND free_card_bet = $2
+     ORDER BY expires_at
+     LIMIT 1
+     FOR UPDATE`,
+    [userId, betAmount]
+  );
+
+  if (freeCard.rows.length > 0) {
+    return { source: 'free_card', userBonus: freeCard.rows[0] };
+  }
+
+  if (cashBalance >= betAmount) {
+    const wagering = await client.query(
+      `SELECT * FROM user_bonuses
+       WHERE user_id = $1 AND status = 'active' AND wagering_progress < wagering_required
+       ORDER BY expires_at
+       LIMIT 1
+       FOR UPDATE`,
+      [userId]
+    );
+    return { source: 'cash', userBonus: wagering.rows[0] || null };
+  }
+
+  const bonus = await client.query(
+    `SELECT * FROM user_bonuses
+     WHERE user_id = $1 AND status = 'active' AND balance >= $2
+     ORDER BY expires_at
+     LIMIT 1
+     FOR UPDATE`,
+    [userId, betAmount]
+  );
+
+  if (bonus.rows.length > 0) {
+    return { source: 'bonus', userBonus: bonus.rows[0] };
+  }
+
+  throw new Error('Saldo insuficiente');
+}
+
+/**
+ * Movimenta o bônus de uma rodada já gravada: debita a aposta / consome a cartela grátis,
+ * credita o prêmio no saldo de bônus e soma a aposta ao wagering. Ao cumprir o wagering,
+ * libera o saldo de bônus (até o max_cashout) para o saldo real.
+ * Apostas com saldo real só contribuem com o wagering (aposta e prêmio já foram lançados no saldo real).
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {{source: string, userBonus: object|null}} funding - Resultado de chooseBetFunding
+ * @returns {Promise<{cashBalance: number|null, bonusBalance: number|null, released: number}>}
+ *   cashBalance só vem preenchido se houve liberação para o saldo real
+ */
+export async function settleBonusRound(client, funding, { userId, betAmount, prizeAmount, multiplier, gameRoundId, gameName }) {
+  let { userBonus } = funding;
+  let bonusBalance = null;
+
+  if (!userBonus) {
+    return { cashBalance: null, bonusBalance, released: 0 };
+  }
+
+  if (funding.source === 'bonus') {
+    ({ userBonus, bonusBalance } = await adjustBonusBalance(client, userBonus, -betAmount, {
+      entryType: 'bonus_bet',
+      gameRoundId,
+      description: `Aposta ${gameName} (bônus)`
+    }));
+  }
+
+  if (funding.source === 'free_card') {
+    const result = await client.query(
+      'UPDATE user_bonuses SET free_cards_remaining = free_cards_remaining - 1 WHERE id = $1 RETURNING *',
+      [userBonus.id]
+    );
+    userBonus = result.rows[0];
+  }
+
+  if (funding.source !== 'cash' && prizeAmount > 0) {
+    ({ userBonus, bonusBalance } = await adjustBonusBalance(client, userBonus, prizeAmount, {
+      entryType: 'bonus_prize',
+      gameRoundId,
+      description: `Prêmio ${gameName} (${multiplier.toFixed(2)}x, bônus)`
+    }));
+  }
+
+  // Ganhos de cartela grátis entram no wagering; apostas pagas (real ou bônus) contam para cumpri-lo
+  const campaign = await client.query('SELECT * FROM bonus_campaigns WHERE id = $1', [userBonus.campaign_id]);
+  const addedRequirement = funding.source === 'free_card'
+    ? roundMoney(prizeAmount * parseFloat(campaign.rows[0].wagering_multiplier))
+    : 0;
+  const contribution = funding.source === 'free_card' ? 0 : betAmount;
+
+  const updated = await client.query(
+    `UPDATE user_bonuses
+     SET wagering_required = wagering_required + $1,
+         wagering_progress = LEAST(wagering_progress + $2, wagering_required + $1)
+     WHERE id = $3
+     RETURNING *`,
+    [addedRequirement, contribution, userBonus.id]
+  );
+  userBonus = updated.rows[0];
+
+  if (userBonus.free_cards_remaining > 0) {
+    return { cashBalance: null, bonusBalance, released: 0 };
+  }
+
+  const balance = parseFloat(userBonus.balance);
+
+  if (parseFloat(userBonus.wagering_progress) >= parseFloat(userBonus.wagering_required)) {
+    // Wagering cumprido: saldo de bônus vira saldo real, limitado ao max_cashout
+    const released = userBonus.max_cashout === null
+      ? balance
+      : Math.min(balance, parseFloat(userBonus.max_cashout));
+
+    let cashBalance = null;
+    if (released > 0) {
+      await applyBonusDelta(client, userBonus, -released);
+      userBonus = { ...userBonus, balance: roundMoney(balance - released) };
+      cashBalance = await adjustUserBalance(client, userId, released, {
+        entryType: 'bonus_release',
+        gameRoundId,
+        description: 'Bônus liberado após cumprir o wagering'
+      });
+    }
+
+    await closeBonus(client, userBonus, 'completed', released);
+    return { cashBalance, bonusBalance: await getBonusBalance(client, userId), released };
+  }
+
+  if (balance <= 0) {
+    // Saldo de bônus zerado antes de cumprir o wagering
+    await closeBonus(client, userBonus, 'forfeited');
+  }
+
+  return { cashBalance: null, bonusBalance, released: 0 };
+}
+
+async function getBonusBalance(db, userId) {
+  const result = await db.query('SELECT bonus_balance FROM users WHERE id = $1', [userId]);
+  return parseFloat(result.rows[0].bonus_balance);
+}
+
+/**
+ * Bônus do usuário (ativos primeiro) e o saldo de bônus total
+ */
+export async function getUserBonuses(userId) {
+  await withTransaction(client => expireBonuses(client, userId));
+
+  const result = await pool.query(
+    `SELECT b.id, b.status, b.bonus_amount, b.balance, b.wagering_required, b.wagering_progress,
+            b.free_cards_remaining, b.free_card_bet, b.max_cashout, b.released_amount,
+            b.expires_at, b.completed_at, b.created_at,
+            c.code, c.name, c.type
+     FROM user_bonuses b
+     JOIN bonus_campaigns c ON b.campaign_id = c.id
+     WHERE b.user_id = $1
+     ORDER BY (b.status = 'active') DESC, b.created_at DESC`,
+    [userId]
+  );
+
+  return {
+    bonusBalance: await getBonusBalance(pool, userId),
+    bonuses: result.rows
+  };
+}
@@ -1,9 +1,11 @@
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import { isValidCpf, isValidCnpj, onlyDigits } from './validation.js';
 
 dotenv.config();
 
-const API_BASE = 'https://api-gateway.bullspay.com.br/api';
+// BULLSPAY_API_BASE aponta para outro servidor (ex.: scripts/bullspay-mock.js em desenvolvimento)
+const API_BASE = (process.env.BULLSPAY_API_BASE || 'https://api-gateway.bullspay.com.br/api').replace(/\/+$/, '');
 
 function ensureEnv() {
   if (!process.env.BULLSPAY_CLIENT_ID || !process.env.BULLSPAY_API_KEY) {
@@ -112,7 +114,7 @@ export async function refundTransaction(unicId) {
 
 /**
  * Formata chave PIX de acordo com o tipo, conforme documentação BullsPay
- * CPF/CNPJ: apenas números
+ * CPF/CNPJ: apenas números, com dígitos verificadores conferidos (lança erro se inválido)
  * Email: formato de email
  * Phone: apenas números
  * Random: aceita qualquer formato (chave aleatória)
@@ -122,7 +124,11 @@ export function formatPixKey(pixKey, pixKeyType) {
   
   switch(pixKeyType) {
     case 'cpf':
+      if (!isValidCpf(pixKey)) throw new Error('Chave PIX inválida: CPF inválido');
+      return onlyDigits(pixKey);
     case 'cnpj':
+      if (!isValidCnpj(pixKey)) throw new Error('Chave PIX inválida: CNPJ inválido');
+      return onlyDigits(pixKey);
     case 'phone':
       return pixKey.replace(/\D/g, '');
     case 'email':
@@ -176,7 +182,9 @@ export async function requestWithdrawal({ amount, pixKeyType, pixKey }) {
 
   if (!resp.ok) {
     const errorText = await resp.text().catch(() => 'Erro desconhecido');
-    throw new Error(`BullsPay error ${resp.status}: ${errorText}`);
+    const error = new Error(`BullsPay error ${resp.status}: ${errorText}`);
+    error.status = resp.status;
+    throw error;
   }
 
   const data = await resp.json();
@@ -217,28 +225,12 @@ export async function listWithdrawals({ page = 1, limit = 10, status = 'all', id
 
 // ========== WEBHOOK VALIDATION ==========
 
-export function validateWebhookSignature(signature, payload) {
-  if (!signature) {
-    return false;
-  }
-  
-  const secret = process.env.BULLSPAY_API_KEY;
-  const computedSignature = crypto.createHmac('sha256', secret)
-    .update(JSON.stringify(payload))
-    .digest('hex');
-  
-  return signature === computedSignature;
-}
-
-export function isValidWebhookSource(req) {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
-  
-  if (!apiKey) {
-    return false;
-  }
-  
-  const expectedKey = process.env.BULLSPAY_API_KEY;
-  return apiKey === expectedKey || apiKey === `Bearer ${expectedKey}`;
+/**
+ * Segredo HMAC dos webhooks: BULLSPAY_WEBHOOK_SECRET ou, sem ele, a chave privada
+ * (a verificação em si fica em src/webhooks.js)
+ */
+export function getWebhookSecret() {
+  return process.env.BULLSPAY_WEBHOOK_SECRET || process.env.BULLSPAY_API_KEY;
 }
 
 // ========== WEBHOOKS ==========
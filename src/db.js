@@ -1,5 +1,6 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { DEFAULT_PAYTABLES, DEFAULT_JACKPOTS } from './defaultPaytables.js';
 
 dotenv.config();
 
@@ -58,6 +59,16 @@ export async function initDatabase() {
       END $$;
     `);
 
+    // Data de nascimento (obrigatória no cadastro; contas antigas ficam sem)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS birth_date DATE;
+    `);
+
+    // Saldo de bônus (separado do saldo real; só vira saldo real ao cumprir o wagering)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS bonus_balance DECIMAL(12,2) DEFAULT 0 NOT NULL CHECK (bonus_balance >= 0);
+    `);
+
     // Tabela de transações
     await client.query(`
       CREATE TABLE IF NOT EXISTS transactions (
@@ -127,6 +138,41 @@ export async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_game_rounds_created_at ON game_rounds(created_at DESC);
     `);
 
+    // Tabelas de prêmios versionadas (JSON com resultados, pesos e multiplicadores por faixa de aposta)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS paytables (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        game_type VARCHAR(50) NOT NULL,
+        version INTEGER NOT NULL,
+        definition JSONB NOT NULL,
+        analysis JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'retired')),
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        activated_at TIMESTAMPTZ,
+        UNIQUE (game_type, version)
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_paytables_active ON paytables(game_type) WHERE status = 'active';
+    `);
+
+    for (const [gameType, definition] of Object.entries(DEFAULT_PAYTABLES)) {
+      await client.query(
+        `INSERT INTO paytables (game_type, version, definition, status, activated_at)
+         SELECT $1::varchar, 1, $2::jsonb, 'active', NOW()
+         WHERE NOT EXISTS (SELECT 1 FROM paytables WHERE game_type = $1)`,
+        [gameType, JSON.stringify(definition)]
+      );
+    }
+
+    // Versão da tabela de prêmios que gerou cada rodada
+    await client.query(`
+      ALTER TABLE game_rounds ADD COLUMN IF NOT EXISTS paytable_id UUID REFERENCES paytables(id);
+      ALTER TABLE game_rounds ADD COLUMN IF NOT EXISTS paytable_version INTEGER;
+    `);
+
     // Configurações
     await client.query(`
       CREATE TABLE IF NOT EXISTS settings (
@@ -166,6 +212,518 @@ export async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_fraud_alerts_created_at ON fraud_alerts(created_at DESC);
     `);
 
+    // Seeds provably fair (server seed comprometida por hash + client seed + nonce)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_seeds (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        server_seed VARCHAR(64) NOT NULL,
+        server_seed_hash VARCHAR(64) NOT NULL,
+        client_seed VARCHAR(64) NOT NULL,
+        nonce INTEGER NOT NULL DEFAULT 0,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        revealed_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_user_seeds_active ON user_seeds(user_id) WHERE active;
+      CREATE INDEX IF NOT EXISTS idx_user_seeds_user_id ON user_seeds(user_id);
+    `);
+
+    // Livro-razão (partidas dobradas): cada movimentação gera duas linhas que somam zero
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        entry_group UUID NOT NULL,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        account VARCHAR(50) NOT NULL,
+        entry_type VARCHAR(30) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        balance_after DECIMAL(12,2),
+        transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+        game_round_id UUID REFERENCES game_rounds(id) ON DELETE SET NULL,
+        description TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_account ON ledger_entries(user_id, account);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_group ON ledger_entries(entry_group);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction_id ON ledger_entries(transaction_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_game_round_id ON ledger_entries(game_round_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_created_at ON ledger_entries(created_at DESC);
+    `);
+
+    // Jackpot progressivo: cada aposta elegível contribui com um percentual para o pote do jogo
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jackpot_pools (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        game_type VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        current_amount DECIMAL(14,2) NOT NULL,
+        seed_amount DECIMAL(12,2) NOT NULL,
+        contribution_percent DECIMAL(5,2) NOT NULL,
+        hit_odds INTEGER NOT NULL CHECK (hit_odds > 0),
+        min_bet DECIMAL(12,2) NOT NULL DEFAULT 0,
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jackpot_wins (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        pool_id UUID NOT NULL REFERENCES jackpot_pools(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        game_round_id UUID REFERENCES game_rounds(id) ON DELETE SET NULL,
+        amount DECIMAL(14,2) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_jackpot_wins_created_at ON jackpot_wins(created_at DESC);
+    `);
+
+    // Potes padrão (DEFAULT_JACKPOTS); o valor inicial sai da casa para a conta do jackpot no livro-razão
+    for (const [gameType, jackpot] of Object.entries(DEFAULT_JACKPOTS)) {
+      await client.query(
+        `WITH created AS (
+           INSERT INTO jackpot_pools (game_type, name, current_amount, seed_amount, contribution_percent, hit_odds, min_bet)
+           VALUES ($1, $2, $3, $3, $4, $5, $6)
+           ON CONFLICT (game_type) DO NOTHING
+           RETURNING seed_amount
+         ), funding AS (
+           SELECT gen_random_uuid() AS entry_group, seed_amount FROM created
+         )
+         INSERT INTO ledger_entries (entry_group, account, entry_type, amount, description)
+         SELECT entry_group, 'jackpot', 'jackpot_seed', seed_amount, 'Valor inicial do jackpot' FROM funding
+         UNION ALL
+         SELECT entry_group, 'house', 'jackpot_seed', -seed_amount, 'Valor inicial do jackpot' FROM funding`,
+        [gameType, jackpot.name, jackpot.seedAmount, jackpot.contributionPercent, jackpot.hitOdds, jackpot.minBet]
+      );
+    }
+
+    // Rollover por depósito: quanto cada depósito exige de apostas e quanto já foi cumprido
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS is_vip BOOLEAN DEFAULT FALSE;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS deposit_rollovers (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        transaction_id UUID UNIQUE REFERENCES transactions(id) ON DELETE SET NULL,
+        deposit_amount DECIMAL(12,2) NOT NULL,
+        multiplier DECIMAL(6,2) NOT NULL,
+        required_amount DECIMAL(12,2) NOT NULL,
+        wagered_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed', 'waived')),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        completed_at TIMESTAMPTZ
+      )
+    `);
+
+    // Apostas que abateram cada rollover
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rollover_contributions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        deposit_rollover_id UUID NOT NULL REFERENCES deposit_rollovers(id) ON DELETE CASCADE,
+        game_round_id UUID REFERENCES game_rounds(id) ON DELETE SET NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_deposit_rollovers_user_status ON deposit_rollovers(user_id, status);
+      CREATE INDEX IF NOT EXISTS idx_rollover_contributions_rollover ON rollover_contributions(deposit_rollover_id);
+    `);
+
+    // Rollover pendente de antes do controle por depósito vira um rollover único sem depósito associado
+    await client.query(`
+      INSERT INTO deposit_rollovers (user_id, deposit_amount, multiplier, required_amount)
+      SELECT u.id, u.rollover_required, 1, u.rollover_required
+      FROM users u
+      WHERE u.rollover_required > 0
+        AND NOT EXISTS (SELECT 1 FROM deposit_rollovers r WHERE r.user_id = u.id)
+    `);
+
+    // Campanhas de bônus: match no primeiro depósito, reload e cartelas grátis
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bonus_campaigns (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        code VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('first_deposit', 'reload', 'free_cards')),
+        match_percent DECIMAL(6,2) NOT NULL DEFAULT 0,
+        max_bonus DECIMAL(12,2),
+        min_deposit DECIMAL(12,2) NOT NULL DEFAULT 0,
+        free_cards INTEGER NOT NULL DEFAULT 0,
+        free_card_bet DECIMAL(12,2),
+        wagering_multiplier DECIMAL(6,2) NOT NULL DEFAULT 0,
+        expiry_days INTEGER NOT NULL DEFAULT 30,
+        max_cashout DECIMAL(12,2),
+        active BOOLEAN DEFAULT true,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Bônus concedidos: saldo próprio, wagering, cartelas grátis restantes e validade
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_bonuses (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        campaign_id UUID NOT NULL REFERENCES bonus_campaigns(id),
+        transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'expired', 'forfeited')),
+        bonus_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        balance DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (balance >= 0),
+        wagering_required DECIMAL(12,2) NOT NULL DEFAULT 0,
+        wagering_progress DECIMAL(12,2) NOT NULL DEFAULT 0,
+        free_cards_remaining INTEGER NOT NULL DEFAULT 0,
+        free_card_bet DECIMAL(12,2),
+        max_cashout DECIMAL(12,2),
+        released_amount DECIMAL(12,2),
+        expires_at TIMESTAMPTZ NOT NULL,
+        completed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_bonuses_user_status ON user_bonuses(user_id, status);
+      ALTER TABLE game_rounds ADD COLUMN IF NOT EXISTS funded_by VARCHAR(20) DEFAULT 'cash';
+      ALTER TABLE game_rounds ADD COLUMN IF NOT EXISTS user_bonus_id UUID REFERENCES user_bonuses(id) ON DELETE SET NULL;
+    `);
+
+    // Limites de jogo responsável (depósito, perda, apostas e tempo de sessão) definidos pelo jogador ou pelo admin
+    // pending_*: aumento ou remoção (pending_amount NULL) aguardando o período de espera
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS player_limits (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        limit_type VARCHAR(20) NOT NULL CHECK (limit_type IN ('deposit', 'loss', 'wager', 'session')),
+        period VARCHAR(20) NOT NULL CHECK (period IN ('daily', 'weekly', 'monthly', 'session')),
+        source VARCHAR(20) NOT NULL CHECK (source IN ('player', 'admin')),
+        amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+        pending_amount DECIMAL(12,2),
+        pending_effective_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (user_id, limit_type, period, source)
+      )
+    `);
+
+    // Sessões de jogo (uma por login), usadas no limite de tempo de sessão
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS player_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        started_at TIMESTAMPTZ DEFAULT NOW(),
+        ended_at TIMESTAMPTZ
+      )
+    `);
+
+    // Momento em que a sessão bateu o limite de tempo: a pausa obrigatória conta a partir dele
+    await client.query(`
+      ALTER TABLE player_sessions ADD COLUMN IF NOT EXISTS limit_reached_at TIMESTAMPTZ;
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_player_sessions_user_id ON player_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_game_rounds_user_created ON game_rounds(user_id, created_at);
+    `);
+
+    await client.query(`
+      INSERT INTO settings (key, value, description)
+      VALUES ('limit_cooling_off_hours', '24', 'Horas de espera para aumentar ou remover um limite de jogo responsável')
+      ON CONFLICT (key) DO NOTHING
+    `);
+
+    // KYC: status do usuário, envios para análise e documentos (arquivo no store configurado)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS kyc_status VARCHAR(30) NOT NULL DEFAULT 'not_submitted'
+        CHECK (kyc_status IN ('not_submitted', 'pending', 'approved', 'rejected', 'needs_resubmission'));
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS kyc_submissions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(30) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'needs_resubmission')),
+        review_notes TEXT,
+        reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // submission_id NULL = documento enviado e ainda não submetido para análise
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS kyc_documents (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        submission_id UUID REFERENCES kyc_submissions(id) ON DELETE CASCADE,
+        doc_type VARCHAR(20) NOT NULL CHECK (doc_type IN ('id_front', 'id_back', 'selfie')),
+        storage_key TEXT NOT NULL,
+        content_type VARCHAR(50) NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        sha256 VARCHAR(64) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_kyc_submissions_status ON kyc_submissions(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_kyc_documents_user_id ON kyc_documents(user_id);
+      CREATE INDEX IF NOT EXISTS idx_kyc_documents_submission_id ON kyc_documents(submission_id);
+    `);
+
+    await client.query(`
+      INSERT INTO settings (key, value, description)
+      VALUES ('kyc_withdrawal_threshold', '500', 'Total sacado (R$) a partir do qual o saque exige KYC aprovado')
+      ON CONFLICT (key) DO NOTHING
+    `);
+
+    // Chaves PIX do usuário: saques só vão para uma chave verificada e fora da carência (available_at)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_pix_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        key_type VARCHAR(20) NOT NULL CHECK (key_type IN ('cpf', 'cnpj', 'email', 'phone', 'random')),
+        key_value TEXT NOT NULL,
+        status VARCHAR(30) NOT NULL CHECK (status IN ('pending_confirmation', 'pending_approval', 'verified', 'rejected', 'removed')),
+        verification_method VARCHAR(20) NOT NULL CHECK (verification_method IN ('account_cpf', 'code', 'admin')),
+        verification_code_hash VARCHAR(64),
+        verification_expires_at TIMESTAMPTZ,
+        verification_attempts INTEGER NOT NULL DEFAULT 0,
+        verified_at TIMESTAMPTZ,
+        available_at TIMESTAMPTZ NOT NULL,
+        review_notes TEXT,
+        reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_user_pix_keys_active
+        ON user_pix_keys(user_id, key_type, key_value) WHERE status <> 'removed';
+      CREATE INDEX IF NOT EXISTS idx_user_pix_keys_value ON user_pix_keys(key_type, key_value);
+      CREATE INDEX IF NOT EXISTS idx_user_pix_keys_status ON user_pix_keys(status, created_at);
+    `);
+
+    await client.query(`
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS pix_key_id UUID REFERENCES user_pix_keys(id) ON DELETE SET NULL;
+    `);
+
+    // Valor reservado do saque: held na criação, captured quando pago, released quando rejeitado/falhou/cancelado
+    await client.query(`
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS hold_status VARCHAR(20)
+        CHECK (hold_status IN ('held', 'captured', 'released'));
+    `);
+
+    await client.query(`
+      UPDATE transactions
+      SET hold_status = CASE
+        WHEN status = 'paid' THEN 'captured'
+        WHEN status IN ('rejected', 'failed', 'canceled', 'refunded') THEN 'released'
+        ELSE 'held'
+      END
+      WHERE type = 'withdrawal' AND hold_status IS NULL
+    `);
+
+    await client.query(`
+      INSERT INTO settings (key, value, description)
+      VALUES ('pix_key_cooldown_hours', '24', 'Horas de carência entre o cadastro de uma chave PIX e o primeiro saque para ela')
+      ON CONFLICT (key) DO NOTHING
+    `);
+
+    // Provedor de pagamento de cada transação (gateway_id só é único dentro do provedor)
+    await client.query(`
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS provider VARCHAR(30) NOT NULL DEFAULT 'bullspay';
+      CREATE INDEX IF NOT EXISTS idx_transactions_provider_gateway_id ON transactions(provider, gateway_id);
+    `);
+
+    // Reconciliação: próxima consulta ao provedor, adiada a cada consulta que não muda a transação
+    await client.query(`
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reconcile_attempts INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS next_check_at TIMESTAMPTZ;
+      CREATE INDEX IF NOT EXISTS idx_transactions_next_check_at ON transactions(next_check_at);
+    `);
+
+    // Saque enviado ao provedor: marcado antes do pedido, para que um resultado desconhecido seja resolvido pela reconciliação
+    await client.query(`
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payout_requested_at TIMESTAMPTZ;
+    `);
+
+    await client.query(`
+      INSERT INTO settings (key, value, description)
+      VALUES
+        ('deposit_provider', 'bullspay', 'Provedor de pagamento dos depósitos novos'),
+        ('withdrawal_provider', 'bullspay', 'Provedor de pagamento dos saques aprovados')
+      ON CONFLICT (key) DO NOTHING
+    `);
+
+    // Entregas de webhook já recebidas, por provedor (proteção contra reenvio e replay)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        provider VARCHAR(30) NOT NULL,
+        event_id TEXT NOT NULL,
+        received_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (provider, event_id)
+      )
+    `);
+
+    // Entregas de webhook recusadas, para o admin investigar
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_rejections (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        provider VARCHAR(30) NOT NULL,
+        reason VARCHAR(30) NOT NULL CHECK (reason IN ('not_configured', 'missing_signature', 'missing_timestamp', 'invalid_signature', 'stale_timestamp')),
+        event_id TEXT,
+        ip TEXT,
+        headers JSONB,
+        body TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_rejections_created_at ON webhook_rejections(created_at DESC);
+    `);
+
+    // Histórico de status das transações (cada transição aceita pela máquina de estados de src/transactionState.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS transaction_status_history (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        from_status VARCHAR(20) NOT NULL,
+        to_status VARCHAR(20) NOT NULL,
+        source VARCHAR(20) NOT NULL CHECK (source IN ('webhook', 'sync', 'admin', 'system')),
+        gateway_status TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_transaction_status_history_transaction ON transaction_status_history(transaction_id, created_at);
+    `);
+
+    // Caixa de entrada dos webhooks: toda entrega, gravada antes da resposta e processada pelo worker
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        provider VARCHAR(30) NOT NULL,
+        event_id TEXT NOT NULL,
+        resource_id TEXT,
+        headers JSONB,
+        body TEXT NOT NULL,
+        verified BOOLEAN NOT NULL,
+        verification_error VARCHAR(30),
+        status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'processed', 'ignored', 'dead', 'rejected', 'duplicate')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+        last_error TEXT,
+        replay_count INTEGER NOT NULL DEFAULT 0,
+        received_at TIMESTAMPTZ DEFAULT NOW(),
+        processed_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_resource ON webhook_events(provider, resource_id, received_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events(received_at DESC);
+    `);
+
+    // Relatórios de conciliação com a BullsPay (período em dias de São Paulo, to inclusivo)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS settlement_reports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'completed', 'failed')),
+        source VARCHAR(20) NOT NULL CHECK (source IN ('manual', 'scheduled')),
+        summary JSONB,
+        discrepancies JSONB,
+        error TEXT,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        completed_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_settlement_reports_period ON settlement_reports(period_start, period_end);
+    `);
+
+    // Autoexclusão (pelo jogador ou imposta pelo admin); ends_at NULL = permanente
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS self_exclusions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        period VARCHAR(20) NOT NULL CHECK (period IN ('24h', '7d', '30d', '6m', 'permanent')),
+        source VARCHAR(20) NOT NULL CHECK (source IN ('player', 'admin')),
+        reason TEXT,
+        starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        ends_at TIMESTAMPTZ,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Trilha de auditoria da autoexclusão
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS exclusion_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        exclusion_id UUID REFERENCES self_exclusions(id) ON DELETE SET NULL,
+        event_type VARCHAR(30) NOT NULL,
+        actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        details JSONB,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_self_exclusions_user_id ON self_exclusions(user_id, ends_at);
+      CREATE INDEX IF NOT EXISTS idx_exclusion_events_user_id ON exclusion_events(user_id, created_at DESC);
+    `);
+
+    // Contadores do limitador de requisições (store Postgres)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key VARCHAR(255) PRIMARY KEY,
+        count INTEGER NOT NULL DEFAULT 0,
+        reset_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
+    `);
+
+    // Saldo de abertura para usuários criados antes do livro-razão
+    await client.query(`
+      WITH opening AS (
+        SELECT u.id AS user_id, u.balance, gen_random_uuid() AS entry_group
+        FROM users u
+        WHERE u.balance <> 0
+          AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.user_id = u.id AND l.account = 'user_cash')
+      )
+      INSERT INTO ledger_entries (entry_group, user_id, account, entry_type, amount, balance_after, description)
+      SELECT entry_group, user_id, 'user_cash', 'opening_balance', balance, balance, 'Saldo de abertura' FROM opening
+      UNION ALL
+      SELECT entry_group, user_id, 'adjustments', 'opening_balance', -balance, NULL, 'Saldo de abertura' FROM opening
+    `);
+
     // Função updated_at
     await client.query(`
       CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -187,6 +745,10 @@ export async function initDatabase() {
       CREATE TRIGGER update_transactions_updated_at BEFORE UPDATE ON transactions
         FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
       
+      DROP TRIGGER IF EXISTS update_jackpot_pools_updated_at ON jackpot_pools;
+      CREATE TRIGGER update_jackpot_pools_updated_at BEFORE UPDATE ON jackpot_pools
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+      
       DROP TRIGGER IF EXISTS update_settings_updated_at ON settings;
       CREATE TRIGGER update_settings_updated_at BEFORE UPDATE ON settings
         FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -216,3 +778,23 @@ export async function setSetting(key, value, description = null) {
     [key, value, description]
   );
 }
+
+/**
+ * Executa o callback dentro de uma transação, com COMMIT/ROLLBACK automáticos
+ * @param {(client: import('pg').PoolClient) => Promise<any>} callback
+ * @returns {Promise<any>} Valor retornado pelo callback
+ */
+export async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,104 @@
+// Tabelas de prêmios padrão (versão 1) de cada jogo, gravadas no banco na inicialização.
+// Apenas dados: não importa nada para poder ser usado tanto por db.js quanto pelo motor do jogo.
+
+export const DEFAULT_PAYTABLES = {
+  /**
+   * Pesos somam 10.000 em cada faixa e o RTP dos prêmios de todas as faixas é 94%: com o 1% de cada
+   * aposta que vai para o jackpot (DEFAULT_JACKPOTS), o RTP total é 95%.
+   * Apostas maiores têm mais chance de ganhar, com prêmios mais frequentes e menores.
+   * `symbol` é o símbolo que forma a trinca na cartela 3x3.
+   */
+  scratch_card: {
+    tiers: [
+      {
+        minBet: 0,
+        outcomes: [
+          { id: 'x10', symbol: 'diamond', multiplier: 10, weight: 150 },
+          { id: 'x5', symbol: 'gold', multiplier: 5, weight: 400 },
+          { id: 'x2', symbol: 'clover', multiplier: 2, weight: 1500 },
+          { id: 'x1', symbol: 'cherry', multiplier: 1, weight: 2900 },
+          { id: 'lose', multiplier: 0, weight: 5050 }
+        ]
+      },
+      {
+        minBet: 10,
+        outcomes: [
+          { id: 'x10', symbol: 'diamond', multiplier: 10, weight: 100 },
+          { id: 'x5', symbol: 'gold', multiplier: 5, weight: 300 },
+          { id: 'x2', symbol: 'clover', multiplier: 2, weight: 1750 },
+          { id: 'x1', symbol: 'cherry', multiplier: 1, weight: 3400 },
+          { id: 'lose', multiplier: 0, weight: 4450 }
+        ]
+      },
+      {
+        minBet: 30,
+        outcomes: [
+          { id: 'x10', symbol: 'diamond', multiplier: 10, weight: 50 },
+          { id: 'x5', symbol: 'gold', multiplier: 5, weight: 300 },
+          { id: 'x2', symbol: 'clover', multiplier: 2, weight: 1750 },
+          { id: 'x1', symbol: 'cherry', multiplier: 1, weight: 3900 },
+          { id: 'lose', multiplier: 0, weight: 4000 }
+        ]
+      }
+    ]
+  },
+
+  // Pote de Ouro: faixa única, prêmio máximo de 100x
+  scratch_lucky: {
+    tiers: [
+      {
+        minBet: 0,
+        outcomes: [
+          { id: 'x100', symbol: 'pot', multiplier: 100, weight: 5 },
+          { id: 'x20', symbol: 'rainbow', multiplier: 20, weight: 50 },
+          { id: 'x5', symbol: 'hat', multiplier: 5, weight: 300 },
+          { id: 'x2', symbol: 'coin', multiplier: 2, weight: 1500 },
+          { id: 'x1', symbol: 'clover', multiplier: 1, weight: 3500 },
+          { id: 'lose', multiplier: 0, weight: 4645 }
+        ]
+      }
+    ]
+  },
+
+  // Mega Raspadinha: faixa única, prêmio máximo de 500x
+  scratch_mega: {
+    tiers: [
+      {
+        minBet: 0,
+        outcomes: [
+          { id: 'x500', symbol: 'crown', multiplier: 500, weight: 2 },
+          { id: 'x50', symbol: 'diamond', multiplier: 50, weight: 20 },
+          { id: 'x10', symbol: 'gold', multiplier: 10, weight: 150 },
+          { id: 'x3', symbol: 'ruby', multiplier: 3, weight: 500 },
+          { id: 'x1', symbol: 'cherry', multiplier: 1, weight: 4500 },
+          { id: 'lose', multiplier: 0, weight: 4828 }
+        ]
+      }
+    ]
+  },
+
+  // Pacote de cartelas: a faixa é escolhida pelo valor de cada cartela (preço do pacote / nº de cartelas)
+  scratch_bundle: {
+    tiers: [
+      {
+        minBet: 0,
+        outcomes: [
+          { id: 'x10', symbol: 'diamond', multiplier: 10, weight: 150 },
+          { id: 'x5', symbol: 'gold', multiplier: 5, weight: 400 },
+          { id: 'x2', symbol: 'clover', multiplier: 2, weight: 1500 },
+          { id: 'x1', symbol: 'cherry', multiplier: 1, weight: 3000 },
+          { id: 'lose', multiplier: 0, weight: 4950 }
+        ]
+      }
+    ]
+  }
+};
+
+/**
+ * Jackpots criados na inicialização. A contribuição sai da aposta e volta aos jogadores pelo pote, então
+ * conta no RTP da tabela do jogo; o valor inicial é custo da casa e não entra no RTP.
+ */
+export const DEFAULT_JACKPOTS = {
+  // Raspadinha clássica: R$ 1.000 iniciais, 1% de toda aposta, 1 em 100.000
+  scratch_card: { name: 'Jackpot Raspadinha', seedAmount: 1000, contributionPercent: 1, hitOdds: 100000, minBet: 0 }
+};
@@ -0,0 +1,214 @@
+import { withTransaction } from './db.js';
+import { adjustUserBalance } from './ledger.js';
+import { grantDepositBonus, forfeitDepositBonuses } from './bonus.js';
+import { applyDepositRollover, waiveDepositRollover } from './rollover.js';
+import { createFraudAlert } from './fraud.js';
+import { getTransactionProvider } from './paymentProviders.js';
+import { mapGatewayStatus, transitionTransaction } from './transactionState.js';
+
+/**
+ * Liquida um depósito pago: muda o status para 'paid', credita o saldo, registra o rollover
+ * do depósito e concede o bônus de depósito, tudo na mesma transação. Chamadas repetidas ou concorrentes
+ * (webhook + polling) não creditam duas vezes: o depósito é travado e só sai de um status que aceita paid uma vez.
+ * @param {string} transactionId - ID da transação no nosso banco
+ * @param {{gatewayPayload?: object, source?: string, gatewayStatus?: string}} [details] - Dados recebidos do gateway e origem
+ * @returns {Promise<{settled: boolean, transaction: object, newBalance?: number, rollover?: object|null, bonus?: object|null}>}
+ */
+export async function settleDeposit(transactionId, { gatewayPayload = null, source = 'sync', gatewayStatus = 'paid' } = {}) {
+  return withTransaction(async (client) => {
+    const current = await client.query(
+      "SELECT * FROM transactions WHERE id = $1 AND type = 'deposit' FOR UPDATE",
+      [transactionId]
+    );
+
+    if (current.rows.length === 0) {
+      throw new Error('Transação não encontrada');
+    }
+
+    const transaction = await transitionTransaction(client, current.rows[0], 'paid', { source, gatewayStatus, gatewayPayload });
+
+    // Já liquidado (ou em status final): nada a fazer
+    if (!transaction) {
+      return { settled: false, transaction: current.rows[0] };
+    }
+
+    const newBalance = await adjustUserBalance(client, transaction.user_id, parseFloat(transaction.amount), {
+      entryType: 'deposit',
+      transactionId: transaction.id,
+      description: 'Depósito PIX'
+    });
+
+    // Rollover do depósito conforme a política configurada
+    const { isFirstDeposit, rollover } = await applyDepositRollover(client, transaction);
+
+    if (rollover) {
+      console.log(`Rollover de R$ ${rollover.required_amount} (${rollover.multiplier}x) aplicado para usuário ${transaction.user_id}`);
+    }
+
+    // Bônus de primeiro depósito ou reload, conforme as campanhas ativas
+    const bonus = await grantDepositBonus(client, transaction, isFirstDeposit);
+
+    if (bonus) {
+      console.log(`Bônus de R$ ${bonus.bonus_amount} concedido para usuário ${transaction.user_id}`);
+    }
+
+    console.log(`Saldo creditado para usuário ${transaction.user_id}: R$ ${transaction.amount}`);
+
+    return { settled: true, transaction, newBalance, rollover, bonus };
+  });
+}
+
+// Status em que o dinheiro do depósito volta para o pagador: o crédito do jogador é estornado
+const REVERSAL_STATUSES = ['refunded', 'chargeback'];
+
+/**
+ * Estorna o crédito de um depósito pago (já travado): muda o status, debita o jogador com lançamento
+ * no livro-razão, dispensa o rollover e cancela o bônus do depósito, tudo na transação do chamador.
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {object} deposit - Depósito travado com FOR UPDATE
+ * @param {'refunded'|'chargeback'} toStatus
+ * @param {{source: string, gatewayStatus?: string, gatewayPayload?: object, allowShortfall: boolean}} details
+ *   allowShortfall: o estorno veio do provedor e não pode ser recusado; debita o que houver de saldo
+ * @returns {Promise<{transaction: object, debited: number, shortfall: number, newBalance: number|null}|null>}
+ */
+async function reverseDepositCredit(client, deposit, toStatus, { source, gatewayStatus = null, gatewayPayload = null, allowShortfall }) {
+  const transaction = await transitionTransaction(client, deposit, toStatus, { source, gatewayStatus, gatewayPayload });
+  if (!transaction) {
+    return null;
+  }
+
+  const amount = parseFloat(transaction.amount);
+  const userResult = await client.query('SELECT balance FROM users WHERE id = $1 FOR UPDATE', [transaction.user_id]);
+  const debited = allowShortfall ? Math.min(amount, parseFloat(userResult.rows[0].balance)) : amount;
+
+  let newBalance = null;
+  if (debited > 0) {
+    newBalance = await adjustUserBalance(client, transaction.user_id, -debited, {
+      entryType: toStatus === 'chargeback' ? 'chargeback' : 'refund',
+      transactionId: transaction.id,
+      description: toStatus === 'chargeback' ? 'Chargeback do depósito' : 'Depósito reembolsado'
+    });
+  }
+
+  await waiveDepositRollover(client, transaction);
+  await forfeitDepositBonuses(client, transaction.id);
+
+  return { transaction, debited, shortfall: Math.round((amount - debited) * 100) / 100, newBalance };
+}
+
+/**
+ * Aplica um reembolso ou chargeback informado pelo provedor. Se o jogador já não tem saldo para cobrir
+ * o estorno, debita o que houver e abre um alerta de fraude com a diferença.
+ * @param {object} transaction - Depósito como lido do banco
+ * @returns {Promise<object|null>} Depósito atualizado ou null se a transição não foi aplicada
+ */
+async function reverseDeposit(transaction, toStatus, details) {
+  const reversal = await withTransaction(async (client) => {
+    const current = await client.query(
+      "SELECT * FROM transactions WHERE id = $1 AND type = 'deposit' FOR UPDATE",
+      [transaction.id]
+    );
+    return current.rows[0]
+      ? reverseDepositCredit(client, current.rows[0], toStatus, { ...details, allowShortfall: true })
+      : null;
+  });
+
+  if (!reversal) {
+    return null;
+  }
+
+  console.log(`Depósito ${transaction.id} estornado (${toStatus}): R$ ${reversal.debited} debitados do usuário ${transaction.user_id}`);
+
+  if (reversal.shortfall > 0) {
+    await createFraudAlert(transaction.user_id, 'deposit_reversal_shortfall', 'high',
+      `Depósito ${toStatus === 'chargeback' ? 'com chargeback' : 'reembolsado'} sem saldo suficiente: faltaram R$ ${reversal.shortfall.toFixed(2)}`,
+      { transactionId: transaction.id, status: toStatus, amount: parseFloat(transaction.amount), shortfall: reversal.shortfall });
+  }
+
+  return reversal.transaction;
+}
+
+/**
+ * Reembolso pedido pelo admin: trava o depósito, muda para refunded e debita o jogador; só então pede o
+ * reembolso ao provedor. Se o provedor recusar, nada é gravado. O jogador precisa ter saldo para cobrir.
+ * @param {string} transactionId - ID do depósito
+ * @returns {Promise<object|null>} Depósito reembolsado ou null se não estava pago
+ */
+export async function refundDeposit(transactionId) {
+  return withTransaction(async (client) => {
+    const current = await client.query(
+      "SELECT * FROM transactions WHERE id = $1 AND type = 'deposit' FOR UPDATE",
+      [transactionId]
+    );
+
+    if (current.rows.length === 0) {
+      throw new Error('Transação não encontrada');
+    }
+
+    const reversal = await reverseDepositCredit(client, current.rows[0], 'refunded', { source: 'admin', allowShortfall: false });
+    if (!reversal) {
+      return null;
+    }
+
+    // Por último: se o provedor falhar, a transação do banco é desfeita
+    await getTransactionProvider(reversal.transaction).refundCharge(reversal.transaction.gateway_id);
+
+    return reversal.transaction;
+  });
+}
+
+/**
+ * Atualiza o status de um depósito (pago passa por settleDeposit), sem sobrescrever uma liquidação
+ * concorrente nem fazer uma transição que a máquina de estados não permite. Reembolso e chargeback
+ * estornam o crédito do jogador.
+ * @param {object} transaction - Depósito como lido do banco
+ * @param {string} newStatus - Novo status (interno)
+ * @param {{gatewayPayload?: object, source?: string, gatewayStatus?: string}} [details]
+ * @returns {Promise<object|null>} Transação atualizada ou null se a transição não foi aplicada
+ */
+export async function updateDepositStatus(transaction, newStatus, { gatewayPayload = null, source = 'sync', gatewayStatus = null } = {}) {
+  if (newStatus === 'paid') {
+    throw new Error('Depósito pago deve ser liquidado por settleDeposit');
+  }
+
+  if (REVERSAL_STATUSES.includes(newStatus)) {
+    return reverseDeposit(transaction, newStatus, { source, gatewayStatus, gatewayPayload });
+  }
+
+  return withTransaction((client) => transitionTransaction(client, transaction, newStatus, { source, gatewayStatus, gatewayPayload }));
+}
+
+/**
+ * Confere um depósito com o provedor em que foi criado: pago é liquidado, outro status é gravado e,
+ * se continuar pendente depois de expires_at, o depósito expira.
+ * Usado pela consulta do jogador e pelo worker de reconciliação.
+ * @param {object} transaction - Depósito como lido do banco
+ * @returns {Promise<object>} Depósito atualizado (ou o mesmo, se nada mudou)
+ */
+export async function syncDepositWithGateway(transaction) {
+  if (transaction.gateway_id) {
+    const charge = await getTransactionProvider(transaction).getCharge(transaction.gateway_id);
+    const status = charge && mapGatewayStatus('deposit', charge.status);
+    const details = { gatewayPayload: charge?.raw, source: 'sync', gatewayStatus: charge?.status };
+
+    if (charge && !status) {
+      console.log(`Status desconhecido do provedor para o depósito ${transaction.id}: ${charge.status}`);
+    }
+
+    // Liquidação idempotente: o webhook pode ter creditado antes
+    if (status === 'paid') {
+      return (await settleDeposit(transaction.id, details)).transaction;
+    }
+
+    if (status && status !== transaction.status) {
+      const updated = await updateDepositStatus(transaction, status, details);
+      if (updated) return updated;
+    }
+  }
+
+  if (transaction.status === 'pending' && transaction.expires_at && new Date() > new Date(transaction.expires_at)) {
+    return (await updateDepositStatus(transaction, 'expired', { source: 'system' })) || transaction;
+  }
+
+  return transaction;
+}
@@ -0,0 +1,146 @@
+import { pool, withTransaction } from './db.js';
+import { waiveRollovers } from './rollover.js';
+
+/**
+ * Períodos de autoexclusão (intervalo do Postgres; null = permanente)
+ */
+export const EXCLUSION_PERIODS = {
+  '24h': '24 hours',
+  '7d': '7 days',
+  '30d': '30 days',
+  '6m': '6 months',
+  permanent: null
+};
+
+function formatExclusionEnd(exclusion) {
+  return exclusion.ends_at
+    ? new Date(exclusion.ends_at).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+    : null;
+}
+
+async function recordExclusionEvent(db, userId, exclusionId, eventType, { actorId = null, details = null } = {}) {
+  await db.query(
+    `INSERT INTO exclusion_events (user_id, exclusion_id, event_type, actor_id, details)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, exclusionId, eventType, actorId, details ? JSON.stringify(details) : null]
+  );
+}
+
+/**
+ * Autoexclusão em vigor (a que termina por último; permanente vence)
+ * @returns {Promise<object|null>}
+ */
+export async function getActiveExclusion(userId, db = pool) {
+  const result = await db.query(
+    `SELECT * FROM self_exclusions
+     WHERE user_id = $1 AND starts_at <= NOW() AND (ends_at IS NULL OR ends_at > NOW())
+     ORDER BY ends_at DESC NULLS FIRST
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Exclui o usuário pelo período escolhido. Uma exclusão em vigor nunca é encurtada:
+ * só é aceito um período que termine igual ou depois do atual.
+ * O rollover pendente é dispensado para que o saldo restante possa ser sacado, e as sessões abertas são encerradas.
+ * @param {string} userId - ID do usuário
+ * @param {{period: string, reason?: string, source?: 'player'|'admin', actorId?: string}} options
+ */
+export async function excludeUser(userId, { period, reason = null, source = 'player', actorId = null }) {
+  if (!Object.hasOwn(EXCLUSION_PERIODS, period)) {
+    throw new Error(`Período de autoexclusão inválido. Use: ${Object.keys(EXCLUSION_PERIODS).join(', ')}`);
+  }
+
+  return withTransaction(async (client) => {
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const interval = EXCLUSION_PERIODS[period];
+    const active = await getActiveExclusion(userId, client);
+
+    // Uma exclusão permanente nova nunca encurta a atual
+    if (active && interval !== null) {
+      const shortens = active.ends_at === null || (await client.query(
+        'SELECT NOW() + $1::interval < $2::timestamptz AS shorter',
+        [interval, active.ends_at]
+      )).rows[0].shorter;
+
+      if (shortens) {
+        const until = formatExclusionEnd(active);
+        throw new Error(until
+          ? `Autoexclusão ativa até ${until} não pode ser reduzida`
+          : 'Autoexclusão permanente ativa não pode ser reduzida');
+      }
+    }
+
+    const result = await client.query(
+      `INSERT INTO self_exclusions (user_id, period, source, reason, ends_at, created_by)
+       VALUES ($1, $2, $3, $4, NOW() + $5::interval, $6)
+       RETURNING *`,
+      [userId, period, source, reason, interval, actorId]
+    );
+    const exclusion = result.rows[0];
+
+    await recordExclusionEvent(client, userId, exclusion.id, active ? 'extended' : 'created', {
+      actorId,
+      details: { period, source, reason, previous_exclusion_id: active?.id ?? null }
+    });
+
+    await waiveRollovers(client, userId);
+    await client.query(
+      'UPDATE player_sessions SET ended_at = NOW() WHERE user_id = $1 AND ended_at IS NULL',
+      [userId]
+    );
+
+    return exclusion;
+  });
+}
+
+/**
+ * Recusa a operação (depósito, jogo, bônus) se o usuário estiver em autoexclusão
+ */
+export async function assertNotExcluded(userId) {
+  const exclusion = await getActiveExclusion(userId);
+
+  if (exclusion) {
+    const until = formatExclusionEnd(exclusion);
+    throw new Error(until
+      ? `Autoexclusão ativa até ${until}: apenas o saque do saldo está disponível`
+      : 'Autoexclusão permanente ativa: apenas o saque do saldo está disponível');
+  }
+}
+
+/**
+ * Registra um login durante a exclusão (o token emitido é restrito)
+ */
+export async function recordRestrictedLogin(userId, exclusion) {
+  await recordExclusionEvent(pool, userId, exclusion.id, 'restricted_login');
+}
+
+/**
+ * Exclusão em vigor, histórico de exclusões e trilha de auditoria do usuário
+ */
+export async function getExclusionStatus(userId) {
+  const [active, exclusions, events] = await Promise.all([
+    getActiveExclusion(userId),
+    pool.query(
+      'SELECT * FROM self_exclusions WHERE user_id = $1 ORDER BY created_at DESC',
+      [userId]
+    ),
+    pool.query(
+      `SELECT e.*, a.username AS actor_username
+       FROM exclusion_events e
+       LEFT JOIN users a ON e.actor_id = a.id
+       WHERE e.user_id = $1
+       ORDER BY e.created_at DESC
+       LIMIT 100`,
+      [userId]
+    )
+  ]);
+
+  return { active, exclusions: exclusions.rows, events: events.rows };
+}
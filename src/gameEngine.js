@@ -1,17 +1,42 @@
-import { pool, getSetting } from './db.js';
+import { pool, getSetting, setSetting, withTransaction } from './db.js';
+import { adjustUserBalance } from './ledger.js';
+import { nextRoundRandom, getRevealedSeed, computeRoundHmac, hmacToFloat, createRandomStream } from './provablyFair.js';
+import { DEFAULT_GAME_TYPE, DEFAULT_PAYTABLE, selectTier, drawOutcome, analyzePaytable, getActivePaytable, getPaytableById } from './paytable.js';
+import { DEFAULT_PAYTABLES } from './defaultPaytables.js';
+import { generateScratchGrid, getNearMissConfig, DEFAULT_NEAR_MISS } from './scratchGrid.js';
+import { getJackpotPool, drawJackpot, settleJackpot, isJackpotHit } from './jackpot.js';
+import { expireBonuses, getAvailableFunds, chooseBetFunding, settleBonusRound } from './bonus.js';
+import { applyRolloverContribution } from './rollover.js';
+import { createBetLimitGuard } from './limits.js';
 
 export const ALLOWED_BETS = [0.50, 1.00, 1.50, 2.00, 3.00, 5.00, 10.00, 15.00, 20.00, 25.00, 30.00, 35.00, 40.00, 45.00, 50.00];
 
 /**
- * Calcula o prêmio da raspadinha baseado no RTP configurado
- * Quanto maior a aposta, melhores as chances de ganhar
+ * Calcula o prêmio da raspadinha sorteando um resultado da tabela de prêmios
+ * A faixa da tabela é escolhida pelo valor da aposta
  * @param {number} betAmount - Valor da aposta
- * @param {number} rtpPercentage - RTP em porcentagem (ex: 95.0)
- * @returns {{multiplier: number, prizeAmount: number}}
+ * @param {object} paytable - Definição da tabela de prêmios (faixas, pesos e multiplicadores)
+ * @param {number} random - Número no intervalo [0, 1); nas rodadas reais vem do HMAC provably fair
+ * @returns {{multiplier: number, prizeAmount: number, outcomeId: string, outcome: object, tier: object}}
  */
-export function calculateScratchPrize(betAmount, rtpPercentage = 95.0) {
-  const random = Math.random();
-  
+export function calculateScratchPrize(betAmount, paytable = DEFAULT_PAYTABLE, random = Math.random()) {
+  const tier = selectTier(paytable, betAmount);
+  const outcome = drawOutcome(tier, random);
+
+  return {
+    multiplier: outcome.multiplier,
+    prizeAmount: Math.round(betAmount * outcome.multiplier * 100) / 100,
+    outcomeId: outcome.id,
+    outcome,
+    tier
+  };
+}
+
+/**
+ * Fórmula anterior às tabelas de prêmios (limiares fixos escalados pelo RTP)
+ * Mantida apenas para verificar rodadas antigas
+ */
+function calculateLegacyScratchPrize(betAmount, rtpPercentage, random) {
   // Bônus de probabilidade baseado no valor da aposta
   // Apostas maiores têm chances melhores de ganhar
   let bonusChance = 0;
@@ -59,78 +84,586 @@ export function calculateScratchPrize(betAmount, rtpPercentage = 95.0) {
   };
 }
 
+// ========== REGISTRO DE JOGOS ==========
+
+const games = new Map();
+
 /**
- * Executa uma rodada de raspadinha
- * @param {string} userId - ID do usuário
- * @param {number} betAmount - Valor da aposta
- * @returns {Promise<{success: boolean, prize: number, finalBalance: number, multiplier: number}>}
+ * Registra um tipo de jogo no motor
+ * @param {object} game
+ * @param {string} game.type - Identificador gravado em game_rounds.game_type e usado na rota /api/game/:gameType/play
+ * @param {string} game.name - Nome exibido no catálogo
+ * @param {string} [game.description]
+ * @param {number[]} game.allowedBets - Valores de aposta aceitos
+ * @param {object} game.resultSchema - Campos obrigatórios de result_data (subconjunto de JSON Schema)
+ * @param {(ctx: {betAmount: number, paytable: object, random: number, stream: () => number, nearMiss: object}) => {multiplier: number, prizeAmount: number, result: object}} game.generateOutcome
+ *   Gera o resultado de forma determinística a partir do sorteio provably fair da rodada
  */
-export async function playScratchCard(userId, betAmount) {
-  if (!ALLOWED_BETS.includes(parseFloat(betAmount.toFixed(2)))) {
-    throw new Error('Valor de aposta inválido. Escolha um dos valores permitidos.');
+export function registerGame(game) {
+  if (!game.type || typeof game.generateOutcome !== 'function') {
+    throw new Error('Jogo inválido: informe type e generateOutcome');
   }
 
-  const client = await pool.connect();
-  
+  if (!Array.isArray(game.allowedBets) || game.allowedBets.length === 0) {
+    throw new Error(`Jogo ${game.type} inválido: informe allowedBets`);
+  }
+
+  if (!DEFAULT_PAYTABLES[game.type]) {
+    throw new Error(`Jogo ${game.type} inválido: não há tabela de prêmios padrão`);
+  }
+
+  games.set(game.type, {
+    description: '',
+    resultSchema: { type: 'object', required: [], properties: {} },
+    ...game
+  });
+}
+
+export function getGame(gameType) {
+  const game = games.get(gameType);
+
+  if (!game) {
+    throw new Error(`Jogo não encontrado: ${gameType}`);
+  }
+
+  return game;
+}
+
+export function listGames() {
+  return [...games.values()];
+}
+
+export function isAllowedBet(game, betAmount) {
+  return game.allowedBets.includes(parseFloat(Number(betAmount).toFixed(2)));
+}
+
+async function getDisabledGames() {
+  const value = await getSetting('disabled_games');
+  if (!value) return [];
+
   try {
-    await client.query('BEGIN');
+    return JSON.parse(value);
+  } catch {
+    return [];
+  }
+}
 
-    // Buscar usuário e travar registro
-    const userResult = await client.query(
-      'SELECT id, balance, rollover_required FROM users WHERE id = $1 FOR UPDATE',
-      [userId]
-    );
+/**
+ * Ativa ou desativa um jogo do catálogo (jogos desativados não aceitam novas rodadas)
+ */
+export async function setGameEnabled(gameType, enabled) {
+  getGame(gameType);
+
+  const disabled = new Set(await getDisabledGames());
+  if (enabled) {
+    disabled.delete(gameType);
+  } else {
+    disabled.add(gameType);
+  }
+
+  await setSetting('disabled_games', JSON.stringify([...disabled]), 'Jogos desativados no catálogo');
+  return { gameType, enabled: Boolean(enabled) };
+}
+
+/**
+ * Catálogo dos jogos com a tabela de prêmios ativa de cada um
+ * @param {{includeDisabled?: boolean}} options - Por padrão lista apenas os jogos ativos
+ */
+export async function getGameCatalog({ includeDisabled = false } = {}) {
+  const disabled = await getDisabledGames();
+  const catalog = [];
+
+  for (const game of games.values()) {
+    const enabled = !disabled.includes(game.type);
+    if (!enabled && !includeDisabled) continue;
 
-    if (userResult.rows.length === 0) {
-      throw new Error('Usuário não encontrado');
+    const paytable = await getActivePaytable(game.type);
+    catalog.push({
+      type: game.type,
+      name: game.name,
+      description: game.description,
+      allowedBets: game.allowedBets,
+      cardsPerPlay: game.cardsPerPlay || 1,
+      resultSchema: game.resultSchema,
+      enabled,
+      paytable: {
+        id: paytable.id,
+        version: paytable.version,
+        definition: paytable.definition,
+        analysis: analyzePaytable(paytable.definition)
+      }
+    });
+  }
+
+  return catalog;
+}
+
+const SCHEMA_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+/**
+ * Confere se o resultado gerado pelo jogo tem os campos declarados em resultSchema
+ */
+function matchesSchema(value, schema) {
+  if (schema.type && !SCHEMA_TYPES[schema.type](value)) return false;
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    if ((schema.required || []).some(key => value[key] === undefined)) return false;
+    return Object.entries(properties).every(([key, prop]) => value[key] === undefined || value[key] === null || matchesSchema(value[key], prop));
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.every(item => matchesSchema(item, schema.items));
+  }
+
+  return true;
+}
+
+// ========== JOGOS PADRÃO ==========
+
+const GRID_SCHEMA = {
+  type: 'object',
+  required: ['rows', 'cols', 'cells'],
+  properties: {
+    rows: { type: 'number' },
+    cols: { type: 'number' },
+    cells: { type: 'array', items: { type: 'string' } },
+    winningSymbol: { type: 'string' },
+    winningCells: { type: 'array', items: { type: 'number' } },
+    nearMissSymbol: { type: 'string' }
+  }
+};
+
+const SINGLE_CARD_SCHEMA = {
+  type: 'object',
+  required: ['outcome', 'grid'],
+  properties: {
+    outcome: { type: 'string' },
+    grid: GRID_SCHEMA
+  }
+};
+
+/**
+ * Uma cartela: sorteio principal define o prêmio, a sequência da rodada monta a cartela
+ */
+function generateSingleCard({ betAmount, paytable, random, stream, nearMiss }) {
+  const { multiplier, prizeAmount, outcomeId, outcome, tier } = calculateScratchPrize(betAmount, paytable, random);
+  const grid = generateScratchGrid(tier, outcome, stream, nearMiss);
+
+  return { multiplier, prizeAmount, result: { outcome: outcomeId, grid } };
+}
+
+/**
+ * Pacote com várias cartelas: o preço é dividido igualmente entre elas.
+ * A primeira usa o sorteio principal e as demais, a sequência da rodada.
+ */
+function generateBundle(cardsPerPlay) {
+  return ({ betAmount, paytable, random, stream, nearMiss }) => {
+    const cardBet = Math.round((betAmount / cardsPerPlay) * 100) / 100;
+    const cards = [];
+
+    for (let i = 0; i < cardsPerPlay; i++) {
+      const card = calculateScratchPrize(cardBet, paytable, i === 0 ? random : stream());
+      cards.push({
+        outcome: card.outcomeId,
+        multiplier: card.multiplier,
+        prize: card.prizeAmount,
+        grid: generateScratchGrid(card.tier, card.outcome, stream, nearMiss)
+      });
     }
 
-    const user = userResult.rows[0];
-    const currentBalance = parseFloat(user.balance);
+    const prizeAmount = Math.round(cards.reduce((sum, c) => sum + c.prize, 0) * 100) / 100;
+
+    return {
+      multiplier: Math.round((prizeAmount / betAmount) * 100) / 100,
+      prizeAmount,
+      result: { cardBet, cards }
+    };
+  };
+}
+
+registerGame({
+  type: DEFAULT_GAME_TYPE,
+  name: 'Raspadinha Clássica',
+  description: 'Encontre 3 símbolos iguais e ganhe até 10x a aposta',
+  allowedBets: ALLOWED_BETS,
+  resultSchema: SINGLE_CARD_SCHEMA,
+  generateOutcome: generateSingleCard
+});
 
-    if (currentBalance < betAmount) {
-      throw new Error('Saldo insuficiente');
+registerGame({
+  type: 'scratch_lucky',
+  name: 'Pote de Ouro',
+  description: 'Raspadinha temática com prêmio máximo de 100x',
+  allowedBets: [1.00, 2.00, 5.00],
+  resultSchema: SINGLE_CARD_SCHEMA,
+  generateOutcome: generateSingleCard
+});
+
+registerGame({
+  type: 'scratch_mega',
+  name: 'Mega Raspadinha',
+  description: 'Cartela premium com prêmio máximo de 500x',
+  allowedBets: [10.00, 25.00, 50.00],
+  resultSchema: SINGLE_CARD_SCHEMA,
+  generateOutcome: generateSingleCard
+});
+
+const BUNDLE_CARDS = 5;
+
+registerGame({
+  type: 'scratch_bundle',
+  name: 'Pacote 5 Raspadinhas',
+  description: 'Cinco cartelas clássicas em uma única compra',
+  allowedBets: [2.50, 5.00, 10.00, 25.00],
+  cardsPerPlay: BUNDLE_CARDS,
+  resultSchema: {
+    type: 'object',
+    required: ['cardBet', 'cards'],
+    properties: {
+      cardBet: { type: 'number' },
+      cards: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['outcome', 'multiplier', 'prize', 'grid'],
+          properties: {
+            outcome: { type: 'string' },
+            multiplier: { type: 'number' },
+            prize: { type: 'number' },
+            grid: GRID_SCHEMA
+          }
+        }
+      }
     }
+  },
+  generateOutcome: generateBundle(BUNDLE_CARDS)
+});
 
-    // Obter RTP configurado
-    const rtpString = await getSetting('rtp_percentage');
-    const rtpPercentage = rtpString ? parseFloat(rtpString) : 95.0;
-
-    // Calcular prêmio
-    const { multiplier, prizeAmount } = calculateScratchPrize(betAmount, rtpPercentage);
-
-    // Atualizar saldo
-    const newBalance = currentBalance - betAmount + prizeAmount;
-    
-    // Reduzir rollover pela aposta realizada
-    const currentRollover = parseFloat(user.rollover_required || 0);
-    const newRollover = Math.max(0, currentRollover - betAmount);
-    
-    await client.query(
-      'UPDATE users SET balance = $1, rollover_required = $2 WHERE id = $3',
-      [newBalance, newRollover, userId]
-    );
+// Limite de cartelas por compra em lote
+export const MAX_BATCH_SIZE = 50;
+
+function assertPlayable(game, disabledGames, betAmount) {
+  if (disabledGames.includes(game.type)) {
+    throw new Error(`Jogo não encontrado ou desativado: ${game.type}`);
+  }
+
+  if (!isAllowedBet(game, betAmount)) {
+    throw new Error('Valor de aposta inválido. Escolha um dos valores permitidos.');
+  }
+}
+
+/**
+ * Joga `count` rodadas do mesmo jogo dentro de uma transação já aberta.
+ * O usuário é travado e o saldo (real + bônus + cartelas grátis) conferido uma única vez para o custo total;
+ * cada rodada escolhe quem a paga, consome o seu próprio nonce e grava a sua linha em game_rounds.
+ * Se uma aposta com saldo real ultrapassar um limite de jogo responsável, a jogada inteira é desfeita.
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @returns {Promise<{rounds: object[], finalBalance: number, bonusBalance: number}>}
+ */
+async function playRounds(client, userId, game, betAmount, count) {
+  // Buscar usuário e travar registro
+  const userResult = await client.query(
+    'SELECT id, balance, bonus_balance FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw new Error('Usuário não encontrado');
+  }
+
+  const user = userResult.rows[0];
+  const currentBalance = parseFloat(user.balance);
+  const totalCost = Math.round(betAmount * count * 100) / 100;
+
+  // Bônus vencidos não podem pagar apostas
+  await expireBonuses(client, userId);
+
+  if (await getAvailableFunds(client, userId, betAmount) < totalCost) {
+    throw new Error('Saldo insuficiente');
+  }
+
+  // Tabela de prêmios ativa do jogo
+  const paytable = await getActivePaytable(game.type, client);
+  const nearMiss = await getNearMissConfig();
+  let jackpotPool = await getJackpotPool(game.type, client);
+
+  // Limites de apostas e perdas do jogo responsável (só apostas com saldo real)
+  const betLimits = await createBetLimitGuard(client, userId);
+
+  const rounds = [];
+  let newBalance = currentBalance;
+  let bonusBalance = parseFloat(user.bonus_balance);
+
+  for (let i = 0; i < count; i++) {
+    // Cartela grátis, saldo real ou saldo de bônus
+    const funding = await chooseBetFunding(client, userId, betAmount, newBalance);
+
+    if (funding.source === 'cash') {
+      betLimits.check(betAmount);
+    }
+
+    // Gerar o resultado a partir do par server seed / client seed / nonce do usuário
+    const { random, stream, fairness } = await nextRoundRandom(client, userId);
+    const { multiplier, prizeAmount, result } = game.generateOutcome({
+      betAmount,
+      paytable: paytable.definition,
+      random,
+      stream,
+      nearMiss
+    });
+
+    if (!matchesSchema(result, game.resultSchema)) {
+      throw new Error(`Resultado gerado pelo jogo ${game.type} não corresponde ao esquema declarado`);
+    }
+
+    // Sorteio do jackpot com o próximo número da sequência, depois do resultado do jogo
+    const jackpot = drawJackpot(jackpotPool, betAmount, stream);
 
     // Registrar rodada de jogo
-    await client.query(
-      `INSERT INTO game_rounds (user_id, game_type, bet_amount, prize_amount, multiplier, result_data)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [userId, 'scratch_card', betAmount, prizeAmount, multiplier, JSON.stringify({ rtp: rtpPercentage })]
+    const roundResult = await client.query(
+      `INSERT INTO game_rounds (user_id, game_type, bet_amount, prize_amount, multiplier, result_data, paytable_id, paytable_version, funded_by, user_bonus_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        userId,
+        game.type,
+        betAmount,
+        prizeAmount,
+        multiplier,
+        JSON.stringify({ ...result, paytable_version: paytable.version, near_miss: nearMiss, jackpot, fairness }),
+        paytable.id,
+        paytable.version,
+        funding.source,
+        funding.source === 'cash' ? null : funding.userBonus.id
+      ]
     );
+    const roundId = roundResult.rows[0].id;
 
-    await client.query('COMMIT');
+    // Aposta paga com saldo real: debitar aposta e creditar prêmio no livro-razão
+    if (funding.source === 'cash') {
+      newBalance = await adjustUserBalance(client, userId, -betAmount, {
+        entryType: 'bet',
+        gameRoundId: roundId,
+        description: `Aposta ${game.name}`
+      });
 
-    return {
-      success: true,
+      if (prizeAmount > 0) {
+        newBalance = await adjustUserBalance(client, userId, prizeAmount, {
+          entryType: 'prize',
+          gameRoundId: roundId,
+          description: `Prêmio ${game.name} (${multiplier.toFixed(2)}x)`
+        });
+      }
+
+      // Apostas com saldo real abatem o rollover dos depósitos, do mais antigo para o mais novo
+      await applyRolloverContribution(client, userId, betAmount, roundId);
+      betLimits.record(betAmount, prizeAmount);
+    }
+
+    // Movimentar o bônus e o wagering (aposta com bônus / cartela grátis, ou contribuição da aposta real)
+    const bonus = await settleBonusRound(client, funding, {
+      userId,
+      betAmount,
+      prizeAmount,
+      multiplier,
+      gameRoundId: roundId,
+      gameName: game.name
+    });
+    newBalance = bonus.cashBalance ?? newBalance;
+    bonusBalance = bonus.bonusBalance ?? bonusBalance;
+
+    if (jackpot) {
+      const settled = await settleJackpot(client, jackpotPool, jackpot, { userId, gameRoundId: roundId });
+      jackpotPool = settled.jackpotPool;
+      jackpot.amount = settled.amount;
+      newBalance = settled.newBalance ?? newBalance;
+    }
+
+    rounds.push({
+      roundId,
       prize: prizeAmount,
-      finalBalance: newBalance,
       multiplier,
-      betAmount
+      betAmount,
+      fundedBy: funding.source,
+      ...result,
+      jackpot: jackpot && { won: jackpot.won, amount: jackpot.amount, pool: parseFloat(jackpotPool.current_amount) },
+      bonusReleased: bonus.released || undefined,
+      fairness: {
+        server_seed_hash: fairness.server_seed_hash,
+        client_seed: fairness.client_seed,
+        nonce: fairness.nonce
+      }
+    });
+  }
+
+  return { rounds, finalBalance: newBalance, bonusBalance };
+}
+
+/**
+ * Executa uma rodada de qualquer jogo registrado
+ * @param {string} userId - ID do usuário
+ * @param {string} gameType - Tipo de jogo registrado
+ * @param {number} betAmount - Valor da aposta
+ * @returns {Promise<{success: boolean, gameType: string, prize: number, finalBalance: number, multiplier: number, roundId: string}>}
+ */
+export async function playGame(userId, gameType, betAmount) {
+  const game = getGame(gameType);
+  assertPlayable(game, await getDisabledGames(), betAmount);
+
+  const { rounds, finalBalance, bonusBalance } = await withTransaction(client => playRounds(client, userId, game, betAmount, 1));
+
+  return {
+    success: true,
+    gameType: game.type,
+    finalBalance,
+    bonusBalance,
+    ...rounds[0]
+  };
+}
+
+/**
+ * Compra várias cartelas do mesmo valor em uma única transação
+ * @param {string} userId - ID do usuário
+ * @param {string} gameType - Tipo de jogo registrado
+ * @param {number} betAmount - Valor de cada cartela
+ * @param {number} count - Quantidade de cartelas (1 a MAX_BATCH_SIZE)
+ */
+export async function playBatch(userId, gameType, betAmount, count) {
+  const game = getGame(gameType);
+  assertPlayable(game, await getDisabledGames(), betAmount);
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_SIZE) {
+    throw new Error(`Quantidade de cartelas inválida (1 a ${MAX_BATCH_SIZE})`);
+  }
+
+  const { rounds, finalBalance, bonusBalance } = await withTransaction(client => playRounds(client, userId, game, betAmount, count));
+
+  const totalPrize = Math.round(rounds.reduce((sum, r) => sum + r.prize, 0) * 100) / 100;
+  const totalBet = Math.round(betAmount * count * 100) / 100;
+
+  return {
+    success: true,
+    gameType: game.type,
+    count,
+    betAmount,
+    totalBet,
+    totalPrize,
+    net: Math.round((totalPrize - totalBet) * 100) / 100,
+    winningCards: rounds.filter(r => r.prize > 0).length,
+    finalBalance,
+    bonusBalance,
+    rounds
+  };
+}
+
+/**
+ * Executa uma rodada da raspadinha clássica
+ * @param {string} userId - ID do usuário
+ * @param {number} betAmount - Valor da aposta
+ */
+export async function playScratchCard(userId, betAmount) {
+  return playGame(userId, DEFAULT_GAME_TYPE, betAmount);
+}
+
+/**
+ * JSON com chaves ordenadas: o JSONB do Postgres não preserva a ordem das chaves
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Recalcula o resultado de uma rodada a partir das seeds e compara com o que foi gravado
+ * Só é possível depois que o par de seeds da rodada foi rotacionado (server seed revelada)
+ * @param {string} userId - ID do usuário
+ * @param {string} roundId - ID da rodada
+ */
+export async function verifyRound(userId, roundId) {
+  const result = await pool.query(
+    'SELECT id, game_type, bet_amount, prize_amount, multiplier, result_data, paytable_id, paytable_version, created_at FROM game_rounds WHERE id = $1 AND user_id = $2',
+    [roundId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Rodada não encontrada');
+  }
+
+  const round = result.rows[0];
+  const fairness = round.result_data?.fairness;
+
+  if (!fairness) {
+    return { verifiable: false, round, message: 'Rodada anterior ao modo provably fair' };
+  }
+
+  const seed = await getRevealedSeed(userId, fairness.seed_id);
+
+  if (!seed) {
+    return {
+      verifiable: false,
+      round,
+      fairness,
+      message: 'A server seed desta rodada ainda está ativa. Gere um novo par de seeds para revelá-la.'
     };
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
   }
+
+  const hmac = computeRoundHmac(seed.server_seed, fairness.client_seed, fairness.nonce);
+  const random = hmacToFloat(hmac);
+  const betAmount = parseFloat(round.bet_amount);
+
+  let recalculated;
+  let resultMatches = true;
+  if (round.paytable_version !== null && round.paytable_version !== undefined) {
+    const game = getGame(round.game_type);
+    const definition = round.paytable_id
+      ? (await getPaytableById(round.paytable_id)).definition
+      : DEFAULT_PAYTABLES[round.game_type] || DEFAULT_PAYTABLE;
+    const stream = createRandomStream(seed.server_seed, fairness.client_seed, fairness.nonce);
+    const generated = game.generateOutcome({
+      betAmount,
+      paytable: definition,
+      random,
+      stream,
+      nearMiss: round.result_data.near_miss || DEFAULT_NEAR_MISS
+    });
+
+    recalculated = { multiplier: generated.multiplier, prizeAmount: generated.prizeAmount, ...generated.result };
+
+    // O jackpot é sorteado com o número seguinte da sequência, só nas apostas elegíveis
+    const storedJackpot = round.result_data.jackpot;
+    if (storedJackpot) {
+      recalculated.jackpotWon = isJackpotHit(stream(), storedJackpot.hit_odds);
+      resultMatches = recalculated.jackpotWon === storedJackpot.won;
+    }
+
+    // Rodadas gravadas antes da cartela não têm grid para comparar
+    resultMatches = resultMatches && Object.entries(generated.result).every(([key, value]) =>
+      round.result_data[key] === undefined || canonicalJson(round.result_data[key]) === canonicalJson(value)
+    );
+  } else {
+    recalculated = calculateLegacyScratchPrize(betAmount, round.result_data.rtp, random);
+  }
+
+  const valid = hmac === fairness.hmac &&
+    Math.abs(recalculated.prizeAmount - parseFloat(round.prize_amount)) < 0.005 &&
+    resultMatches;
+
+  return {
+    verifiable: true,
+    valid,
+    round,
+    fairness: { ...fairness, server_seed: seed.server_seed },
+    recalculated: { hmac, random, ...recalculated }
+  };
 }
@@ -6,12 +6,32 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { initDatabase, pool, getSetting, setSetting } from './db.js';
-import { registerUser, loginUser, getUserById, updateUserBalance, updateRollover, applyFirstDepositRollover } from './auth.js';
-import { authMiddleware, adminMiddleware, errorHandler } from './middleware.js';
-import { playScratchCard, ALLOWED_BETS } from './gameEngine.js';
+import { registerUser, loginUser, getUserById, verifyToken } from './auth.js';
+import { authMiddleware, adminMiddleware, errorHandler, rateLimit, sessionLimitMiddleware, exclusionMiddleware } from './middleware.js';
+import { playScratchCard, playGame, playBatch, MAX_BATCH_SIZE, getGame, isAllowedBet, getGameCatalog, setGameEnabled, verifyRound, ALLOWED_BETS } from './gameEngine.js';
+import { getSeedInfo, rotateSeed } from './provablyFair.js';
+import { DEFAULT_GAME_TYPE, getActivePaytable, getPaytableById, listPaytables, createPaytable, activatePaytable, validatePaytable } from './paytable.js';
+import { simulateRtp, simulationToCsv } from './simulator.js';
+import { getNearMissConfig, setNearMissConfig } from './scratchGrid.js';
+import { listJackpots, listJackpotWins, updateJackpotPool, getJackpotRules } from './jackpot.js';
 import * as BullsPay from './bullspay.js';
-import { isValidWebhookSource } from './bullspay.js';
+import { listWebhookRejections } from './webhooks.js';
+import { WEBHOOK_JOB, WEBHOOK_EVENT_STATUSES, receiveWebhook, triggerWebhookProcessing, listWebhookEvents, getWebhookEvent, replayWebhookEvent, startWebhookWorker } from './webhookInbox.js';
+import { getPaymentProvider, getRoutedProvider, getProviderRouting, setProviderRoute, listPaymentProviders, isPayoutRejected } from './paymentProviders.js';
 import { checkUserFraud, getFraudAlerts, resolveFraudAlert } from './fraud.js';
+import { getUserLedger, reconcileBalances } from './ledger.js';
+import { syncDepositWithGateway, refundDeposit } from './deposits.js';
+import { getTransactionStatusHistory, mapGatewayStatus } from './transactionState.js';
+import { createWithdrawal, claimWithdrawalForApproval, rejectWithdrawal, applyWithdrawalStatus, syncWithdrawalWithGateway, recordPayout } from './withdrawals.js';
+import { getUserBonuses, grantFreeCards, listCampaigns, createCampaign, setCampaignActive } from './bonus.js';
+import { getRolloverStatus, getRolloverPolicy, setRolloverPolicy, setUserVip } from './rollover.js';
+import { getUserLimits, setUserLimit, assertDepositWithinLimits, endSession } from './limits.js';
+import { excludeUser, getExclusionStatus } from './exclusion.js';
+import { runWithLock, getScheduledJobs } from './scheduler.js';
+import { RECONCILIATION_JOB, reconcilePendingTransactions, startReconciliationWorker } from './reconciliation.js';
+import { runSettlementReport, listSettlementReports, getSettlementReport, settlementReportToCsv, startSettlementWorker } from './settlement.js';
+import { addPixKey, confirmPixKey, removePixKey, listPixKeys, listPendingPixKeys, reviewPixKey, checkWithdrawalPixKey, getPixKeyCooldownHours } from './pixKeys.js';
+import { uploadKycDocument, submitKyc, getKycStatus, listKycSubmissions, reviewKycSubmission, getKycDocument, getKycThreshold } from './kyc.js';
 
 dotenv.config();
 
@@ -21,11 +41,22 @@ const PORT = process.env.PORT || 5000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Atrás do proxy do Replit: req.ip passa a ser o IP do cliente (usado no limite por IP)
+app.set('trust proxy', 1);
+
 // Middlewares
 app.use(cors({
   origin: process.env.FRONTEND_URL || true,
   credentials: true
 }));
+// Upload de documentos do KYC em base64: limite maior só nesta rota
+app.use('/api/kyc/documents', bodyParser.json({ limit: '8mb' }));
+// Webhooks: guardar o corpo bruto, que é o que a assinatura HMAC cobre
+app.use('/webhook', bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.json());
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, '..', 'web')));
@@ -41,8 +72,8 @@ const cookieOptions = {
 
 app.post('/api/auth/register', async (req, res, next) => {
   try {
-    const { username, email, password, cpf } = req.body;
-    const result = await registerUser({ username, email, password, cpf });
+    const { username, email, password, cpf, birthDate } = req.body;
+    const result = await registerUser({ username, email, password, cpf, birthDate });
     
     res.cookie('token', result.token, cookieOptions);
     res.json({ success: true, user: result.user });
@@ -51,13 +82,13 @@ app.post('/api/auth/register', async (req, res, next) => {
   }
 });
 
-app.post('/api/auth/login', async (req, res, next) => {
+app.post('/api/auth/login', rateLimit('login'), async (req, res, next) => {
   try {
     const { email, password } = req.body;
     const result = await loginUser({ email, password });
     
     res.cookie('token', result.token, cookieOptions);
-    res.json({ success: true, user: result.user });
+    res.json({ success: true, user: result.user, exclusion: result.exclusion });
   } catch (error) {
     next(error);
   }
@@ -72,7 +103,18 @@ app.get('/api/auth/profile', authMiddleware, async (req, res, next) => {
   }
 });
 
-app.post('/api/auth/logout', (req, res) => {
+app.post('/api/auth/logout', async (req, res) => {
+  // Encerrar a sessão de jogo do token, se ainda for válido
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '') || req.cookies?.token;
+    const decoded = token && verifyToken(token);
+    if (decoded?.sessionId) {
+      await endSession(decoded.sessionId, decoded.userId);
+    }
+  } catch (error) {
+    // Token expirado ou inválido: só limpar o cookie
+  }
+
   res.clearCookie('token', {
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
@@ -89,6 +131,7 @@ app.get('/api/wallet/balance', authMiddleware, async (req, res, next) => {
     res.json({ 
       success: true, 
       balance: user.balance,
+      bonus_balance: user.bonus_balance,
       rollover_required: user.rollover_required || 0
     });
   } catch (error) {
@@ -96,6 +139,16 @@ app.get('/api/wallet/balance', authMiddleware, async (req, res, next) => {
   }
 });
 
+// Rollover pendente por depósito e as apostas que contaram para cada um
+app.get('/api/wallet/rollover', authMiddleware, async (req, res, next) => {
+  try {
+    const rollover = await getRolloverStatus(req.user.userId);
+    res.json({ success: true, ...rollover });
+  } catch (error) {
+    next(error);
+  }
+});
+
 app.get('/api/wallet/transactions', authMiddleware, async (req, res, next) => {
   try {
     const { limit = 20 } = req.query;
@@ -115,9 +168,101 @@ app.get('/api/wallet/transactions', authMiddleware, async (req, res, next) => {
   }
 });
 
+// ========== BÔNUS ==========
+
+app.get('/api/bonus', authMiddleware, async (req, res, next) => {
+  try {
+    const bonuses = await getUserBonuses(req.user.userId);
+    res.json({ success: true, ...bonuses });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resgatar cartelas grátis por código
+app.post('/api/bonus/redeem', authMiddleware, exclusionMiddleware, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Informe o código do bônus' });
+    }
+
+    const bonus = await grantFreeCards(req.user.userId, { code });
+    res.json({ success: true, bonus });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ========== JOGO RESPONSÁVEL ==========
+
+// Limites do jogador (e do admin), pendências, uso no período e tempo da sessão atual
+app.get('/api/limits', authMiddleware, async (req, res, next) => {
+  try {
+    const limits = await getUserLimits(req.user.userId, { sessionId: req.user.sessionId });
+    res.json({ success: true, ...limits });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Definir, alterar ou remover (amount: null) um limite; aumentos e remoções aguardam o período de espera
+app.post('/api/limits', authMiddleware, async (req, res, next) => {
+  try {
+    const { type, period, amount } = req.body;
+
+    if (!type) {
+      return res.status(400).json({ error: 'Informe o tipo de limite' });
+    }
+
+    const result = await setUserLimit(req.user.userId, { type, period, amount });
+    res.json({
+      success: true,
+      ...result,
+      message: result.applied ? 'Limite atualizado' : 'Aumento registrado: vale após o período de espera'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Autoexclusão em vigor e histórico
+app.get('/api/exclusion', authMiddleware, async (req, res, next) => {
+  try {
+    const status = await getExclusionStatus(req.user.userId);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Autoexclusão pelo jogador (24h, 7d, 30d, 6m ou permanent); não pode ser encurtada depois
+app.post('/api/exclusion', authMiddleware, async (req, res, next) => {
+  try {
+    const { period, reason } = req.body;
+
+    if (!period) {
+      return res.status(400).json({ error: 'Informe o período da autoexclusão' });
+    }
+
+    const exclusion = await excludeUser(req.user.userId, { period, reason, source: 'player', actorId: req.user.userId });
+
+    // Encerrar o acesso atual: o próximo login recebe o token restrito
+    res.clearCookie('token', {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict'
+    });
+    res.json({ success: true, exclusion });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ========== DEPÓSITOS ==========
 
-app.post('/api/deposit/create', authMiddleware, async (req, res, next) => {
+app.post('/api/deposit/create', authMiddleware, exclusionMiddleware, rateLimit('depositCreate'), async (req, res, next) => {
   try {
     const { amount } = req.body;
     const user = await getUserById(req.user.userId);
@@ -126,13 +271,14 @@ app.post('/api/deposit/create', authMiddleware, async (req, res, next) => {
       return res.status(400).json({ error: 'Valor mínimo de depósito é R$ 6,00' });
     }
 
-    // Criar transação na BullsPay
-    const transaction = await BullsPay.createTransaction({
+    // Limites de depósito do jogo responsável
+    await assertDepositWithinLimits(user.id, parseFloat(amount));
+
+    // Criar a cobrança no provedor configurado para depósitos
+    const provider = await getRoutedProvider('deposit');
+    const charge = await provider.createCharge({
       amount: parseFloat(amount),
-      buyerName: user.username,
-      buyerEmail: user.email,
-      buyerDocument: user.cpf,
-      buyerPhone: '',
+      buyer: { name: user.username, email: user.email, document: user.cpf, phone: '' },
       externalId: `dep_${user.id}_${Date.now()}`
     });
 
@@ -141,18 +287,19 @@ app.post('/api/deposit/create', authMiddleware, async (req, res, next) => {
 
     // Salvar no banco de dados
     const result = await pool.query(
-      `INSERT INTO transactions (user_id, type, amount, status, gateway_id, gateway_data, pix_qr_code, pix_qr_code_base64, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `INSERT INTO transactions (user_id, type, amount, status, provider, gateway_id, gateway_data, pix_qr_code, pix_qr_code_base64, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING *`,
       [
         user.id,
         'deposit',
         amount,
-        transaction.status,
-        transaction.unic_id,
-        JSON.stringify(transaction.raw),
-        transaction.qr_code_text,
-        transaction.qr_code_base64,
+        mapGatewayStatus('deposit', charge.status) || 'pending',
+        provider.name,
+        charge.id,
+        JSON.stringify(charge.raw),
+        charge.qrCode,
+        charge.qrCodeBase64,
         expiresAt
       ]
     );
@@ -160,9 +307,9 @@ app.post('/api/deposit/create', authMiddleware, async (req, res, next) => {
     res.json({
       success: true,
       transaction: result.rows[0],
-      qr_code: transaction.qr_code_text,
-      qr_code_base64: transaction.qr_code_base64,
-      payment_url: transaction.payment_url,
+      qr_code: charge.qrCode,
+      qr_code_base64: charge.qrCodeBase64,
+      payment_url: charge.paymentUrl,
       expires_at: expiresAt
     });
   } catch (error) {
@@ -183,50 +330,18 @@ app.get('/api/deposit/check/:transactionId', authMiddleware, async (req, res, ne
       return res.status(404).json({ error: 'Transação não encontrada' });
     }
 
-    const transaction = result.rows[0];
-    
-    // Verificar se expirou (5 minutos)
-    if (transaction.expires_at && new Date() > new Date(transaction.expires_at) && transaction.status === 'pending') {
-      await pool.query(
-        'UPDATE transactions SET status = $1, updated_at = NOW() WHERE id = $2',
-        ['expired', transaction.id]
-      );
-      transaction.status = 'expired';
-      return res.json({ success: true, status: 'expired', transaction, message: 'Depósito expirado' });
-    }
+    let transaction = result.rows[0];
     
-    // Se já foi pago ou expirou, retornar status
-    if (['paid', 'expired'].includes(transaction.status)) {
+    // Se já foi pago, retornar status
+    if (transaction.status === 'paid') {
       return res.json({ success: true, status: transaction.status, transaction });
     }
 
-    // Verificar status na BullsPay
-    const bullsPayTransactions = await BullsPay.listTransactions({ id: transaction.gateway_id, limit: 1 });
-    
-    if (bullsPayTransactions.transactions.length > 0) {
-      const bullsPayTx = bullsPayTransactions.transactions[0];
-      
-      // Se o status mudou, atualizar no banco
-      if (bullsPayTx.status !== transaction.status) {
-        await pool.query(
-          'UPDATE transactions SET status = $1, gateway_data = $2, updated_at = NOW() WHERE id = $3',
-          [bullsPayTx.status, JSON.stringify(bullsPayTx), transaction.id]
-        );
-
-        // Se foi pago, creditar saldo
-        if (bullsPayTx.status === 'paid') {
-          await updateUserBalance(req.user.userId, transaction.amount, 'add');
-          
-          // Aplicar rollover de forma atômica apenas se for o primeiro depósito
-          const rolloverApplied = await applyFirstDepositRollover(req.user.userId, transaction.amount);
-          
-          if (rolloverApplied) {
-            console.log(`Primeiro depósito! Rollover de R$ ${transaction.amount} aplicado para usuário ${req.user.userId}`);
-          }
-        }
-
-        transaction.status = bullsPayTx.status;
-      }
+    // Verificar status no provedor (pago liquida, mesmo depois de expirado; pendente depois de 5 minutos expira)
+    transaction = await syncDepositWithGateway(transaction);
+
+    if (transaction.status === 'expired') {
+      return res.json({ success: true, status: 'expired', transaction, message: 'Depósito expirado' });
     }
 
     res.json({ success: true, status: transaction.status, transaction });
@@ -237,27 +352,17 @@ app.get('/api/deposit/check/:transactionId', authMiddleware, async (req, res, ne
 
 // ========== SAQUES ==========
 
-app.post('/api/withdrawal/create', authMiddleware, async (req, res, next) => {
+app.post('/api/withdrawal/create', authMiddleware, rateLimit('withdrawalCreate'), async (req, res, next) => {
   try {
-    let { amount, pixKeyType, pixKey } = req.body;
+    let { amount, pixKeyId, pixKeyType, pixKey } = req.body;
     const user = await getUserById(req.user.userId);
     
     if (!amount || amount < 10) {
       return res.status(400).json({ error: 'Valor mínimo de saque é R$ 10,00' });
     }
 
-    if (user.balance < amount) {
-      return res.status(400).json({ error: 'Saldo insuficiente' });
-    }
-
-    if (user.rollover_required > 0) {
-      return res.status(400).json({ 
-        error: `Você precisa apostar mais R$ ${user.rollover_required.toFixed(2)} antes de sacar. Complete o rollover jogando!` 
-      });
-    }
-
     // Auto-preencher chave PIX se não fornecida
-    if (!pixKey || pixKey.trim() === '') {
+    if (!pixKeyId && (!pixKey || pixKey.trim() === '')) {
       if (pixKeyType === 'cpf') {
         pixKey = user.cpf;
       } else if (pixKeyType === 'email') {
@@ -265,159 +370,665 @@ app.post('/api/withdrawal/create', authMiddleware, async (req, res, next) => {
       }
     }
 
-    if (!pixKey) {
+    if (!pixKeyId && !pixKey) {
       return res.status(400).json({ error: 'Chave PIX é obrigatória' });
     }
 
+    // Só é permitido sacar para uma chave do próprio titular, verificada e fora da carência
+    const pixKeyCheck = await checkWithdrawalPixKey(user.id, { pixKeyId, pixKeyType, pixKey });
+    if (!pixKeyCheck.allowed) {
+      return res.status(403).json({
+        error: pixKeyCheck.reason,
+        pix_key_status: pixKeyCheck.pixKey?.status || null
+      });
+    }
+
     // Verificar fraude antes de permitir saque
     const fraudCheck = await checkUserFraud(user.id);
     
-    // Deduzir saldo
-    await updateUserBalance(user.id, amount, 'subtract');
+    // Saldo, rollover e KYC são conferidos com o usuário travado, na mesma transação que insere o saque e reserva o valor
+    const result = await createWithdrawal(user.id, {
+      amount,
+      pixKey: pixKeyCheck.pixKey,
+      adminNotes: fraudCheck.riskScore > 50 ? `Alto risco de fraude (Score: ${fraudCheck.riskScore})` : null
+    });
 
-    // Salvar no banco de dados com status pending_approval (aguardando aprovação manual)
-    const result = await pool.query(
-      `INSERT INTO transactions (user_id, type, amount, status, pix_key_type, pix_key, admin_notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [
-        user.id,
-        'withdrawal',
-        amount,
-        'pending_approval',
-        pixKeyType,
-        pixKey,
-        fraudCheck.riskScore > 50 ? `Alto risco de fraude (Score: ${fraudCheck.riskScore})` : null
-      ]
-    );
+    if (!result.created) {
+      if (result.reason === 'insufficient_balance') {
+        return res.status(400).json({ error: 'Saldo insuficiente' });
+      }
+
+      if (result.reason === 'rollover') {
+        return res.status(400).json({ 
+          error: `Você precisa apostar mais R$ ${result.outstanding.toFixed(2)} antes de sacar. Complete o rollover jogando!`,
+          rollover: await getRolloverStatus(user.id)
+        });
+      }
+
+      // Acima do limite acumulado de saques, exigir KYC aprovado
+      return res.status(403).json({
+        error: `Saques acima de R$ ${result.kyc.threshold.toFixed(2)} no total exigem verificação de identidade (KYC) aprovada`,
+        kyc_status: result.kyc.kycStatus
+      });
+    }
 
     res.json({ 
       success: true, 
-      transaction: result.rows[0],
+      transaction: result.transaction,
       message: 'Saque em análise. Você será notificado quando for aprovado.'
     });
   } catch (error) {
-    // Se falhar, devolver o saldo
-    if (req.user?.userId && amount) {
-      try {
-        await updateUserBalance(req.user.userId, amount, 'add');
-      } catch (rollbackError) {
-        console.error('Erro ao devolver saldo:', rollbackError);
-      }
-    }
     next(error);
   }
 });
 
-app.get('/api/withdrawal/check/:transactionId', authMiddleware, async (req, res, next) => {
+app.get('/api/withdrawal/check/:transactionId', authMiddleware, async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+    
+    const result = await pool.query(
+      'SELECT * FROM transactions WHERE id = $1 AND user_id = $2',
+      [transactionId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Transação não encontrada' });
+    }
+
+    let transaction = result.rows[0];
+    
+    // Se já foi pago, falhou ou ainda não chegou ao provedor, retornar status
+    if (['paid', 'failed', 'canceled', 'rejected'].includes(transaction.status) || !transaction.gateway_id) {
+      return res.json({ success: true, status: transaction.status, transaction });
+    }
+
+    // Verificar status no provedor (pago captura a reserva; falhou/cancelado devolve o saldo)
+    const sync = await syncWithdrawalWithGateway(transaction);
+    transaction = sync.transaction;
+
+    res.json({ success: true, status: transaction.status, transaction });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ========== KYC ==========
+
+app.get('/api/kyc', authMiddleware, async (req, res, next) => {
+  try {
+    const kyc = await getKycStatus(req.user.userId);
+    res.json({ success: true, ...kyc });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Enviar um documento (id_front, id_back ou selfie) em base64
+app.post('/api/kyc/documents', authMiddleware, async (req, res, next) => {
+  try {
+    const { docType, contentType, data } = req.body;
+
+    if (!docType || !contentType || !data) {
+      return res.status(400).json({ error: 'Informe docType, contentType e data (base64)' });
+    }
+
+    const document = await uploadKycDocument(req.user.userId, { docType, contentType, data });
+    res.json({ success: true, document });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submeter os documentos enviados para análise
+app.post('/api/kyc/submit', authMiddleware, async (req, res, next) => {
+  try {
+    const submission = await submitKyc(req.user.userId);
+    res.json({ success: true, submission });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ========== CHAVES PIX ==========
+
+app.get('/api/pix-keys', authMiddleware, async (req, res, next) => {
+  try {
+    const pixKeys = await listPixKeys(req.user.userId);
+    res.json({ success: true, pixKeys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cadastrar chave PIX (CPF da conta é verificado na hora; e-mail/telefone recebem código; CNPJ/aleatória vão para o admin)
+app.post('/api/pix-keys', authMiddleware, rateLimit('pixKey'), async (req, res, next) => {
+  try {
+    const { keyType, keyValue } = req.body;
+
+    if (!keyType || !keyValue) {
+      return res.status(400).json({ error: 'Informe keyType e keyValue' });
+    }
+
+    const pixKey = await addPixKey(req.user.userId, { keyType, keyValue });
+    res.json({ success: true, pixKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/pix-keys/:id/confirm', authMiddleware, rateLimit('pixKey'), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Código é obrigatório' });
+    }
+
+    const result = await confirmPixKey(req.user.userId, req.params.id, code);
+
+    if (!result.confirmed) {
+      return res.status(400).json({
+        error: `Código incorreto. Tentativas restantes: ${result.attemptsLeft}`,
+        attempts_left: result.attemptsLeft
+      });
+    }
+
+    res.json({ success: true, pixKey: result.pixKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/pix-keys/:id', authMiddleware, async (req, res, next) => {
+  try {
+    await removePixKey(req.user.userId, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ========== JOGOS ==========
+
+app.post('/api/game/scratch', authMiddleware, rateLimit('game'), exclusionMiddleware, sessionLimitMiddleware, async (req, res, next) => {
+  try {
+    const { betAmount } = req.body;
+    const betValue = parseFloat(betAmount);
+    
+    if (!betAmount || !ALLOWED_BETS.includes(parseFloat(betValue.toFixed(2)))) {
+      return res.status(400).json({ 
+        error: 'Valor de aposta inválido',
+        allowed_bets: ALLOWED_BETS
+      });
+    }
+
+    const result = await playScratchCard(req.user.userId, betValue);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compra de várias cartelas em uma única transação
+app.post('/api/game/scratch/batch', authMiddleware, rateLimit('game'), exclusionMiddleware, sessionLimitMiddleware, async (req, res, next) => {
+  try {
+    const { betAmount, count } = req.body;
+    const betValue = parseFloat(betAmount);
+    const cardCount = parseInt(count);
+
+    if (!betAmount || !ALLOWED_BETS.includes(parseFloat(betValue.toFixed(2)))) {
+      return res.status(400).json({
+        error: 'Valor de aposta inválido',
+        allowed_bets: ALLOWED_BETS
+      });
+    }
+
+    if (!Number.isInteger(cardCount) || cardCount < 1 || cardCount > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `Quantidade de cartelas deve ser entre 1 e ${MAX_BATCH_SIZE}` });
+    }
+
+    const result = await playBatch(req.user.userId, DEFAULT_GAME_TYPE, betValue, cardCount);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Jogos ativos com a tabela de prêmios vigente de cada um
+app.get('/api/game/catalog', async (req, res, next) => {
+  try {
+    const games = await getGameCatalog();
+    res.json({ success: true, games });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/game/:gameType/play', authMiddleware, rateLimit('game'), exclusionMiddleware, sessionLimitMiddleware, async (req, res, next) => {
+  try {
+    const game = getGame(req.params.gameType);
+    const { betAmount } = req.body;
+    const betValue = parseFloat(betAmount);
+
+    if (!betAmount || !isAllowedBet(game, betValue)) {
+      return res.status(400).json({
+        error: 'Valor de aposta inválido',
+        allowed_bets: game.allowedBets
+      });
+    }
+
+    const result = await playGame(req.user.userId, game.type, betValue);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/game/history', authMiddleware, async (req, res, next) => {
+  try {
+    const { limit = 20 } = req.query;
+    
+    const result = await pool.query(
+      `SELECT id, game_type, bet_amount, prize_amount, multiplier, result_data->'grid' AS grid, result_data->'cards' AS cards, created_at 
+       FROM game_rounds 
+       WHERE user_id = $1 
+       ORDER BY created_at DESC 
+       LIMIT $2`,
+      [req.user.userId, parseInt(limit)]
+    );
+    
+    res.json({ success: true, rounds: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ========== JACKPOT ==========
+
+// Valor atual dos jackpots (público)
+app.get('/api/jackpot', async (req, res, next) => {
+  try {
+    const jackpots = await listJackpots();
+    res.json({ success: true, jackpots });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ========== PROVABLY FAIR ==========
+
+// Par de seeds ativo (apenas o hash da server seed) e o último par revelado
+app.get('/api/fairness/seeds', authMiddleware, async (req, res, next) => {
+  try {
+    const seeds = await getSeedInfo(req.user.userId);
+    res.json({ success: true, ...seeds });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revelar a server seed atual e gerar um novo par (client seed opcional)
+app.post('/api/fairness/seeds/rotate', authMiddleware, async (req, res, next) => {
+  try {
+    const { clientSeed } = req.body;
+    const seeds = await rotateSeed(req.user.userId, clientSeed);
+    res.json({ success: true, ...seeds });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verificar uma rodada passada recalculando o resultado a partir das seeds reveladas
+app.get('/api/fairness/verify/:roundId', authMiddleware, async (req, res, next) => {
+  try {
+    const verification = await verifyRound(req.user.userId, req.params.roundId);
+    res.json({ success: true, ...verification });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ========== ADMIN ==========
+
+app.get('/api/admin/rtp', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const rtp = await getSetting('rtp_percentage');
+    res.json({ success: true, rtp_percentage: parseFloat(rtp) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/rtp', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { rtp_percentage } = req.body;
+    
+    if (rtp_percentage === null || rtp_percentage === undefined || rtp_percentage < 0 || rtp_percentage > 100) {
+      return res.status(400).json({ error: 'RTP deve estar entre 0% e 100%' });
+    }
+
+    await setSetting('rtp_percentage', rtp_percentage.toString(), 'Return to Player percentage for scratch cards');
+
+    // O RTP é o alvo das tabelas de prêmios: avisar se a tabela ativa ficou fora dele
+    const activePaytable = await getActivePaytable(DEFAULT_GAME_TYPE);
+    const jackpot = await getJackpotRules(DEFAULT_GAME_TYPE);
+    const { valid, errors } = validatePaytable(activePaytable.definition, { targetRtp: parseFloat(rtp_percentage), jackpot });
+
+    res.json({
+      success: true,
+      rtp_percentage,
+      paytable_warning: valid ? null : `A tabela de prêmios ativa (v${activePaytable.version}) não atinge o novo RTP: ${errors.join('; ')}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Simulação Monte Carlo do RTP (não grava nada no banco)
+const MAX_SIMULATION_ROUNDS = 200000;
+
+app.post('/api/admin/rtp/simulate', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { rounds = 100000, bets, sessionLength = 100, definition, paytableId, format = 'json' } = req.body;
+    const roundsPerBet = parseInt(rounds);
+
+    if (!roundsPerBet || roundsPerBet <= 0 || roundsPerBet > MAX_SIMULATION_ROUNDS) {
+      return res.status(400).json({ error: `Rodadas por aposta devem estar entre 1 e ${MAX_SIMULATION_ROUNDS}. Use scripts/simulate-rtp.js para simulações maiores.` });
+    }
+
+    // Tabela candidata enviada, versão salva ou a tabela ativa
+    let paytable;
+    if (definition) {
+      paytable = definition;
+    } else if (paytableId) {
+      paytable = (await getPaytableById(paytableId)).definition;
+    } else {
+      paytable = (await getActivePaytable(DEFAULT_GAME_TYPE)).definition;
+    }
+
+    // A contribuição ao jackpot da raspadinha entra no RTP total
+    const jackpot = await getJackpotRules(DEFAULT_GAME_TYPE);
+    const { valid, errors } = validatePaytable(paytable, { jackpot });
+    if (!valid) {
+      return res.status(400).json({ error: 'Tabela de prêmios inválida', errors });
+    }
+
+    const simulation = simulateRtp({
+      rounds: roundsPerBet,
+      bets: Array.isArray(bets) ? bets.map(parseFloat) : undefined,
+      sessionLength: parseInt(sessionLength),
+      paytable,
+      jackpot
+    });
+
+    if (format === 'csv') {
+      res.type('text/csv').send(simulationToCsv(simulation));
+      return;
+    }
+
+    res.json({ success: true, simulation });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Regras de quase-acerto da cartela
+app.get('/api/admin/near-miss', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const nearMiss = await getNearMissConfig();
+    res.json({ success: true, nearMiss });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/near-miss', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const nearMiss = await setNearMissConfig(req.body);
+    res.json({ success: true, nearMiss });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Política de rollover
+app.get('/api/admin/rollover-policy', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const policy = await getRolloverPolicy();
+    res.json({ success: true, policy });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/rollover-policy', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const policy = await setRolloverPolicy(req.body);
+    res.json({ success: true, policy });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/users/:id/vip', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { vip } = req.body;
+
+    if (typeof vip !== 'boolean') {
+      return res.status(400).json({ error: 'Informe vip (true ou false)' });
+    }
+
+    const user = await setUserVip(req.params.id, vip);
+    res.json({ success: true, user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Autoexclusão imposta pelo admin e trilha de auditoria
+app.get('/api/admin/users/:id/exclusions', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const status = await getExclusionStatus(req.params.id);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/users/:id/exclusion', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { period, reason } = req.body;
+
+    if (!period || !reason) {
+      return res.status(400).json({ error: 'Informe o período e o motivo da exclusão' });
+    }
+
+    const exclusion = await excludeUser(req.params.id, { period, reason, source: 'admin', actorId: req.user.userId });
+    res.json({ success: true, exclusion });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Limites de jogo responsável de um usuário
+app.get('/api/admin/limits/:userId', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const limits = await getUserLimits(req.params.userId);
+    res.json({ success: true, ...limits });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Limites definidos pelo admin valem na hora, inclusive aumentos e remoções
+app.post('/api/admin/limits/:userId', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { type, period, amount } = req.body;
+
+    if (!type) {
+      return res.status(400).json({ error: 'Informe o tipo de limite' });
+    }
+
+    const result = await setUserLimit(req.params.userId, { type, period, amount }, { source: 'admin' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Campanhas de bônus
+app.get('/api/admin/bonus-campaigns', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const campaigns = await listCampaigns();
+    res.json({ success: true, campaigns });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/bonus-campaigns', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const campaign = await createCampaign(req.body, req.user.userId);
+    res.json({ success: true, campaign });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/bonus-campaigns/:id/status', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { active } = req.body;
+
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'Informe active (true ou false)' });
+    }
+
+    const campaign = await setCampaignActive(req.params.id, active);
+    res.json({ success: true, campaign });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Conceder cartelas grátis de uma campanha a um usuário
+app.post('/api/admin/bonus-campaigns/:id/grant', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Informe o userId' });
+    }
+
+    await getUserById(userId);
+    const bonus = await grantFreeCards(userId, { campaignId: req.params.id });
+    res.json({ success: true, bonus });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Histórico de jackpots pagos
+app.get('/api/admin/jackpot/wins', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { limit = 50 } = req.query;
+    const wins = await listJackpotWins(parseInt(limit));
+    res.json({ success: true, wins });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/jackpot/:gameType', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
-    const { transactionId } = req.params;
-    
-    const result = await pool.query(
-      'SELECT * FROM transactions WHERE id = $1 AND user_id = $2',
-      [transactionId, req.user.userId]
-    );
+    const jackpot = await updateJackpotPool(req.params.gameType, req.body);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Transação não encontrada' });
-    }
+    // A contribuição entra no RTP: avisar se a tabela ativa do jogo ficou fora do alvo
+    const activePaytable = await getActivePaytable(req.params.gameType);
+    const rtp = await getSetting('rtp_percentage');
+    const { valid, errors } = validatePaytable(activePaytable.definition, {
+      targetRtp: parseFloat(rtp),
+      jackpot: await getJackpotRules(req.params.gameType)
+    });
 
-    const transaction = result.rows[0];
-    
-    // Se já foi pago ou falhou, retornar status
-    if (['paid', 'failed', 'canceled'].includes(transaction.status)) {
-      return res.json({ success: true, status: transaction.status, transaction });
-    }
+    res.json({
+      success: true,
+      jackpot,
+      paytable_warning: valid ? null : `A tabela de prêmios ativa (v${activePaytable.version}) não atinge o RTP com o jackpot: ${errors.join('; ')}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Verificar status na BullsPay
-    const bullsPayWithdrawals = await BullsPay.listWithdrawals({ id: transaction.gateway_id, limit: 1 });
-    
-    if (bullsPayWithdrawals.withdrawals.length > 0) {
-      const bullsPayWd = bullsPayWithdrawals.withdrawals[0];
-      
-      // Se o status mudou, atualizar no banco
-      if (bullsPayWd.status !== transaction.status) {
-        await pool.query(
-          'UPDATE transactions SET status = $1, gateway_data = $2, updated_at = NOW() WHERE id = $3',
-          [bullsPayWd.status, JSON.stringify(bullsPayWd), transaction.id]
-        );
+// Catálogo completo de jogos, incluindo os desativados
+app.get('/api/admin/games', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const games = await getGameCatalog({ includeDisabled: true });
+    res.json({ success: true, games });
+  } catch (error) {
+    next(error);
+  }
+});
 
-        // Se falhou ou foi cancelado, devolver saldo
-        if (['failed', 'canceled'].includes(bullsPayWd.status)) {
-          await updateUserBalance(req.user.userId, transaction.amount, 'add');
-        }
+app.post('/api/admin/games/:gameType/status', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { enabled } = req.body;
 
-        transaction.status = bullsPayWd.status;
-      }
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Informe enabled (true ou false)' });
     }
 
-    res.json({ success: true, status: transaction.status, transaction });
+    const game = await setGameEnabled(req.params.gameType, enabled);
+    res.json({ success: true, ...game });
   } catch (error) {
     next(error);
   }
 });
 
-// ========== JOGO (RASPADINHA) ==========
-
-app.post('/api/game/scratch', authMiddleware, async (req, res, next) => {
+// Tabelas de prêmios versionadas
+app.get('/api/admin/paytables', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
-    const { betAmount } = req.body;
-    const betValue = parseFloat(betAmount);
-    
-    if (!betAmount || !ALLOWED_BETS.includes(parseFloat(betValue.toFixed(2)))) {
-      return res.status(400).json({ 
-        error: 'Valor de aposta inválido',
-        allowed_bets: ALLOWED_BETS
-      });
-    }
-
-    const result = await playScratchCard(req.user.userId, betValue);
-    res.json(result);
+    const { gameType = DEFAULT_GAME_TYPE } = req.query;
+    const paytables = await listPaytables(gameType);
+    res.json({ success: true, paytables });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/game/history', authMiddleware, async (req, res, next) => {
+// Calcular RTP e volatilidade de uma tabela sem salvá-la
+app.post('/api/admin/paytables/analyze', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
-    const { limit = 20 } = req.query;
-    
-    const result = await pool.query(
-      `SELECT id, game_type, bet_amount, prize_amount, multiplier, created_at 
-       FROM game_rounds 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT $2`,
-      [req.user.userId, parseInt(limit)]
-    );
-    
-    res.json({ success: true, rounds: result.rows });
+    const { gameType = DEFAULT_GAME_TYPE, definition } = req.body;
+    const targetRtp = parseFloat(await getSetting('rtp_percentage'));
+
+    if (!Number.isFinite(targetRtp)) {
+      return res.status(400).json({ error: 'RTP alvo inválido: configure o RTP antes de analisar a tabela' });
+    }
+
+    const jackpot = await getJackpotRules(gameType);
+    const result = validatePaytable(definition, { targetRtp, jackpot });
+    res.json({ success: true, ...result });
   } catch (error) {
     next(error);
   }
 });
 
-// ========== ADMIN ==========
-
-app.get('/api/admin/rtp', authMiddleware, adminMiddleware, async (req, res, next) => {
+app.post('/api/admin/paytables', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
-    const rtp = await getSetting('rtp_percentage');
-    res.json({ success: true, rtp_percentage: parseFloat(rtp) });
+    const { gameType = DEFAULT_GAME_TYPE, definition } = req.body;
+    getGame(gameType);
+    const paytable = await createPaytable(gameType, definition, req.user.userId);
+    res.json({ success: true, paytable });
   } catch (error) {
     next(error);
   }
 });
 
-app.post('/api/admin/rtp', authMiddleware, adminMiddleware, async (req, res, next) => {
+app.post('/api/admin/paytables/:id/activate', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
-    const { rtp_percentage } = req.body;
-    
-    if (rtp_percentage === null || rtp_percentage === undefined || rtp_percentage < 0 || rtp_percentage > 100) {
-      return res.status(400).json({ error: 'RTP deve estar entre 0% e 100%' });
-    }
-
-    await setSetting('rtp_percentage', rtp_percentage.toString(), 'Return to Player percentage for scratch cards');
-    res.json({ success: true, rtp_percentage });
+    const paytable = await activatePaytable(req.params.id);
+    res.json({ success: true, paytable, message: `Tabela de prêmios v${paytable.version} ativada` });
   } catch (error) {
     next(error);
   }
@@ -451,6 +1062,16 @@ app.get('/api/admin/transactions', authMiddleware, adminMiddleware, async (req,
   }
 });
 
+// Histórico de status de uma transação (origem de cada mudança e status informado pelo provedor)
+app.get('/api/admin/transactions/:transactionId/history', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const history = await getTransactionStatusHistory(req.params.transactionId);
+    res.json({ success: true, history });
+  } catch (error) {
+    next(error);
+  }
+});
+
 app.post('/api/admin/refund/:transactionId', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
     const { transactionId } = req.params;
@@ -470,20 +1091,17 @@ app.post('/api/admin/refund/:transactionId', authMiddleware, adminMiddleware, as
       return res.status(400).json({ error: 'Apenas depósitos pagos podem ser reembolsados' });
     }
 
-    // Reembolsar na BullsPay
-    await BullsPay.refundTransaction(transaction.gateway_id);
-
-    // Atualizar status no banco
-    await pool.query(
-      'UPDATE transactions SET status = $1, updated_at = NOW() WHERE id = $2',
-      ['refunded', transactionId]
-    );
-
-    // Deduzir saldo do usuário
-    await updateUserBalance(transaction.user_id, transaction.amount, 'subtract');
+    // Trava e estorna no banco antes de reembolsar no provedor em que o depósito foi pago
+    const refunded = await refundDeposit(transactionId);
+    if (!refunded) {
+      return res.status(400).json({ error: 'Apenas depósitos pagos podem ser reembolsados' });
+    }
 
     res.json({ success: true, message: 'Transação reembolsada com sucesso' });
   } catch (error) {
+    if (error.message === 'Saldo insuficiente') {
+      return res.status(400).json({ error: 'Saldo do jogador insuficiente para estornar o depósito' });
+    }
     next(error);
   }
 });
@@ -525,13 +1143,40 @@ app.get('/api/admin/bullspay/withdrawals', authMiddleware, adminMiddleware, asyn
   }
 });
 
+// Provedores de pagamento disponíveis e para qual deles vão os depósitos e saques novos
+app.get('/api/admin/payment-providers', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    res.json({ success: true, providers: listPaymentProviders(), routing: await getProviderRouting() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Direcionar depósitos e/ou saques para outro provedor (failover)
+app.post('/api/admin/payment-providers/routing', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { deposit, withdrawal } = req.body;
+
+    if (!deposit && !withdrawal) {
+      return res.status(400).json({ error: 'Informe o provedor de depósitos e/ou de saques' });
+    }
+
+    if (deposit) await setProviderRoute('deposit', deposit);
+    if (withdrawal) await setProviderRoute('withdrawal', withdrawal);
+
+    res.json({ success: true, routing: await getProviderRouting() });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Listar todos os usuários cadastrados
 app.get('/api/admin/users', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
     const { limit = 100 } = req.query;
     
     const result = await pool.query(
-      `SELECT id, username, email, cpf, balance, rollover_required, first_deposit_made, is_admin, created_at
+      `SELECT id, username, email, cpf, balance, rollover_required, first_deposit_made, is_admin, is_vip, kyc_status, created_at
        FROM users
        ORDER BY created_at DESC
        LIMIT $1`,
@@ -544,6 +1189,89 @@ app.get('/api/admin/users', authMiddleware, adminMiddleware, async (req, res, ne
   }
 });
 
+// Envios de KYC (padrão: pendentes, do mais antigo para o mais novo)
+app.get('/api/admin/kyc', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { status = 'pending', limit = 50 } = req.query;
+    const submissions = await listKycSubmissions({ status: status === 'all' ? null : status, limit: parseInt(limit) });
+    res.json({ success: true, submissions, withdrawal_threshold: await getKycThreshold() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Visualizar um documento enviado
+app.get('/api/admin/kyc/documents/:id', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { document, body } = await getKycDocument(req.params.id);
+    res.set('Content-Type', document.content_type);
+    res.set('Cache-Control', 'no-store');
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/kyc/:submissionId/review', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { decision, notes } = req.body;
+    const submission = await reviewKycSubmission(req.params.submissionId, { decision, notes, reviewerId: req.user.userId });
+    res.json({ success: true, submission });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/kyc-threshold', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const threshold = parseFloat(req.body.threshold);
+
+    if (!Number.isFinite(threshold) || threshold < 0) {
+      return res.status(400).json({ error: 'Limite de saque sem KYC inválido' });
+    }
+
+    await setSetting('kyc_withdrawal_threshold', threshold.toString());
+    res.json({ success: true, threshold });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Chaves PIX (CNPJ/aleatória) aguardando aprovação
+app.get('/api/admin/pix-keys', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const pixKeys = await listPendingPixKeys({ limit: parseInt(req.query.limit) || 50 });
+    res.json({ success: true, pixKeys, cooldown_hours: await getPixKeyCooldownHours() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/pix-keys/:id/review', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { decision, notes } = req.body;
+    const pixKey = await reviewPixKey(req.params.id, { decision, notes, reviewerId: req.user.userId });
+    res.json({ success: true, pixKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/admin/pix-key-cooldown', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const hours = parseFloat(req.body.hours);
+
+    if (!Number.isFinite(hours) || hours < 0) {
+      return res.status(400).json({ error: 'Carência de chave PIX inválida' });
+    }
+
+    await setSetting('pix_key_cooldown_hours', hours.toString());
+    res.json({ success: true, hours });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Aprovar saque
 app.post('/api/admin/withdrawal/approve/:id', authMiddleware, adminMiddleware, async (req, res, next) => {
   let transactionData = null;
@@ -560,45 +1288,56 @@ app.post('/api/admin/withdrawal/approve/:id', authMiddleware, adminMiddleware, a
       return res.status(404).json({ error: 'Saque não encontrado' });
     }
 
-    transactionData = result.rows[0];
-    
-    if (transactionData.status !== 'pending_approval') {
+    if (result.rows[0].status !== 'pending_approval') {
       return res.status(400).json({ error: 'Apenas saques pendentes podem ser aprovados' });
     }
 
-    // Verificar saldo BullsPay antes de aprovar o saque
-    const bullspayBalance = await BullsPay.getBalance();
-    const requiredAmount = Math.round(parseFloat(transactionData.amount) * 100); // Em centavos
+    // Verificar saldo no provedor configurado para saques antes de aprovar
+    const provider = await getRoutedProvider('withdrawal');
+    const providerBalance = await provider.getBalance();
+    const requiredAmount = parseFloat(result.rows[0].amount);
     
-    if (bullspayBalance.available_balance < requiredAmount) {
+    if (providerBalance.available < requiredAmount) {
       return res.status(400).json({ 
-        error: `Saldo insuficiente na BullsPay. Disponível: R$ ${(bullspayBalance.available_balance / 100).toFixed(2)}, Necessário: R$ ${(requiredAmount / 100).toFixed(2)}` 
+        error: `Saldo insuficiente na ${provider.label}. Disponível: R$ ${providerBalance.available.toFixed(2)}, Necessário: R$ ${requiredAmount.toFixed(2)}` 
       });
     }
 
-    // Criar saque na BullsPay agora
-    const withdrawal = await BullsPay.requestWithdrawal({
+    // Tirar o saque de pending_approval antes de chamar o provedor (impede aprovação dupla ou rejeição concorrente)
+    transactionData = await claimWithdrawalForApproval(id, provider.name);
+    if (!transactionData) {
+      return res.status(400).json({ error: 'Apenas saques pendentes podem ser aprovados' });
+    }
+
+    // Criar o saque no provedor agora
+    const payout = await provider.createPayout({
       amount: parseFloat(transactionData.amount),
       pixKeyType: transactionData.pix_key_type,
-      pixKey: transactionData.pix_key
+      pixKey: transactionData.pix_key,
+      externalId: `wd_${transactionData.id}`
     });
 
-    // Atualizar transação com dados da BullsPay
-    await pool.query(
-      'UPDATE transactions SET status = $1, gateway_id = $2, gateway_data = $3, admin_notes = $4, updated_at = NOW() WHERE id = $5',
-      ['approved', withdrawal.unic_id, JSON.stringify(withdrawal.raw), 'Aprovado pelo admin', id]
-    );
+    // Atualizar transação com dados do provedor; a reserva é capturada quando o saque for pago
+    await recordPayout(transactionData.id, payout);
 
     res.json({ success: true, message: 'Saque aprovado e processado com sucesso' });
   } catch (error) {
-    // Se falhar, devolver saldo ao usuário
+    if (transactionData && !isPayoutRejected(error)) {
+      // Resultado desconhecido (rede, timeout, 5xx): o saque pode ter sido criado, então a reserva continua
+      // retida até a reconciliação encontrar (ou não) o saque no provedor por wd_<id>
+      console.error(`Resultado desconhecido ao pedir o saque ${transactionData.id} ao provedor:`, error);
+      return res.status(502).json({
+        error: 'Não foi possível confirmar o saque no provedor de pagamento. O status será atualizado pela reconciliação.'
+      });
+    }
+
+    // Se o provedor recusar, marcar como falho e liberar a reserva
     if (transactionData) {
       try {
-        await updateUserBalance(transactionData.user_id, transactionData.amount, 'add');
-        await pool.query(
-          'UPDATE transactions SET status = $1, admin_notes = $2 WHERE id = $3',
-          ['failed', 'Falha ao processar na BullsPay: ' + error.message, transactionData.id]
-        );
+        await applyWithdrawalStatus(transactionData, 'failed', {
+          source: 'admin',
+          adminNotes: 'Falha ao processar no provedor de pagamento: ' + error.message
+        });
       } catch (rollbackError) {
         console.error('Erro ao reverter saque:', rollbackError);
       }
@@ -614,7 +1353,7 @@ app.post('/api/admin/withdrawal/reject/:id', authMiddleware, adminMiddleware, as
     const { reason } = req.body;
     
     const result = await pool.query(
-      'SELECT * FROM transactions WHERE id = $1 AND type = $2',
+      'SELECT status FROM transactions WHERE id = $1 AND type = $2',
       [id, 'withdrawal']
     );
 
@@ -622,21 +1361,13 @@ app.post('/api/admin/withdrawal/reject/:id', authMiddleware, adminMiddleware, as
       return res.status(404).json({ error: 'Saque não encontrado' });
     }
 
-    const transaction = result.rows[0];
+    // Rejeição e devolução da reserva na mesma transação
+    const transaction = await rejectWithdrawal(id, reason || 'Rejeitado pelo admin');
     
-    if (transaction.status !== 'pending_approval') {
+    if (!transaction) {
       return res.status(400).json({ error: 'Apenas saques pendentes podem ser rejeitados' });
     }
 
-    // Devolver saldo ao usuário
-    await updateUserBalance(transaction.user_id, transaction.amount, 'add');
-
-    // Atualizar status para rejeitado
-    await pool.query(
-      'UPDATE transactions SET status = $1, admin_notes = $2, updated_at = NOW() WHERE id = $3',
-      ['rejected', reason || 'Rejeitado pelo admin', id]
-    );
-
     res.json({ success: true, message: 'Saque rejeitado e saldo devolvido ao usuário' });
   } catch (error) {
     next(error);
@@ -667,6 +1398,92 @@ app.post('/api/admin/fraud-alert/resolve/:id', authMiddleware, adminMiddleware,
   }
 });
 
+// Conciliação do livro-razão com os saldos dos usuários
+app.get('/api/admin/ledger/reconcile', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const report = await reconcileBalances();
+    res.json({ success: true, ...report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Extrato do livro-razão de um usuário
+app.get('/api/admin/ledger/:userId', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { limit = 50 } = req.query;
+    const entries = await getUserLedger(req.params.userId, parseInt(limit));
+    res.json({ success: true, entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reconciliação de depósitos pendentes e saques aprovados com a BullsPay
+app.get('/api/admin/reconciliation', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    res.json({ success: true, jobs: getScheduledJobs() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rodar a reconciliação agora (pula se outra instância estiver rodando)
+app.post('/api/admin/reconciliation/run', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { ran, result } = await runWithLock(RECONCILIATION_JOB, () => reconcilePendingTransactions());
+
+    if (!ran) {
+      return res.status(409).json({ error: 'A reconciliação já está em andamento' });
+    }
+
+    res.json({ success: true, summary: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Relatórios de conciliação com a BullsPay
+app.get('/api/admin/settlement-reports', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const reports = await listSettlementReports({ limit: parseInt(req.query.limit) || 30 });
+    res.json({ success: true, reports });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Gerar relatório para um período (from/to em AAAA-MM-DD, horário de São Paulo); format=csv devolve as divergências em CSV
+app.post('/api/admin/settlement-reports', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { from, to, format = 'json' } = req.body;
+    const report = await runSettlementReport({ from, to: to || from, createdBy: req.user.userId });
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(settlementReportToCsv(report));
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/admin/settlement-reports/:id', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const report = await getSettlementReport(req.params.id);
+
+    if (req.query.format === 'csv') {
+      res.attachment(`conciliacao-${report.id}.csv`);
+      return res.type('text/csv').send(settlementReportToCsv(report));
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ========== WEBHOOKS MANAGEMENT ==========
 
 // Listar webhooks da BullsPay
@@ -715,62 +1532,83 @@ app.delete('/api/admin/webhooks/delete/:webhookId', authMiddleware, adminMiddlew
   }
 });
 
-// ========== WEBHOOKS ==========
+// Entregas de webhook recusadas (assinatura inválida, timestamp velho...)
+app.get('/api/admin/webhook-rejections', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const { provider = null, limit = 50 } = req.query;
+    const rejections = await listWebhookRejections({ provider, limit: parseInt(limit) || 50 });
+    res.json({ success: true, rejections });
+  } catch (error) {
+    next(error);
+  }
+});
 
-app.post('/webhook/bullspay', async (req, res) => {
+// Caixa de entrada dos webhooks (filtros: status, provider)
+app.get('/api/admin/webhook-events', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
-    console.log('Webhook BullsPay recebido:', JSON.stringify(req.body, null, 2));
-    
-    if (!isValidWebhookSource(req)) {
-      console.error('Webhook não autenticado - header X-API-Key inválido ou ausente');
-      return res.status(401).json({ error: 'Unauthorized - Invalid API key' });
-    }
-    
-    const data = req.body.data;
-    
-    if (!data || !data.unic_id) {
-      return res.json({ ok: true });
+    const { status = null, provider = null, limit = 50 } = req.query;
+
+    if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Status de evento inválido' });
     }
 
-    const result = await pool.query(
-      'SELECT * FROM transactions WHERE gateway_id = $1',
-      [data.unic_id]
-    );
+    const events = await listWebhookEvents({ status, provider, limit: parseInt(limit) || 50 });
+    res.json({ success: true, events, worker: getScheduledJobs().find(job => job.name === WEBHOOK_JOB) || null });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (result.rows.length === 0) {
-      console.log('Transação não encontrada:', data.unic_id);
-      return res.json({ ok: true });
-    }
+// Detalhe de um evento: headers e corpo bruto
+app.get('/api/admin/webhook-events/:id', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const event = await getWebhookEvent(req.params.id);
+    res.json({ success: true, event });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const transaction = result.rows[0];
-    const newStatus = data.status;
+// Reprocessar um evento (inclusive dead-letter e duplicados)
+app.post('/api/admin/webhook-events/:id/replay', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const event = await replayWebhookEvent(req.params.id);
+    res.json({ success: true, event });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    await pool.query(
-      'UPDATE transactions SET status = $1, gateway_data = $2, updated_at = NOW() WHERE id = $3',
-      [newStatus, JSON.stringify(data), transaction.id]
-    );
+// ========== WEBHOOKS ==========
 
-    if (transaction.type === 'deposit' && newStatus === 'paid' && transaction.status !== 'paid') {
-      await updateUserBalance(transaction.user_id, transaction.amount, 'add');
-      
-      // Aplicar rollover de forma atômica apenas se for o primeiro depósito
-      const rolloverApplied = await applyFirstDepositRollover(transaction.user_id, transaction.amount);
-      
-      if (rolloverApplied) {
-        console.log(`Webhook: Primeiro depósito! Rollover de R$ ${transaction.amount} aplicado`);
-      }
-      
-      console.log(`Saldo creditado para usuário ${transaction.user_id}: R$ ${transaction.amount}`);
+// Webhook de cada provedor: /webhook/bullspay, /webhook/pix, /webhook/fake
+// A entrega é gravada em webhook_events antes da resposta; o processamento é assíncrono (src/webhookInbox.js)
+app.post('/webhook/:provider', async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getPaymentProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
     }
 
-    if (transaction.type === 'withdrawal' && ['failed', 'canceled'].includes(newStatus) && !['failed', 'canceled'].includes(transaction.status)) {
-      await updateUserBalance(transaction.user_id, transaction.amount, 'add');
-      console.log(`Saldo devolvido para usuário ${transaction.user_id}: R$ ${transaction.amount}`);
+    const event = await receiveWebhook(provider, req);
+    console.log(`Webhook ${provider.label} recebido: ${event.id} (${event.status})`);
+
+    if (event.status === 'rejected') {
+      console.error(`Webhook ${provider.label} recusado: ${event.verification_error}`);
+      return res.status(401).json({ error: 'Unauthorized - Invalid webhook signature' });
+    }
+
+    if (event.status === 'duplicate') {
+      return res.json({ ok: true, duplicate: true });
     }
 
+    triggerWebhookProcessing();
     res.json({ ok: true });
   } catch (error) {
-    console.error('Erro no webhook:', error);
+    // Não foi gravada: o provedor deve reenviar
+    console.error('Erro ao gravar webhook:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -791,6 +1629,10 @@ async function startServer() {
     if (process.env.DATABASE_URL) {
       await initDatabase();
       console.log('✅ Database connected');
+
+      startReconciliationWorker();
+      startSettlementWorker();
+      startWebhookWorker();
     } else {
       console.warn('⚠️  DATABASE_URL not configured. Please create a PostgreSQL database.');
     }
@@ -0,0 +1,199 @@
+import { pool } from './db.js';
+import { ACCOUNTS, adjustUserBalance, recordLedgerEntry, roundMoney } from './ledger.js';
+
+/**
+ * A rodada acerta o jackpot quando o número sorteado cai abaixo de 1 / hitOdds
+ */
+export function isJackpotHit(random, hitOdds) {
+  return random < 1 / hitOdds;
+}
+
+/**
+ * Parte da aposta que vai para o pote, arredondada para baixo: nunca passa do percentual configurado
+ */
+export function calculateJackpotContribution(betAmount, contributionPercent) {
+  return Math.floor(betAmount * contributionPercent + 1e-9) / 100;
+}
+
+/**
+ * Pote ativo do jogo (ou null se o jogo não tem jackpot)
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ */
+export async function getJackpotPool(gameType, db = pool) {
+  const result = await db.query(
+    'SELECT * FROM jackpot_pools WHERE game_type = $1 AND active = true',
+    [gameType]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Regras do jackpot do jogo que entram no RTP da tabela de prêmios (ou null se o jogo não tem jackpot)
+ * @returns {Promise<{contributionPercent: number, minBet: number}|null>}
+ */
+export async function getJackpotRules(gameType, db = pool) {
+  const jackpotPool = await getJackpotPool(gameType, db);
+
+  return jackpotPool && {
+    contributionPercent: parseFloat(jackpotPool.contribution_percent),
+    minBet: parseFloat(jackpotPool.min_bet)
+  };
+}
+
+/**
+ * Calcula a contribuição da aposta e se a rodada acertou o jackpot (sem gravar nada)
+ * O valor do prêmio só é conhecido em settleJackpot: é o pote inteiro no momento do pagamento
+ * @param {object} jackpotPool - Linha de jackpot_pools
+ * @param {number} betAmount - Valor da aposta
+ * @param {() => number} nextRandom - Sequência provably fair da rodada (só é consumida se a aposta for elegível)
+ * @returns {{pool_id: string, contribution: number, hit_odds: number, won: boolean, amount: number}|null}
+ */
+export function drawJackpot(jackpotPool, betAmount, nextRandom) {
+  if (!jackpotPool || betAmount < parseFloat(jackpotPool.min_bet)) {
+    return null;
+  }
+
+  return {
+    pool_id: jackpotPool.id,
+    contribution: calculateJackpotContribution(betAmount, parseFloat(jackpotPool.contribution_percent)),
+    hit_odds: jackpotPool.hit_odds,
+    won: isJackpotHit(nextRandom(), jackpotPool.hit_odds),
+    amount: 0
+  };
+}
+
+/**
+ * Grava a contribuição (parte da aposta) e, se for o caso, paga o jackpot e reinicia o pote no valor inicial
+ * Deve rodar na mesma transação da rodada. O pote é alterado por UPDATE atômico, sem travar a linha
+ * durante a rodada inteira.
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @returns {Promise<{jackpotPool: object, amount: number, newBalance: number|null}>} Pote atualizado, prêmio pago e novo saldo (se houve pagamento)
+ */
+export async function settleJackpot(client, jackpotPool, draw, { userId, gameRoundId }) {
+  if (draw.contribution > 0) {
+    await recordLedgerEntry(client, {
+      userId,
+      entryType: 'jackpot_contribution',
+      amount: draw.contribution,
+      account: ACCOUNTS.JACKPOT,
+      counterAccount: ACCOUNTS.HOUSE,
+      gameRoundId,
+      description: 'Contribuição da aposta para o jackpot'
+    });
+  }
+
+  if (!draw.won) {
+    const result = await client.query(
+      'UPDATE jackpot_pools SET current_amount = current_amount + $1 WHERE id = $2 RETURNING *',
+      [draw.contribution, jackpotPool.id]
+    );
+    return { jackpotPool: result.rows[0], amount: 0, newBalance: null };
+  }
+
+  // Zera o pote e devolve o valor que ele tinha, já somada a contribuição desta aposta
+  const reset = await client.query(
+    `UPDATE jackpot_pools p SET current_amount = p.seed_amount
+     FROM (SELECT current_amount FROM jackpot_pools WHERE id = $1 FOR UPDATE) previous
+     WHERE p.id = $1
+     RETURNING p.*, previous.current_amount + $2 AS won_amount`,
+    [jackpotPool.id, draw.contribution]
+  );
+  const { won_amount: wonAmount, ...updatedPool } = reset.rows[0];
+  const amount = roundMoney(parseFloat(wonAmount));
+
+  const newBalance = await adjustUserBalance(client, userId, amount, {
+    entryType: 'jackpot_win',
+    gameRoundId,
+    description: `Jackpot ${jackpotPool.name}`
+  });
+
+  await client.query(
+    'INSERT INTO jackpot_wins (pool_id, user_id, game_round_id, amount) VALUES ($1, $2, $3, $4)',
+    [jackpotPool.id, userId, gameRoundId, amount]
+  );
+
+  await client.query(
+    `UPDATE game_rounds SET result_data = jsonb_set(result_data, '{jackpot,amount}', to_jsonb($1::numeric))
+     WHERE id = $2`,
+    [amount, gameRoundId]
+  );
+
+  // Novo valor inicial sai da casa (pote sem valor inicial não gera lançamento)
+  if (parseFloat(updatedPool.seed_amount) > 0) {
+    await recordLedgerEntry(client, {
+      entryType: 'jackpot_seed',
+      amount: updatedPool.seed_amount,
+      account: ACCOUNTS.JACKPOT,
+      counterAccount: ACCOUNTS.HOUSE,
+      gameRoundId,
+      description: 'Valor inicial do jackpot'
+    });
+  }
+
+  return { jackpotPool: updatedPool, amount, newBalance };
+}
+
+export async function listJackpots() {
+  const result = await pool.query(
+    `SELECT p.game_type, p.name, p.current_amount, p.min_bet,
+            (SELECT MAX(w.created_at) FROM jackpot_wins w WHERE w.pool_id = p.id) AS last_win_at
+     FROM jackpot_pools p
+     WHERE p.active = true
+     ORDER BY p.game_type`
+  );
+  return result.rows;
+}
+
+export async function listJackpotWins(limit = 50) {
+  const result = await pool.query(
+    `SELECT w.id, w.amount, w.game_round_id, w.created_at, p.game_type, p.name AS pool_name, u.username, u.email
+     FROM jackpot_wins w
+     JOIN jackpot_pools p ON w.pool_id = p.id
+     JOIN users u ON w.user_id = u.id
+     ORDER BY w.created_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Altera as regras do pote (o valor acumulado não muda)
+ */
+export async function updateJackpotPool(gameType, { seedAmount, contributionPercent, hitOdds, minBet, active }) {
+  const seed = parseFloat(seedAmount);
+  const percent = parseFloat(contributionPercent);
+  const odds = parseInt(hitOdds);
+  const min = parseFloat(minBet);
+
+  if (!Number.isFinite(seed) || seed < 0) {
+    throw new Error('Valor inicial do jackpot inválido');
+  }
+
+  if (!Number.isFinite(percent) || percent < 0 || percent > 10) {
+    throw new Error('Percentual de contribuição inválido (0 a 10%)');
+  }
+
+  if (!Number.isInteger(odds) || odds < 1) {
+    throw new Error('Chance do jackpot inválida (informe 1 em N rodadas)');
+  }
+
+  if (!Number.isFinite(min) || min < 0) {
+    throw new Error('Aposta mínima do jackpot inválida');
+  }
+
+  const result = await pool.query(
+    `UPDATE jackpot_pools
+     SET seed_amount = $1, contribution_percent = $2, hit_odds = $3, min_bet = $4, active = $5
+     WHERE game_type = $6
+     RETURNING *`,
+    [seed, percent, odds, min, active !== false, gameType]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Jackpot não encontrado');
+  }
+
+  return result.rows[0];
+}
@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import { pool, getSetting, withTransaction } from './db.js';
+import { getDocumentStorage } from './storage.js';
+
+export const KYC_DOCUMENT_TYPES = ['id_front', 'id_back', 'selfie'];
+
+// Máximo de 5 MB por documento (após decodificar o base64)
+export const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// Assinatura dos primeiros bytes de cada formato aceito
+const CONTENT_TYPES = {
+  'image/jpeg': { ext: 'jpg', magic: [0xff, 0xd8, 0xff] },
+  'image/png': { ext: 'png', magic: [0x89, 0x50, 0x4e, 0x47] },
+  'application/pdf': { ext: 'pdf', magic: [0x25, 0x50, 0x44, 0x46] }
+};
+
+/**
+ * Transições permitidas do status de KYC do usuário
+ * not_submitted/needs_resubmission → pending (envio); pending → approved/rejected/needs_resubmission (revisão)
+ */
+export const KYC_TRANSITIONS = {
+  not_submitted: ['pending'],
+  pending: ['approved', 'rejected', 'needs_resubmission'],
+  needs_resubmission: ['pending'],
+  approved: [],
+  rejected: []
+};
+
+const DEFAULT_KYC_THRESHOLD = 500;
+
+function assertTransition(from, to) {
+  if (!KYC_TRANSITIONS[from]?.includes(to)) {
+    throw new Error(`Transição de KYC inválida: ${from} → ${to}`);
+  }
+}
+
+export async function getKycThreshold() {
+  const value = parseFloat(await getSetting('kyc_withdrawal_threshold'));
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_KYC_THRESHOLD;
+}
+
+/**
+ * Envia (ou substitui) um documento ainda não submetido para análise
+ * @param {string} userId - ID do usuário
+ * @param {{docType: string, contentType: string, data: string}} document - Conteúdo em base64 (aceita data URL)
+ */
+export async function uploadKycDocument(userId, { docType, contentType, data }) {
+  if (!KYC_DOCUMENT_TYPES.includes(docType)) {
+    throw new Error(`Tipo de documento inválido. Use: ${KYC_DOCUMENT_TYPES.join(', ')}`);
+  }
+
+  const format = CONTENT_TYPES[contentType];
+  if (!format) {
+    throw new Error(`Formato de arquivo inválido. Use: ${Object.keys(CONTENT_TYPES).join(', ')}`);
+  }
+
+  const body = Buffer.from(String(data || '').replace(/^data:[^,]*,/, ''), 'base64');
+
+  if (body.length === 0 || body.length > MAX_DOCUMENT_BYTES) {
+    throw new Error(`Arquivo inválido: envie um documento de até ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB`);
+  }
+
+  if (!format.magic.every((byte, i) => body[i] === byte)) {
+    throw new Error('Arquivo inválido: o conteúdo não corresponde ao formato informado');
+  }
+
+  const userResult = await pool.query('SELECT kyc_status FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    throw new Error('Usuário não encontrado');
+  }
+
+  const kycStatus = userResult.rows[0].kyc_status;
+  if (!['not_submitted', 'needs_resubmission'].includes(kycStatus)) {
+    throw new Error(`Envio de documentos inválido: o KYC está no status ${kycStatus}`);
+  }
+
+  const storage = getDocumentStorage();
+  const storageKey = `kyc/${userId}/${crypto.randomUUID()}-${docType}.${format.ext}`;
+  await storage.put(storageKey, body, contentType);
+
+  // Substitui o rascunho anterior do mesmo tipo
+  const previous = await pool.query(
+    `DELETE FROM kyc_documents
+     WHERE user_id = $1 AND doc_type = $2 AND submission_id IS NULL
+     RETURNING storage_key`,
+    [userId, docType]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO kyc_documents (user_id, doc_type, storage_key, content_type, size_bytes, sha256)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, doc_type, content_type, size_bytes, sha256, created_at`,
+    [userId, docType, storageKey, contentType, body.length, crypto.createHash('sha256').update(body).digest('hex')]
+  );
+
+  for (const row of previous.rows) {
+    await storage.remove(row.storage_key).catch(error => console.error('Erro ao apagar documento substituído:', error.message));
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Submete os documentos enviados para análise (exige frente, verso e selfie)
+ */
+export async function submitKyc(userId) {
+  return withTransaction(async (client) => {
+    const userResult = await client.query('SELECT kyc_status FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    assertTransition(userResult.rows[0].kyc_status, 'pending');
+
+    const drafts = await client.query(
+      'SELECT id, doc_type FROM kyc_documents WHERE user_id = $1 AND submission_id IS NULL',
+      [userId]
+    );
+
+    const missing = KYC_DOCUMENT_TYPES.filter(type => !drafts.rows.some(d => d.doc_type === type));
+    if (missing.length > 0) {
+      throw new Error(`Envio de KYC inválido: faltam os documentos ${missing.join(', ')}`);
+    }
+
+    const submission = await client.query(
+      `INSERT INTO kyc_submissions (user_id, status) VALUES ($1, 'pending') RETURNING *`,
+      [userId]
+    );
+
+    await client.query(
+      'UPDATE kyc_documents SET submission_id = $1 WHERE user_id = $2 AND submission_id IS NULL',
+      [submission.rows[0].id, userId]
+    );
+
+    await client.query("UPDATE users SET kyc_status = 'pending' WHERE id = $1", [userId]);
+
+    return submission.rows[0];
+  });
+}
+
+/**
+ * Decisão do admin sobre um envio pendente
+ * @param {string} submissionId - ID do envio
+ * @param {{decision: 'approved'|'rejected'|'needs_resubmission', notes?: string, reviewerId: string}} review
+ */
+export async function reviewKycSubmission(submissionId, { decision, notes = null, reviewerId }) {
+  if (!['approved', 'rejected', 'needs_resubmission'].includes(decision)) {
+    throw new Error('Decisão de KYC inválida. Use: approved, rejected, needs_resubmission');
+  }
+
+  if (decision !== 'approved' && !notes) {
+    throw new Error('Motivo inválido: informe o motivo da recusa ou do reenvio');
+  }
+
+  return withTransaction(async (client) => {
+    const submissionResult = await client.query(
+      'SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE',
+      [submissionId]
+    );
+
+    if (submissionResult.rows.length === 0) {
+      throw new Error('Envio de KYC não encontrado');
+    }
+
+    const submission = submissionResult.rows[0];
+    assertTransition(submission.status, decision);
+
+    const result = await client.query(
+      `UPDATE kyc_submissions
+       SET status = $1, review_notes = $2, reviewed_by = $3, reviewed_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [decision, notes, reviewerId, submissionId]
+    );
+
+    await client.query('UPDATE users SET kyc_status = $1 WHERE id = $2', [decision, submission.user_id]);
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Status de KYC do usuário, último envio, documentos ainda não submetidos e limite de saque sem KYC
+ */
+export async function getKycStatus(userId) {
+  const userResult = await pool.query('SELECT kyc_status FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    throw new Error('Usuário não encontrado');
+  }
+
+  const [submission, drafts, withdrawn, threshold] = await Promise.all([
+    pool.query(
+      `SELECT id, status, review_notes, reviewed_at, created_at
+       FROM kyc_submissions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT id, doc_type, content_type, size_bytes, created_at
+       FROM kyc_documents WHERE user_id = $1 AND submission_id IS NULL ORDER BY doc_type`,
+      [userId]
+    ),
+    getWithdrawnTotal(userId),
+    getKycThreshold()
+  ]);
+
+  return {
+    status: userResult.rows[0].kyc_status,
+    submission: submission.rows[0] || null,
+    documents: drafts.rows,
+    required_documents: KYC_DOCUMENT_TYPES,
+    withdrawal_threshold: threshold,
+    withdrawn_total: withdrawn
+  };
+}
+
+// Saques já pedidos que não foram recusados ou cancelados
+async function getWithdrawnTotal(userId, db = pool) {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(amount), 0) AS total FROM transactions
+     WHERE user_id = $1 AND type = 'withdrawal' AND status NOT IN ('rejected', 'failed', 'canceled', 'refunded')`,
+    [userId]
+  );
+  return parseFloat(result.rows[0].total);
+}
+
+/**
+ * O saque exige KYC aprovado se o total sacado (incluindo este) passar do limite configurado
+ * @param {import('pg').PoolClient} [db] - Cliente da transação que cria o saque (opcional)
+ * @returns {Promise<{required: boolean, kycStatus: string, threshold: number, withdrawnTotal: number}>}
+ */
+export async function checkWithdrawalKyc(userId, amount, db = pool) {
+  const userResult = await db.query('SELECT kyc_status FROM users WHERE id = $1', [userId]);
+  const withdrawnTotal = await getWithdrawnTotal(userId, db);
+  const threshold = await getKycThreshold();
+
+  const kycStatus = userResult.rows[0]?.kyc_status;
+
+  return {
+    required: kycStatus !== 'approved' && withdrawnTotal + parseFloat(amount) > threshold,
+    kycStatus,
+    threshold,
+    withdrawnTotal
+  };
+}
+
+/**
+ * Envios de KYC para o painel do admin, com os documentos de cada um
+ */
+export async function listKycSubmissions({ status = 'pending', limit = 50 } = {}) {
+  const submissions = await pool.query(
+    `SELECT s.*, u.username, u.email, u.cpf, u.birth_date, r.username AS reviewer_username
+     FROM kyc_submissions s
+     JOIN users u ON s.user_id = u.id
+     LEFT JOIN users r ON s.reviewed_by = r.id
+     WHERE ($1::varchar IS NULL OR s.status = $1::varchar)
+     ORDER BY s.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+     LIMIT $2`,
+    [status, limit]
+  );
+
+  const ids = submissions.rows.map(s => s.id);
+  const documents = ids.length === 0 ? { rows: [] } : await pool.query(
+    `SELECT id, submission_id, doc_type, content_type, size_bytes, created_at
+     FROM kyc_documents WHERE submission_id = ANY($1) ORDER BY doc_type`,
+    [ids]
+  );
+
+  return submissions.rows.map(submission => ({
+    ...submission,
+    documents: documents.rows.filter(d => d.submission_id === submission.id)
+  }));
+}
+
+/**
+ * Conteúdo de um documento (visualização pelo admin)
+ */
+export async function getKycDocument(documentId) {
+  const result = await pool.query('SELECT * FROM kyc_documents WHERE id = $1', [documentId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Documento não encontrado');
+  }
+
+  const document = result.rows[0];
+  const { body } = await getDocumentStorage().get(document.storage_key);
+
+  return { document, body };
+}
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+
+// Contas do livro-razão. 'user_cash' espelha users.balance e 'user_bonus' espelha users.bonus_balance;
+// as demais são contrapartidas da casa.
+export const ACCOUNTS = {
+  USER_CASH: 'user_cash',
+  HOUSE: 'house',
+  GATEWAY: 'gateway',
+  PENDING_WITHDRAWALS: 'pending_withdrawals',
+  ADJUSTMENTS: 'adjustments',
+  JACKPOT: 'jackpot',
+  USER_BONUS: 'user_bonus',
+  BONUS_FUNDING: 'bonus_funding'
+};
+
+/**
+ * Arredonda um valor em reais para centavos (2 casas)
+ */
+export function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Conta de contrapartida de cada tipo de lançamento no saldo do usuário
+const COUNTER_ACCOUNTS = {
+  deposit: ACCOUNTS.GATEWAY,
+  bet: ACCOUNTS.HOUSE,
+  prize: ACCOUNTS.HOUSE,
+  withdrawal_hold: ACCOUNTS.PENDING_WITHDRAWALS,
+  reversal: ACCOUNTS.PENDING_WITHDRAWALS,
+  refund: ACCOUNTS.GATEWAY,
+  chargeback: ACCOUNTS.GATEWAY,
+  jackpot_win: ACCOUNTS.JACKPOT,
+  bonus_release: ACCOUNTS.USER_BONUS,
+  adjustment: ACCOUNTS.ADJUSTMENTS,
+  opening_balance: ACCOUNTS.ADJUSTMENTS
+};
+
+// Contrapartida de cada lançamento no saldo de bônus (conta user_bonus)
+export const BONUS_COUNTER_ACCOUNTS = {
+  bonus_grant: ACCOUNTS.BONUS_FUNDING,
+  bonus_bet: ACCOUNTS.HOUSE,
+  bonus_prize: ACCOUNTS.HOUSE,
+  bonus_forfeit: ACCOUNTS.BONUS_FUNDING
+};
+
+// Lançamentos só entre contas da casa (não mexem em saldo de usuário)
+const HOUSE_ENTRY_TYPES = ['withdrawal_capture', 'jackpot_contribution', 'jackpot_seed'];
+
+export const ENTRY_TYPES = [...Object.keys(COUNTER_ACCOUNTS), ...Object.keys(BONUS_COUNTER_ACCOUNTS), ...HOUSE_ENTRY_TYPES];
+
+/**
+ * Grava um lançamento de partidas dobradas: +amount em `account` e -amount em `counterAccount`
+ * Deve ser chamado dentro da mesma transação que altera o saldo correspondente
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {object} entry
+ * @returns {Promise<string>} entry_group gerado
+ */
+export async function recordLedgerEntry(client, {
+  userId = null,
+  entryType,
+  amount,
+  account,
+  counterAccount,
+  balanceAfter = null,
+  transactionId = null,
+  gameRoundId = null,
+  description = null
+}) {
+  if (!ENTRY_TYPES.includes(entryType)) {
+    throw new Error(`Tipo de lançamento inválido: ${entryType}`);
+  }
+
+  const value = roundMoney(parseFloat(amount));
+  if (!Number.isFinite(value) || value === 0) {
+    throw new Error('Valor de lançamento inválido');
+  }
+
+  const entryGroup = crypto.randomUUID();
+
+  await client.query(
+    `INSERT INTO ledger_entries (entry_group, user_id, account, entry_type, amount, balance_after, transaction_id, game_round_id, description)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9),
+            ($1, $2, $10, $4, $11, NULL, $7, $8, $9)`,
+    [entryGroup, userId, account, entryType, value, balanceAfter, transactionId, gameRoundId, description, counterAccount, -value]
+  );
+
+  return entryGroup;
+}
+
+/**
+ * Credita (delta > 0) ou debita (delta < 0) o saldo do usuário e registra o lançamento no livro-razão
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {string} userId - ID do usuário
+ * @param {number} delta - Variação do saldo
+ * @param {{entryType: string, transactionId?: string, gameRoundId?: string, description?: string}} entry
+ * @returns {Promise<number>} Novo saldo
+ */
+export async function adjustUserBalance(client, userId, delta, { entryType, transactionId = null, gameRoundId = null, description = null }) {
+  const counterAccount = COUNTER_ACCOUNTS[entryType];
+  if (!counterAccount) {
+    throw new Error(`Tipo de lançamento inválido: ${entryType}`);
+  }
+
+  const result = await client.query(
+    'SELECT balance FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Usuário não encontrado');
+  }
+
+  const currentBalance = parseFloat(result.rows[0].balance);
+  const newBalance = roundMoney(currentBalance + parseFloat(delta));
+
+  if (newBalance < 0) {
+    throw new Error('Saldo insuficiente');
+  }
+
+  await client.query(
+    'UPDATE users SET balance = $1 WHERE id = $2',
+    [newBalance, userId]
+  );
+
+  await recordLedgerEntry(client, {
+    userId,
+    entryType,
+    amount: delta,
+    account: ACCOUNTS.USER_CASH,
+    counterAccount,
+    balanceAfter: newBalance,
+    transactionId,
+    gameRoundId,
+    description
+  });
+
+  return newBalance;
+}
+
+export async function getUserLedger(userId, limit = 50) {
+  const result = await pool.query(
+    `SELECT id, entry_group, entry_type, amount, balance_after, transaction_id, game_round_id, description, created_at
+     FROM ledger_entries
+     WHERE user_id = $1 AND account = $2
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [userId, ACCOUNTS.USER_CASH, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Reconstrói o saldo real e o saldo de bônus de cada usuário a partir do livro-razão
+ * e compara com users.balance / users.bonus_balance
+ * Também aponta lançamentos cujas partidas não somam zero
+ * @returns {Promise<{checkedUsers: number, mismatches: Array, unbalancedGroups: Array}>}
+ */
+export async function reconcileBalances() {
+  const balances = await pool.query(
+    `SELECT u.id AS user_id, u.username, u.balance, u.bonus_balance,
+            COALESCE(l.ledger_balance, 0) AS ledger_balance,
+            COALESCE(l.ledger_bonus_balance, 0) AS ledger_bonus_balance
+     FROM users u
+     LEFT JOIN (
+       SELECT user_id,
+              SUM(amount) FILTER (WHERE account = $1) AS ledger_balance,
+              SUM(amount) FILTER (WHERE account = $2) AS ledger_bonus_balance
+       FROM ledger_entries
+       WHERE account IN ($1, $2)
+       GROUP BY user_id
+     ) l ON l.user_id = u.id`,
+    [ACCOUNTS.USER_CASH, ACCOUNTS.USER_BONUS]
+  );
+
+  const mismatches = balances.rows
+    .map(row => ({
+      userId: row.user_id,
+      username: row.username,
+      balance: parseFloat(row.balance),
+      ledgerBalance: parseFloat(row.ledger_balance),
+      difference: roundMoney(parseFloat(row.balance) - parseFloat(row.ledger_balance)),
+      bonusBalance: parseFloat(row.bonus_balance),
+      ledgerBonusBalance: parseFloat(row.ledger_bonus_balance),
+      bonusDifference: roundMoney(parseFloat(row.bonus_balance) - parseFloat(row.ledger_bonus_balance))
+    }))
+    .filter(row => row.difference !== 0 || row.bonusDifference !== 0);
+
+  const unbalanced = await pool.query(
+    `SELECT entry_group, SUM(amount) AS total
+     FROM ledger_entries
+     GROUP BY entry_group
+     HAVING SUM(amount) <> 0`
+  );
+
+  return {
+    checkedUsers: balances.rows.length,
+    mismatches,
+    unbalancedGroups: unbalanced.rows.map(row => ({ entryGroup: row.entry_group, total: parseFloat(row.total) }))
+  };
+}
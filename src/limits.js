@@ -0,0 +1,360 @@
+import { pool, getSetting, withTransaction } from './db.js';
+import { roundMoney } from './ledger.js';
+
+export const LIMIT_TYPES = ['deposit', 'loss', 'wager', 'session'];
+export const LIMIT_PERIODS = ['daily', 'weekly', 'monthly'];
+export const LIMIT_SOURCES = ['player', 'admin'];
+
+// Limite de sessão não tem período: o valor é a duração máxima em minutos
+export const SESSION_PERIOD = 'session';
+
+// Os períodos seguem o calendário de Brasília (dia, semana a partir de segunda, mês)
+const LIMIT_TIMEZONE = 'America/Sao_Paulo';
+
+const PERIOD_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+const TYPE_LABELS = { deposit: 'depósito', loss: 'perda', wager: 'apostas' };
+const PERIOD_LABELS = { daily: 'diário', weekly: 'semanal', monthly: 'mensal' };
+const PERIOD_REMAINING = { daily: 'hoje', weekly: 'nesta semana', monthly: 'neste mês' };
+
+const DEFAULT_COOLING_OFF_HOURS = 24;
+
+function formatAmount(value) {
+  return `R$ ${value.toFixed(2).replace('.', ',')}`;
+}
+
+async function getCoolingOffHours() {
+  const value = parseFloat(await getSetting('limit_cooling_off_hours'));
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_COOLING_OFF_HOURS;
+}
+
+/**
+ * Aplica aumentos e remoções de limite cujo período de espera já terminou
+ */
+async function applyPendingChanges(db, userId) {
+  await db.query(
+    `DELETE FROM player_limits
+     WHERE user_id = $1 AND pending_effective_at <= NOW() AND pending_amount IS NULL`,
+    [userId]
+  );
+
+  await db.query(
+    `UPDATE player_limits
+     SET amount = pending_amount, pending_amount = NULL, pending_effective_at = NULL, updated_at = NOW()
+     WHERE user_id = $1 AND pending_effective_at <= NOW()`,
+    [userId]
+  );
+}
+
+function formatLimit(row) {
+  return {
+    id: row.id,
+    type: row.limit_type,
+    period: row.period,
+    source: row.source,
+    amount: parseFloat(row.amount),
+    pending: row.pending_effective_at
+      ? {
+          amount: row.pending_amount === null ? null : parseFloat(row.pending_amount),
+          effective_at: row.pending_effective_at
+        }
+      : null,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Limites vigentes: para cada tipo/período vale o menor entre o do jogador e o do administrador
+ * @returns {Promise<{limits: object[], effective: object}>}
+ */
+async function loadLimits(db, userId) {
+  await applyPendingChanges(db, userId);
+
+  const result = await db.query(
+    'SELECT * FROM player_limits WHERE user_id = $1 ORDER BY limit_type, period, source',
+    [userId]
+  );
+
+  const limits = result.rows.map(formatLimit);
+  const effective = {};
+
+  for (const limit of limits) {
+    effective[limit.type] = effective[limit.type] || {};
+    const current = effective[limit.type][limit.period];
+    effective[limit.type][limit.period] = current === undefined ? limit.amount : Math.min(current, limit.amount);
+  }
+
+  return { limits, effective };
+}
+
+/**
+ * Quanto o usuário já usou de um limite no período corrente
+ * Depósitos contam desde a criação do PIX (pendentes e pagos); apostas e perdas contam só o saldo real
+ */
+async function getUsage(db, userId, type, period) {
+  const periodStart = `date_trunc($2, NOW() AT TIME ZONE '${LIMIT_TIMEZONE}') AT TIME ZONE '${LIMIT_TIMEZONE}'`;
+  const queries = {
+    deposit: `SELECT COALESCE(SUM(amount), 0) AS used FROM transactions
+               WHERE user_id = $1 AND type = 'deposit' AND status IN ('pending', 'paid') AND created_at >= ${periodStart}`,
+    wager: `SELECT COALESCE(SUM(bet_amount), 0) AS used FROM game_rounds
+             WHERE user_id = $1 AND funded_by = 'cash' AND created_at >= ${periodStart}`,
+    loss: `SELECT GREATEST(COALESCE(SUM(bet_amount - prize_amount), 0), 0) AS used FROM game_rounds
+            WHERE user_id = $1 AND funded_by = 'cash' AND created_at >= ${periodStart}`
+  };
+
+  const result = await db.query(queries[type], [userId, PERIOD_UNITS[period]]);
+  return parseFloat(result.rows[0].used);
+}
+
+function limitExceededError(type, period, limit, used) {
+  const remaining = Math.max(0, roundMoney(limit - used));
+  return new Error(
+    `Limite de ${TYPE_LABELS[type]} ${PERIOD_LABELS[period]} atingido (${formatAmount(limit)}). ` +
+    `Você ainda pode usar ${formatAmount(remaining)} ${PERIOD_REMAINING[period]}.`
+  );
+}
+
+/**
+ * Limites, pendências, uso no período e sessão atual do usuário
+ * @param {string} userId - ID do usuário
+ * @param {{sessionId?: string}} options - Sessão do token, para mostrar o tempo de jogo
+ */
+export async function getUserLimits(userId, { sessionId = null } = {}) {
+  const { limits, effective } = await loadLimits(pool, userId);
+
+  const usage = {};
+  for (const type of Object.keys(effective)) {
+    if (type === 'session') continue;
+    usage[type] = {};
+    for (const period of Object.keys(effective[type])) {
+      usage[type][period] = await getUsage(pool, userId, type, period);
+    }
+  }
+
+  let session = null;
+  if (sessionId) {
+    const result = await pool.query(
+      `SELECT id, started_at, ended_at, FLOOR(EXTRACT(EPOCH FROM NOW() - started_at) / 60) AS elapsed_minutes
+       FROM player_sessions WHERE id = $1 AND user_id = $2`,
+      [sessionId, userId]
+    );
+    session = result.rows[0]
+      ? { ...result.rows[0], elapsed_minutes: parseInt(result.rows[0].elapsed_minutes) }
+      : null;
+  }
+
+  return {
+    limits,
+    effective,
+    usage,
+    session,
+    cooling_off_hours: await getCoolingOffHours()
+  };
+}
+
+/**
+ * Define, altera ou remove (amount = null) um limite.
+ * Limites do administrador valem na hora. Para o jogador, reduções valem na hora e
+ * aumentos ou remoções só depois do período de espera (limit_cooling_off_hours).
+ * @param {string} userId - ID do usuário
+ * @param {{type: string, period?: string, amount: number|null}} limit - Tipo, período e valor (minutos para sessão)
+ * @param {{source?: 'player'|'admin'}} options - Quem está definindo o limite
+ * @returns {Promise<{limit: object|null, applied: boolean}>}
+ */
+export async function setUserLimit(userId, { type, period, amount }, { source = 'player' } = {}) {
+  if (!LIMIT_TYPES.includes(type)) {
+    throw new Error(`Tipo de limite inválido. Use: ${LIMIT_TYPES.join(', ')}`);
+  }
+
+  if (!LIMIT_SOURCES.includes(source)) {
+    throw new Error('Origem do limite inválida');
+  }
+
+  const limitPeriod = type === 'session' ? SESSION_PERIOD : period;
+  if (type !== 'session' && !LIMIT_PERIODS.includes(limitPeriod)) {
+    throw new Error(`Período de limite inválido. Use: ${LIMIT_PERIODS.join(', ')}`);
+  }
+
+  const value = amount === null || amount === undefined || amount === '' ? null : roundMoney(parseFloat(amount));
+  if (value !== null && (!Number.isFinite(value) || value <= 0)) {
+    throw new Error('Valor de limite inválido');
+  }
+
+  if (type === 'session' && value !== null && !Number.isInteger(value)) {
+    throw new Error('Limite de sessão inválido: informe a duração em minutos inteiros');
+  }
+
+  const coolingOffHours = await getCoolingOffHours();
+
+  return withTransaction(async (client) => {
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    await applyPendingChanges(client, userId);
+
+    const existingResult = await client.query(
+      `SELECT * FROM player_limits WHERE user_id = $1 AND limit_type = $2 AND period = $3 AND source = $4`,
+      [userId, type, limitPeriod, source]
+    );
+    const existing = existingResult.rows[0];
+
+    if (value === null && !existing) {
+      return { limit: null, applied: true };
+    }
+
+    // Novo limite ou redução: vale imediatamente (e cancela um aumento pendente)
+    const immediate = source === 'admin'
+      || (value !== null && (!existing || value <= parseFloat(existing.amount)));
+
+    if (immediate && value === null) {
+      await client.query('DELETE FROM player_limits WHERE id = $1', [existing.id]);
+      return { limit: null, applied: true };
+    }
+
+    if (immediate) {
+      const result = await client.query(
+        `INSERT INTO player_limits (user_id, limit_type, period, source, amount)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (user_id, limit_type, period, source) DO UPDATE SET
+           amount = EXCLUDED.amount, pending_amount = NULL, pending_effective_at = NULL, updated_at = NOW()
+         RETURNING *`,
+        [userId, type, limitPeriod, source, value]
+      );
+      return { limit: formatLimit(result.rows[0]), applied: true };
+    }
+
+    // Aumento ou remoção pelo jogador: fica pendente até o fim do período de espera
+    const result = await client.query(
+      `UPDATE player_limits
+       SET pending_amount = $1, pending_effective_at = NOW() + $2::numeric * INTERVAL '1 hour', updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [value, coolingOffHours, existing.id]
+    );
+    return { limit: formatLimit(result.rows[0]), applied: false };
+  });
+}
+
+/**
+ * Recusa um depósito que ultrapassaria algum limite de depósito do usuário
+ */
+export async function assertDepositWithinLimits(userId, amount) {
+  const { effective } = await loadLimits(pool, userId);
+
+  for (const [period, limit] of Object.entries(effective.deposit || {})) {
+    const used = await getUsage(pool, userId, 'deposit', period);
+    if (roundMoney(used + amount) > limit) {
+      throw limitExceededError('deposit', period, limit, used);
+    }
+  }
+}
+
+/**
+ * Controle dos limites de apostas e perdas durante uma jogada (uma ou várias rodadas na mesma transação).
+ * Cada aposta com saldo real é recusada se ultrapassar o limite de apostas ou se, perdida, ultrapassar o de perda.
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta (usuário já travado)
+ * @returns {Promise<{check: (betAmount: number) => void, record: (betAmount: number, prizeAmount: number) => void}>}
+ */
+export async function createBetLimitGuard(client, userId) {
+  const { effective } = await loadLimits(client, userId);
+
+  const tracked = [];
+  for (const type of ['wager', 'loss']) {
+    for (const [period, limit] of Object.entries(effective[type] || {})) {
+      tracked.push({ type, period, limit, used: await getUsage(client, userId, type, period) });
+    }
+  }
+
+  return {
+    check(betAmount) {
+      for (const entry of tracked) {
+        // Perda líquida negativa no período não dá crédito para além do limite
+        const used = Math.max(0, entry.used);
+        if (roundMoney(used + betAmount) > entry.limit) {
+          throw limitExceededError(entry.type, entry.period, entry.limit, used);
+        }
+      }
+    },
+
+    record(betAmount, prizeAmount) {
+      for (const entry of tracked) {
+        entry.used = roundMoney(entry.used + (entry.type === 'wager' ? betAmount : betAmount - prizeAmount));
+      }
+    }
+  };
+}
+
+// ========== SESSÕES ==========
+
+/**
+ * Abre uma sessão de jogo (no login); o ID vai no token para controlar o limite de tempo
+ */
+export async function startSession(userId) {
+  const result = await pool.query(
+    'INSERT INTO player_sessions (user_id) VALUES ($1) RETURNING id, started_at',
+    [userId]
+  );
+  return result.rows[0];
+}
+
+export async function endSession(sessionId, userId) {
+  await pool.query(
+    'UPDATE player_sessions SET ended_at = NOW() WHERE id = $1 AND user_id = $2 AND ended_at IS NULL',
+    [sessionId, userId]
+  );
+}
+
+function formatTime(date) {
+  return new Date(date).toLocaleTimeString('pt-BR', { timeZone: LIMIT_TIMEZONE, hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Recusa a jogada se a sessão passou do limite de tempo do usuário; a sessão é encerrada e começa uma
+ * pausa de mesma duração. Durante a pausa nenhuma sessão do usuário joga (nem uma aberta num novo login),
+ * e a sessão aberta durante a pausa só começa a contar quando ela termina.
+ */
+export async function assertSessionWithinLimit(userId, sessionId) {
+  const { effective } = await loadLimits(pool, userId);
+  const limitMinutes = effective.session?.[SESSION_PERIOD];
+
+  if (!limitMinutes) return;
+
+  if (!sessionId) {
+    throw new Error('Limite de tempo de sessão ativo: faça login novamente para iniciar uma nova sessão');
+  }
+
+  const result = await pool.query(
+    `SELECT s.ended_at, b.break_ends_at, b.break_ends_at > NOW() AS on_break,
+            EXTRACT(EPOCH FROM NOW() - GREATEST(s.started_at, COALESCE(b.break_ends_at, s.started_at))) / 60 AS elapsed_minutes
+     FROM player_sessions s,
+          (SELECT MAX(limit_reached_at) + $3::int * INTERVAL '1 minute' AS break_ends_at
+           FROM player_sessions WHERE user_id = $2) b
+     WHERE s.id = $1 AND s.user_id = $2`,
+    [sessionId, userId, limitMinutes]
+  );
+  const session = result.rows[0];
+
+  if (session?.on_break) {
+    throw new Error(`Limite de tempo de sessão: pausa obrigatória até ${formatTime(session.break_ends_at)}`);
+  }
+
+  if (!session || session.ended_at) {
+    throw new Error('Limite de tempo de sessão: esta sessão foi encerrada, faça login novamente');
+  }
+
+  if (parseFloat(session.elapsed_minutes) >= limitMinutes) {
+    const ended = await pool.query(
+      `UPDATE player_sessions SET ended_at = NOW(), limit_reached_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND ended_at IS NULL
+       RETURNING limit_reached_at + $3::int * INTERVAL '1 minute' AS break_ends_at`,
+      [sessionId, userId, limitMinutes]
+    );
+    const breakEndsAt = ended.rows[0]?.break_ends_at;
+    throw new Error(
+      `Limite de tempo de sessão atingido (${limitMinutes} min). ` +
+      (breakEndsAt ? `Faça uma pausa: você poderá jogar de novo às ${formatTime(breakEndsAt)}.` : 'Faça login novamente para continuar jogando.')
+    );
+  }
+}
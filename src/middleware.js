@@ -1,6 +1,10 @@
 import { verifyToken, getUserById } from './auth.js';
+import { pool } from './db.js';
+import { assertSessionWithinLimit } from './limits.js';
+import { assertNotExcluded } from './exclusion.js';
 
 export function authMiddleware(req, res, next) {
+  let decoded;
   try {
     const token = req.headers.authorization?.replace('Bearer ', '') || req.cookies?.token;
     
@@ -8,12 +12,21 @@ export function authMiddleware(req, res, next) {
       return res.status(401).json({ error: 'Token não fornecido' });
     }
 
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
     return res.status(401).json({ error: 'Token inválido ou expirado' });
   }
+
+  // Token emitido durante a autoexclusão: apenas consultas, saque (incluindo KYC e chaves PIX exigidos para sacar)
+  // e estender a própria exclusão
+  const withdrawalRoute = ['/api/withdrawal/', '/api/kyc/', '/api/pix-keys'].some(prefix => req.path.startsWith(prefix));
+  const exclusionRoute = req.method === 'POST' && req.path === '/api/exclusion';
+  if (decoded.restricted && req.method !== 'GET' && !withdrawalRoute && !exclusionRoute) {
+    return res.status(403).json({ error: 'Autoexclusão ativa: apenas o saque do saldo está disponível' });
+  }
+
+  req.user = decoded;
+  next();
 }
 
 export function adminMiddleware(req, res, next) {
@@ -30,13 +43,194 @@ export function errorHandler(err, req, res, next) {
     return res.status(401).json({ error: err.message });
   }
   
-  if (err.message.includes('não encontrado')) {
+  if (err.message.includes('não encontrad')) {
     return res.status(404).json({ error: err.message });
   }
   
-  if (err.message.includes('já existe') || err.message.includes('inválido')) {
+  if (err.message.includes('já existe') || err.message.includes('inválid')) {
     return res.status(400).json({ error: err.message });
   }
+
+  // Limites de jogo responsável (depósito, perda, apostas, sessão) e autoexclusão
+  if (err.message.includes('Limite de') || err.message.includes('Autoexclusão')) {
+    return res.status(403).json({ error: err.message });
+  }
   
   res.status(500).json({ error: 'Erro interno do servidor', details: err.message });
 }
+
+/**
+ * Recusa jogadas depois do limite de tempo de sessão do usuário (deve vir depois de authMiddleware)
+ */
+export async function sessionLimitMiddleware(req, res, next) {
+  try {
+    await assertSessionWithinLimit(req.user.userId, req.user.sessionId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Bloqueia depósito, jogo e bônus para usuários em autoexclusão, mesmo com token emitido antes dela
+ * (deve vir depois de authMiddleware)
+ */
+export async function exclusionMiddleware(req, res, next) {
+  try {
+    await assertNotExcluded(req.user.userId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ========== LIMITE DE REQUISIÇÕES ==========
+
+/**
+ * Limites padrão por grupo de rotas (janela fixa).
+ * maxPerUser / maxPerIp = null desativa o limite daquela chave.
+ * Pode ser sobrescrito pela variável RATE_LIMITS (JSON), ex.: {"game":{"windowMs":1000}}
+ */
+export const RATE_LIMIT_DEFAULTS = {
+  // Intervalo mínimo de 2 segundos entre jogadas
+  game: { windowMs: 2000, maxPerUser: 1, maxPerIp: 10 },
+  login: { windowMs: 15 * 60 * 1000, maxPerUser: 10, maxPerIp: 50 },
+  depositCreate: { windowMs: 60 * 1000, maxPerUser: 5, maxPerIp: 20 },
+  withdrawalCreate: { windowMs: 60 * 1000, maxPerUser: 3, maxPerIp: 10 },
+  // Cadastro e confirmação de chaves PIX (limita tentativas de adivinhar o código)
+  pixKey: { windowMs: 10 * 60 * 1000, maxPerUser: 10, maxPerIp: 30 }
+};
+
+function loadRateLimitConfig() {
+  let overrides = {};
+
+  if (process.env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMITS);
+    } catch {
+      console.error('⚠️  RATE_LIMITS não é um JSON válido; usando limites padrão');
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(RATE_LIMIT_DEFAULTS).map(([group, limits]) => [group, { ...limits, ...overrides[group] }])
+  );
+}
+
+/**
+ * Store em memória (um processo). Uma janela encerrada recomeça no próximo incremento da chave;
+ * as entradas expiradas são removidas a cada sweepIntervalMs (o timer não segura o processo).
+ * @param {{sweepIntervalMs?: number}} [options]
+ */
+export function createMemoryRateLimitStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const counters = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, sweepIntervalMs).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+
+      let entry = counters.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count++;
+
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+}
+
+/**
+ * Store no Postgres (tabela rate_limits), compartilhado entre instâncias
+ */
+export function createPostgresRateLimitStore(db = pool) {
+  let calls = 0;
+
+  return {
+    async increment(key, windowMs) {
+      // Limpeza periódica de janelas encerradas
+      if (++calls % 500 === 0) {
+        await db.query('DELETE FROM rate_limits WHERE reset_at < NOW()');
+      }
+
+      const result = await db.query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, NOW() + $2::int * INTERVAL '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs]
+      );
+
+      const row = result.rows[0];
+      return { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+    }
+  };
+}
+
+let rateLimitStore = null;
+let rateLimitConfig = null;
+
+// RATE_LIMIT_STORE=postgres para compartilhar os contadores entre instâncias (padrão: memory)
+function getRateLimitStore() {
+  if (!rateLimitStore) {
+    rateLimitStore = process.env.RATE_LIMIT_STORE === 'postgres'
+      ? createPostgresRateLimitStore()
+      : createMemoryRateLimitStore();
+  }
+  return rateLimitStore;
+}
+
+/**
+ * Limitador por usuário e por IP para um grupo de rotas
+ * Deve vir depois de authMiddleware para contar por usuário; no login a chave da conta é o email informado (ou o username).
+ * @param {keyof RATE_LIMIT_DEFAULTS} group - Grupo de rotas
+ * @param {{store?: object}} options - Store alternativo (padrão definido por RATE_LIMIT_STORE)
+ */
+export function rateLimit(group, { store } = {}) {
+  if (!RATE_LIMIT_DEFAULTS[group]) {
+    throw new Error(`Grupo de limite de requisições inválido: ${group}`);
+  }
+
+  return async (req, res, next) => {
+    rateLimitConfig = rateLimitConfig || loadRateLimitConfig();
+    const { windowMs, maxPerUser, maxPerIp } = rateLimitConfig[group];
+    const limiterStore = store || getRateLimitStore();
+
+    const userKey = req.user?.userId
+      || (req.body?.email ?? req.body?.username)?.toString().trim().toLowerCase()
+      || null;
+    const checks = [];
+    if (maxPerUser && userKey) checks.push({ key: `${group}:user:${userKey}`, max: maxPerUser });
+    if (maxPerIp && req.ip) checks.push({ key: `${group}:ip:${req.ip}`, max: maxPerIp });
+
+    try {
+      for (const { key, max } of checks) {
+        const { count, resetAt } = await limiterStore.increment(key, windowMs);
+
+        if (count > max) {
+          const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            error: 'Muitas requisições. Aguarde antes de tentar novamente.',
+            retry_after: retryAfter
+          });
+        }
+      }
+    } catch (error) {
+      // Falha no store não deve derrubar a rota
+      console.error('Erro no limitador de requisições:', error.message);
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,53 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Envio de códigos de confirmação (chaves PIX de e-mail e telefone). Todo sender implementa:
+ * - sendCode({channel, to, code, expiresInMinutes}): entrega o código; channel é 'email' ou 'sms'
+ */
+
+const SEND_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Sender que repassa o código a um serviço de e-mail/SMS por HTTP (POST JSON com Bearer token).
+ * O serviço responde 2xx quando aceitou a mensagem.
+ * @param {{url: string, token?: string}} options
+ */
+export function createHttpCodeSender({ url, token = null }) {
+  return {
+    async sendCode({ channel, to, code, expiresInMinutes }) {
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ channel, to, code, expires_in_minutes: expiresInMinutes }),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+
+      if (!resp.ok) {
+        throw new Error(`Falha ao enviar o código de confirmação (${resp.status})`);
+      }
+    }
+  };
+}
+
+let codeSender;
+
+/**
+ * Sender configurado por VERIFICATION_SENDER_URL (e VERIFICATION_SENDER_TOKEN), ou null se não há
+ * serviço de envio: nesse caso chaves de e-mail/telefone vão para aprovação do admin
+ */
+export function getCodeSender() {
+  if (codeSender === undefined) {
+    codeSender = process.env.VERIFICATION_SENDER_URL
+      ? createHttpCodeSender({
+          url: process.env.VERIFICATION_SENDER_URL,
+          token: process.env.VERIFICATION_SENDER_TOKEN || null
+        })
+      : null;
+  }
+  return codeSender;
+}
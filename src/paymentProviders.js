@@ -0,0 +1,531 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getSetting, setSetting } from './db.js';
+import * as BullsPay from './bullspay.js';
+import { verifySignedWebhook, getWebhookEventId, safeEqual } from './webhooks.js';
+
+dotenv.config();
+
+/**
+ * Provedores de pagamento PIX. Todo provedor implementa:
+ * - name, label; isConfigured(): credenciais presentes
+ * - createCharge({amount, buyer: {name, email, document, phone}, externalId}): cobrança PIX
+ *   → { id, status, amount, qrCode, qrCodeBase64, paymentUrl, raw }
+ * - getCharge(id) / getPayout(id): → { id, status, amount, createdAt, raw } ou null se o gateway não conhece o id
+ * - refundCharge(id): estorna uma cobrança paga
+ * - createPayout({amount, pixKeyType, pixKey, externalId}): → { id, status, amount, raw }
+ *   (erros com payoutRejected: o gateway com certeza não criou o saque; nos demais o resultado é desconhecido)
+ * - findPayout(externalId) (opcional): saque pelo externalId enviado em createPayout, no formato de getPayout
+ * - getBalance(): → { available, blocked }
+ * - verifyWebhook(req): → { verified, reason?, eventId } (reason: motivo da recusa; eventId: id da entrega, usado contra reenvios)
+ * - parseWebhookEvent(body): corpo de uma entrega já verificada → { id, status, payload } ou null se não é de cobrança/saque
+ * Valores sempre em reais; cada adaptador converte para o formato do seu gateway.
+ */
+
+export const DEFAULT_PROVIDER = 'bullspay';
+
+// Chave em settings do provedor que recebe cada tipo de transação nova
+const ROUTE_SETTINGS = {
+  deposit: 'deposit_provider',
+  withdrawal: 'withdrawal_provider'
+};
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+// Respostas HTTP em que o gateway recusou o pedido sem criar nada (timeout e conflito podem esconder um saque criado)
+function isRejectionStatus(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 409;
+}
+
+function markPayoutRejected(error) {
+  error.payoutRejected = true;
+  return error;
+}
+
+/**
+ * Pede o saque ao gateway separando recusas definitivas (validação antes do envio ou resposta 4xx)
+ * de resultados desconhecidos (rede, timeout, 5xx), em que o saque pode ter sido criado
+ * @param {Function} validate - Validações locais, antes de qualquer chamada ao gateway
+ * @param {Function} send - Envio ao gateway
+ */
+async function sendPayout(validate, send) {
+  try {
+    validate();
+  } catch (error) {
+    throw markPayoutRejected(error);
+  }
+
+  try {
+    return await send();
+  } catch (error) {
+    throw isRejectionStatus(error.status) ? markPayoutRejected(error) : error;
+  }
+}
+
+/**
+ * Se o erro de createPayout garante que o saque não foi criado no gateway
+ */
+export function isPayoutRejected(error) {
+  return error?.payoutRejected === true;
+}
+
+/**
+ * Adaptador da BullsPay sobre src/bullspay.js (os status da BullsPay já são os que gravamos)
+ */
+export function createBullsPayProvider() {
+  const toRecord = (item, amountCents) => ({
+    id: item.unic_id,
+    status: item.status,
+    amount: amountCents / 100,
+    createdAt: item.created_at,
+    raw: item
+  });
+
+  return {
+    name: 'bullspay',
+    label: 'BullsPay',
+
+    isConfigured() {
+      return Boolean(process.env.BULLSPAY_CLIENT_ID && process.env.BULLSPAY_API_KEY);
+    },
+
+    async createCharge({ amount, buyer, externalId }) {
+      const transaction = await BullsPay.createTransaction({
+        amount,
+        buyerName: buyer.name,
+        buyerEmail: buyer.email,
+        buyerDocument: buyer.document,
+        buyerPhone: buyer.phone || '',
+        externalId
+      });
+
+      return {
+        id: transaction.unic_id,
+        status: transaction.status,
+        amount: transaction.total_value / 100,
+        qrCode: transaction.qr_code_text,
+        qrCodeBase64: transaction.qr_code_base64,
+        paymentUrl: transaction.payment_url,
+        raw: transaction.raw
+      };
+    },
+
+    async getCharge(id) {
+      const { transactions } = await BullsPay.listTransactions({ id, limit: 1 });
+      const item = transactions.find(t => t.unic_id === id);
+      return item ? toRecord(item, Math.round(Number(item.total_value ?? item.amount))) : null;
+    },
+
+    async refundCharge(id) {
+      return BullsPay.refundTransaction(id);
+    },
+
+    // A BullsPay não aceita externalId em saques, então não há findPayout: resultado desconhecido fica para o admin
+    async createPayout({ amount, pixKeyType, pixKey }) {
+      const withdrawal = await sendPayout(
+        () => {
+          if (!this.isConfigured()) throw new Error('BULLSPAY_CLIENT_ID e BULLSPAY_API_KEY devem estar configuradas');
+          BullsPay.formatPixKey(pixKey, pixKeyType);
+        },
+        () => BullsPay.requestWithdrawal({ amount, pixKeyType, pixKey })
+      );
+      return {
+        id: withdrawal.unic_id,
+        status: withdrawal.status,
+        amount: withdrawal.amount / 100,
+        raw: withdrawal.raw
+      };
+    },
+
+    async getPayout(id) {
+      const { withdrawals } = await BullsPay.listWithdrawals({ id, limit: 1 });
+      const item = withdrawals.find(w => w.unic_id === id);
+      return item ? toRecord(item, Math.round(Number(item.amount))) : null;
+    },
+
+    async getBalance() {
+      const balance = await BullsPay.getBalance();
+      return { available: balance.available_balance / 100, blocked: balance.blocked_balance / 100 };
+    },
+
+    verifyWebhook(req) {
+      return verifySignedWebhook(req, { secret: BullsPay.getWebhookSecret() });
+    },
+
+    parseWebhookEvent(body) {
+      const data = body?.data;
+      return data?.unic_id ? { id: data.unic_id, status: data.status, payload: data } : null;
+    }
+  };
+}
+
+// Status do provedor PIX genérico → status que gravamos em transactions
+const PIX_PROVIDER_STATUSES = {
+  created: 'pending',
+  pending: 'pending',
+  processing: 'pending',
+  completed: 'paid',
+  paid: 'paid',
+  failed: 'failed',
+  cancelled: 'canceled',
+  canceled: 'canceled',
+  expired: 'expired',
+  refunded: 'refunded'
+};
+
+/**
+ * Adaptador de referência para um gateway PIX REST genérico (valores em centavos, Bearer token,
+ * webhook no esquema assinado de src/webhooks.js)
+ * @param {{apiBase: string, apiKey: string, webhookSecret?: string}} options
+ */
+export function createPixProvider({ apiBase, apiKey, webhookSecret }) {
+  const base = (apiBase || '').replace(/\/+$/, '');
+
+  const normalizeStatus = (status) => {
+    const value = String(status || '').toLowerCase();
+    return PIX_PROVIDER_STATUSES[value] || value;
+  };
+
+  const toRecord = (item) => ({
+    id: item.id,
+    status: normalizeStatus(item.status),
+    amount: item.amount_cents / 100,
+    createdAt: item.created_at,
+    raw: item
+  });
+
+  async function request(method, path, body = null) {
+    if (!base || !apiKey) {
+      throw new Error('PIX_PROVIDER_API_BASE e PIX_PROVIDER_API_KEY devem estar configuradas');
+    }
+
+    const resp = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    // Consulta de id desconhecido
+    if (resp.status === 404 && method === 'GET') {
+      return null;
+    }
+
+    if (!resp.ok) {
+      const errorText = await resp.text().catch(() => 'Erro desconhecido');
+      const error = new Error(`PIX provider error ${resp.status}: ${errorText}`);
+      error.status = resp.status;
+      throw error;
+    }
+
+    return resp.json();
+  }
+
+  return {
+    name: 'pix',
+    label: 'Gateway PIX genérico',
+
+    isConfigured() {
+      return Boolean(base && apiKey && webhookSecret);
+    },
+
+    async createCharge({ amount, buyer, externalId }) {
+      const charge = await request('POST', '/charges', {
+        amount_cents: toCents(amount),
+        external_id: externalId,
+        payer: { name: buyer.name, email: buyer.email, document: buyer.document }
+      });
+
+      return {
+        ...toRecord(charge),
+        qrCode: charge.pix?.copy_paste,
+        qrCodeBase64: charge.pix?.qrcode_base64,
+        paymentUrl: charge.payment_url
+      };
+    },
+
+    async getCharge(id) {
+      const charge = await request('GET', `/charges/${encodeURIComponent(id)}`);
+      return charge ? toRecord(charge) : null;
+    },
+
+    async refundCharge(id) {
+      return request('POST', `/charges/${encodeURIComponent(id)}/refund`);
+    },
+
+    async createPayout({ amount, pixKeyType, pixKey, externalId }) {
+      let formattedPixKey;
+      const payout = await sendPayout(
+        () => {
+          if (!base || !apiKey) throw new Error('PIX_PROVIDER_API_BASE e PIX_PROVIDER_API_KEY devem estar configuradas');
+          formattedPixKey = BullsPay.formatPixKey(pixKey, pixKeyType);
+        },
+        () => request('POST', '/payouts', {
+          amount_cents: toCents(amount),
+          external_id: externalId,
+          pix_key: { type: pixKeyType, value: formattedPixKey }
+        })
+      );
+      return toRecord(payout);
+    },
+
+    async getPayout(id) {
+      const payout = await request('GET', `/payouts/${encodeURIComponent(id)}`);
+      return payout ? toRecord(payout) : null;
+    },
+
+    async findPayout(externalId) {
+      const payout = await request('GET', `/payouts/external/${encodeURIComponent(externalId)}`);
+      return payout ? toRecord(payout) : null;
+    },
+
+    async getBalance() {
+      const balance = await request('GET', '/balance');
+      return { available: balance.available_cents / 100, blocked: (balance.blocked_cents || 0) / 100 };
+    },
+
+    verifyWebhook(req) {
+      return verifySignedWebhook(req, { secret: webhookSecret });
+    },
+
+    parseWebhookEvent(body) {
+      const data = body?.data;
+      return data?.id ? { id: data.id, status: normalizeStatus(data.status), payload: data } : null;
+    }
+  };
+}
+
+/**
+ * Adaptador falso em memória para desenvolvimento. Só fica disponível com habilitação explícita
+ * (enabled, vindo de FAKE_PROVIDER_ENABLED=true) e nunca com NODE_ENV=production: ele "paga" depósitos
+ * sem dinheiro nenhum entrar, então não pode ser roteado por engano numa instalação real.
+ * Cobranças e saques ficam pending e viram paid na primeira consulta depois de autoPayMs (negativo desliga).
+ * Webhooks: corpo { data: { id, status } } com o header X-Fake-Secret igual a secret.
+ * @param {{enabled?: boolean, autoPayMs?: number, initialBalance?: number, secret?: string}} [options]
+ */
+export function createFakeProvider({ enabled = false, autoPayMs = 5000, initialBalance = 10000, secret = null } = {}) {
+  const charges = new Map();
+  const payouts = new Map();
+  const balance = { available: initialBalance, blocked: 0 };
+
+  const isAvailable = () => enabled && process.env.NODE_ENV !== 'production';
+
+  const ensureAvailable = () => {
+    if (!isAvailable()) {
+      throw new Error('Provedor fake indisponível: defina FAKE_PROVIDER_ENABLED=true (fora de produção)');
+    }
+  };
+
+  const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+  const markPaid = (record, isPayout) => {
+    record.status = 'paid';
+    if (isPayout) balance.blocked -= record.amount;
+    else balance.available += record.amount;
+  };
+
+  const autoPay = (record, isPayout) => {
+    if (record.status === 'pending' && autoPayMs >= 0 && Date.now() - new Date(record.createdAt).getTime() >= autoPayMs) {
+      markPaid(record, isPayout);
+    }
+    return { ...record, raw: { ...record } };
+  };
+
+  return {
+    name: 'fake',
+    label: 'Fake (desenvolvimento)',
+
+    isConfigured() {
+      return isAvailable();
+    },
+
+    async createCharge({ amount, externalId }) {
+      ensureAvailable();
+
+      const id = newId('fake_ch');
+      const qrCode = `00020126FAKEPIX${id}5802BR6304FAKE`;
+      const charge = { id, status: 'pending', amount: parseFloat(amount), externalId, createdAt: new Date().toISOString() };
+      charges.set(id, charge);
+
+      return {
+        ...charge,
+        qrCode,
+        qrCodeBase64: Buffer.from(qrCode).toString('base64'),
+        paymentUrl: null,
+        raw: { ...charge }
+      };
+    },
+
+    async getCharge(id) {
+      const charge = charges.get(id);
+      return charge ? autoPay(charge, false) : null;
+    },
+
+    async refundCharge(id) {
+      const charge = charges.get(id);
+      if (!charge || charge.status !== 'paid') {
+        throw new Error('Cobrança fake não encontrada ou não paga');
+      }
+      charge.status = 'refunded';
+      balance.available -= charge.amount;
+      return { ...charge };
+    },
+
+    async createPayout({ amount, pixKeyType, pixKey, externalId }) {
+      const value = parseFloat(amount);
+
+      return sendPayout(
+        () => {
+          ensureAvailable();
+          if (value > balance.available) throw new Error('Saldo insuficiente no provedor fake');
+        },
+        async () => {
+          balance.available -= value;
+          balance.blocked += value;
+
+          const payout = { id: newId('fake_po'), status: 'pending', amount: value, pixKeyType, pixKey, externalId, createdAt: new Date().toISOString() };
+          payouts.set(payout.id, payout);
+          return { ...payout, raw: { ...payout } };
+        }
+      );
+    },
+
+    async getPayout(id) {
+      const payout = payouts.get(id);
+      return payout ? autoPay(payout, true) : null;
+    },
+
+    async findPayout(externalId) {
+      const payout = [...payouts.values()].find(p => p.externalId === externalId);
+      return payout ? autoPay(payout, true) : null;
+    },
+
+    async getBalance() {
+      return { ...balance };
+    },
+
+    verifyWebhook(req) {
+      const eventId = getWebhookEventId(req);
+
+      if (!secret || !isAvailable()) {
+        return { verified: false, reason: 'not_configured', eventId };
+      }
+      if (!safeEqual(req.headers['x-fake-secret'], secret)) {
+        return { verified: false, reason: 'invalid_signature', eventId };
+      }
+
+      return { verified: true, eventId };
+    },
+
+    parseWebhookEvent(body) {
+      const data = body?.data;
+      if (!data?.id) {
+        return null;
+      }
+
+      // Mantém o estado em memória coerente com o evento recebido
+      const record = charges.get(data.id) || payouts.get(data.id);
+      if (record && record.status === 'pending' && data.status === 'paid') {
+        markPaid(record, payouts.has(data.id));
+      }
+
+      return { id: data.id, status: data.status, payload: data };
+    }
+  };
+}
+
+let providers = null;
+
+/**
+ * Provedores disponíveis, configurados pelas variáveis de ambiente:
+ * BULLSPAY_*, PIX_PROVIDER_API_BASE/PIX_PROVIDER_API_KEY/PIX_PROVIDER_WEBHOOK_SECRET e FAKE_PROVIDER_*
+ */
+function getProviders() {
+  if (!providers) {
+    const autoPayMs = parseInt(process.env.FAKE_PROVIDER_AUTO_PAY_MS ?? '5000');
+
+    providers = new Map([
+      ['bullspay', createBullsPayProvider()],
+      ['pix', createPixProvider({
+        apiBase: process.env.PIX_PROVIDER_API_BASE,
+        apiKey: process.env.PIX_PROVIDER_API_KEY,
+        webhookSecret: process.env.PIX_PROVIDER_WEBHOOK_SECRET
+      })],
+      ['fake', createFakeProvider({
+        enabled: process.env.FAKE_PROVIDER_ENABLED === 'true',
+        autoPayMs: Number.isFinite(autoPayMs) ? autoPayMs : 5000,
+        secret: process.env.FAKE_PROVIDER_SECRET || null
+      })]
+    ]);
+  }
+  return providers;
+}
+
+export function getPaymentProvider(name) {
+  const provider = getProviders().get(name);
+
+  if (!provider) {
+    throw new Error(`Provedor de pagamento não encontrado: ${name}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Provedor em que a transação foi criada (as consultas, estornos e webhooks dela vão sempre para ele)
+ */
+export function getTransactionProvider(transaction) {
+  return getPaymentProvider(transaction.provider || DEFAULT_PROVIDER);
+}
+
+export function listPaymentProviders() {
+  return [...getProviders().values()].map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    configured: provider.isConfigured()
+  }));
+}
+
+/**
+ * Provedor que recebe as transações novas do tipo
+ * @param {'deposit'|'withdrawal'} type
+ */
+export async function getRoutedProvider(type) {
+  const name = (await getSetting(ROUTE_SETTINGS[type])) || DEFAULT_PROVIDER;
+  return getPaymentProvider(name);
+}
+
+export async function getProviderRouting() {
+  return {
+    deposit: (await getSetting(ROUTE_SETTINGS.deposit)) || DEFAULT_PROVIDER,
+    withdrawal: (await getSetting(ROUTE_SETTINGS.withdrawal)) || DEFAULT_PROVIDER
+  };
+}
+
+/**
+ * Direciona os depósitos ou saques novos para outro provedor (ex.: failover quando a BullsPay cai).
+ * Transações já criadas continuam no provedor de origem.
+ * @param {'deposit'|'withdrawal'} type
+ * @param {string} name - Nome do provedor
+ */
+export async function setProviderRoute(type, name) {
+  if (!ROUTE_SETTINGS[type]) {
+    throw new Error('Tipo de roteamento inválido');
+  }
+
+  const provider = getProviders().get(name);
+  if (!provider) {
+    throw new Error(`Provedor de pagamento inválido: ${name}`);
+  }
+  if (!provider.isConfigured()) {
+    throw new Error(`Provedor de pagamento inválido: ${provider.label} não está configurado`);
+  }
+
+  await setSetting(ROUTE_SETTINGS[type], name);
+  return getProviderRouting();
+}
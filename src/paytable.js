@@ -0,0 +1,294 @@
+import { pool, getSetting, withTransaction } from './db.js';
+import { DEFAULT_PAYTABLES } from './defaultPaytables.js';
+import { DECOY_SYMBOLS } from './scratchGrid.js';
+import { getJackpotRules } from './jackpot.js';
+
+export const DEFAULT_GAME_TYPE = 'scratch_card';
+
+export const DEFAULT_PAYTABLE = DEFAULT_PAYTABLES[DEFAULT_GAME_TYPE];
+
+// Tolerância (em pontos percentuais) entre o RTP calculado de cada faixa e o RTP configurado
+export const RTP_TOLERANCE = 0.5;
+
+/**
+ * Escolhe a faixa da tabela para o valor apostado (maior minBet <= aposta)
+ */
+export function selectTier(definition, betAmount) {
+  const tiers = [...definition.tiers].sort((a, b) => b.minBet - a.minBet);
+  const tier = tiers.find(t => betAmount >= t.minBet);
+
+  if (!tier) {
+    throw new Error(`Nenhuma faixa da tabela de prêmios cobre a aposta de R$ ${betAmount}`);
+  }
+
+  return tier;
+}
+
+/**
+ * Sorteia um resultado da faixa usando pesos acumulados
+ * @param {object} tier - Faixa da tabela
+ * @param {number} random - Número no intervalo [0, 1)
+ */
+export function drawOutcome(tier, random) {
+  const totalWeight = tier.outcomes.reduce((sum, o) => sum + o.weight, 0);
+  let target = random * totalWeight;
+
+  for (const outcome of tier.outcomes) {
+    if (target < outcome.weight) {
+      return outcome;
+    }
+    target -= outcome.weight;
+  }
+
+  return tier.outcomes[tier.outcomes.length - 1];
+}
+
+/**
+ * Calcula analiticamente RTP, frequência de acerto e volatilidade de uma faixa
+ * Volatilidade = desvio padrão do multiplicador por rodada
+ * @param {number} jackpotPercent - Parte da aposta que vai para o jackpot (% devolvido pelo pote)
+ */
+export function analyzeTier(tier, jackpotPercent = 0) {
+  const totalWeight = tier.outcomes.reduce((sum, o) => sum + o.weight, 0);
+
+  let expected = 0;
+  let expectedSquare = 0;
+  let hitWeight = 0;
+
+  for (const outcome of tier.outcomes) {
+    const p = outcome.weight / totalWeight;
+    expected += p * outcome.multiplier;
+    expectedSquare += p * outcome.multiplier * outcome.multiplier;
+    if (outcome.multiplier > 0) hitWeight += outcome.weight;
+  }
+
+  const variance = expectedSquare - expected * expected;
+  const rtp = Math.round(expected * 100 * 10000) / 10000;
+
+  return {
+    minBet: tier.minBet,
+    totalWeight,
+    rtp,
+    jackpotRtp: jackpotPercent,
+    totalRtp: Math.round((rtp + jackpotPercent) * 10000) / 10000,
+    hitFrequency: Math.round((hitWeight / totalWeight) * 100 * 10000) / 10000,
+    variance: Math.round(variance * 10000) / 10000,
+    volatility: Math.round(Math.sqrt(Math.max(0, variance)) * 10000) / 10000,
+    maxMultiplier: Math.max(...tier.outcomes.map(o => o.multiplier))
+  };
+}
+
+/**
+ * Faixas que têm apostas abaixo e acima da aposta mínima do jackpot: o RTP delas depende da aposta
+ */
+function findSplitTiers(definition, jackpot) {
+  if (!jackpot) return [];
+
+  const minBets = definition.tiers.map(t => t.minBet).sort((a, b) => a - b);
+  return minBets.filter((minBet, index) => {
+    const nextMinBet = minBets[index + 1] ?? Infinity;
+    return minBet < jackpot.minBet && jackpot.minBet < nextMinBet;
+  });
+}
+
+/**
+ * RTP por faixa: prêmios da tabela (rtp) + contribuição ao jackpot das apostas da faixa (jackpotRtp) = totalRtp
+ * @param {{jackpot?: {contributionPercent: number, minBet: number}|null}} options - Regras do jackpot do jogo
+ */
+export function analyzePaytable(definition, { jackpot = null } = {}) {
+  const tiers = definition.tiers.map(tier =>
+    analyzeTier(tier, jackpot && tier.minBet >= jackpot.minBet ? jackpot.contributionPercent : 0)
+  );
+  return {
+    tiers,
+    minRtp: Math.min(...tiers.map(t => t.totalRtp)),
+    maxRtp: Math.max(...tiers.map(t => t.totalRtp))
+  };
+}
+
+/**
+ * Valida a estrutura da tabela e o RTP analítico de cada faixa (com a contribuição ao jackpot, se houver)
+ * @param {object} definition - Tabela de prêmios
+ * @param {{targetRtp?: number, tolerance?: number, jackpot?: {contributionPercent: number, minBet: number}|null}} options
+ *   RTP alvo (%), tolerância em pontos percentuais e regras do jackpot do jogo
+ * @returns {{valid: boolean, errors: string[], analysis: object|null}}
+ */
+export function validatePaytable(definition, { targetRtp = null, tolerance = RTP_TOLERANCE, jackpot = null } = {}) {
+  const errors = [];
+
+  if (!definition || !Array.isArray(definition.tiers) || definition.tiers.length === 0) {
+    return { valid: false, errors: ['A tabela precisa ter ao menos uma faixa (tiers)'], analysis: null };
+  }
+
+  const minBets = new Set();
+
+  definition.tiers.forEach((tier, index) => {
+    const label = `Faixa ${index + 1}`;
+
+    if (typeof tier.minBet !== 'number' || tier.minBet < 0) {
+      errors.push(`${label}: minBet deve ser um número >= 0`);
+    } else if (minBets.has(tier.minBet)) {
+      errors.push(`${label}: minBet ${tier.minBet} duplicado`);
+    } else {
+      minBets.add(tier.minBet);
+    }
+
+    if (!Array.isArray(tier.outcomes) || tier.outcomes.length === 0) {
+      errors.push(`${label}: informe ao menos um resultado (outcomes)`);
+      return;
+    }
+
+    const ids = new Set();
+    const symbols = new Set();
+    tier.outcomes.forEach((outcome) => {
+      if (!outcome.id || ids.has(outcome.id)) {
+        errors.push(`${label}: cada resultado precisa de um id único`);
+      }
+      ids.add(outcome.id);
+
+      // Cada prêmio precisa de um símbolo próprio para montar a cartela
+      if (outcome.multiplier > 0) {
+        const symbol = outcome.symbol || outcome.id;
+        if (symbols.has(symbol) || DECOY_SYMBOLS.includes(symbol)) {
+          errors.push(`${label}/${outcome.id}: símbolo "${symbol}" repetido ou reservado`);
+        }
+        symbols.add(symbol);
+      }
+
+      if (!Number.isInteger(outcome.weight) || outcome.weight <= 0) {
+        errors.push(`${label}/${outcome.id}: weight deve ser um inteiro positivo`);
+      }
+
+      if (typeof outcome.multiplier !== 'number' || !Number.isFinite(outcome.multiplier) || outcome.multiplier < 0) {
+        errors.push(`${label}/${outcome.id}: multiplier deve ser um número >= 0`);
+      } else if (Math.abs(Math.round(outcome.multiplier * 100) - outcome.multiplier * 100) > 1e-9) {
+        errors.push(`${label}/${outcome.id}: multiplier aceita no máximo 2 casas decimais`);
+      }
+    });
+  });
+
+  if (!minBets.has(0)) {
+    errors.push('É obrigatório ter uma faixa com minBet 0');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, analysis: null };
+  }
+
+  for (const minBet of findSplitTiers(definition, jackpot)) {
+    errors.push(`Faixa minBet ${minBet}: o jackpot começa em R$ ${jackpot.minBet}, no meio da faixa; a aposta mínima do jackpot deve coincidir com o início de uma faixa`);
+  }
+
+  const analysis = analyzePaytable(definition, { jackpot });
+
+  analysis.tiers.forEach((tier) => {
+    if (tier.totalRtp >= 100) {
+      errors.push(`Faixa minBet ${tier.minBet}: RTP ${tier.totalRtp}% não pode ser >= 100%`);
+    }
+    if (targetRtp !== null && Math.abs(tier.totalRtp - targetRtp) > tolerance) {
+      const jackpotNote = tier.jackpotRtp > 0 ? ` (prêmios ${tier.rtp}% + jackpot ${tier.jackpotRtp}%)` : '';
+      errors.push(`Faixa minBet ${tier.minBet}: RTP ${tier.totalRtp}%${jackpotNote} fora do alvo de ${targetRtp}% (±${tolerance})`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, analysis };
+}
+
+async function getTargetRtp() {
+  const rtpString = await getSetting('rtp_percentage');
+  return rtpString ? parseFloat(rtpString) : 95.0;
+}
+
+/**
+ * Retorna a tabela ativa do jogo (ou a padrão, se nenhuma foi ativada ainda)
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @returns {Promise<{id: string|null, version: number, definition: object}>}
+ */
+export async function getActivePaytable(gameType = DEFAULT_GAME_TYPE, db = pool) {
+  const result = await db.query(
+    `SELECT id, version, definition FROM paytables WHERE game_type = $1 AND status = 'active'`,
+    [gameType]
+  );
+
+  if (result.rows.length === 0) {
+    return { id: null, version: 0, definition: DEFAULT_PAYTABLES[gameType] || DEFAULT_PAYTABLE };
+  }
+
+  return result.rows[0];
+}
+
+export async function getPaytableById(id, db = pool) {
+  const result = await db.query('SELECT * FROM paytables WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Tabela de prêmios não encontrada');
+  }
+
+  return result.rows[0];
+}
+
+export async function listPaytables(gameType = DEFAULT_GAME_TYPE) {
+  const result = await pool.query(
+    `SELECT id, game_type, version, status, analysis, definition, created_by, created_at, activated_at
+     FROM paytables
+     WHERE game_type = $1
+     ORDER BY version DESC`,
+    [gameType]
+  );
+
+  // Versões semeadas na inicialização ainda não têm a análise gravada
+  return result.rows.map(row => ({
+    ...row,
+    analysis: row.analysis || analyzePaytable(row.definition)
+  }));
+}
+
+/**
+ * Cria uma nova versão (rascunho) da tabela. A validação contra o RTP alvo acontece na ativação.
+ */
+export async function createPaytable(gameType, definition, createdBy = null) {
+  const { valid, errors, analysis } = validatePaytable(definition);
+
+  if (!valid) {
+    throw new Error(`Tabela de prêmios inválida: ${errors.join('; ')}`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO paytables (game_type, version, definition, analysis, status, created_by)
+     VALUES ($1::varchar, (SELECT COALESCE(MAX(version), 0) + 1 FROM paytables WHERE game_type = $1::varchar), $2, $3, 'draft', $4)
+     RETURNING *`,
+    [gameType, JSON.stringify(definition), JSON.stringify(analysis), createdBy]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Ativa uma versão da tabela, aposentando a anterior. Só ativa se o RTP analítico de todas as faixas,
+ * somada a contribuição ao jackpot do jogo, estiver dentro da tolerância do RTP configurado.
+ */
+export async function activatePaytable(id) {
+  const targetRtp = await getTargetRtp();
+
+  return withTransaction(async (client) => {
+    const paytable = await getPaytableById(id, client);
+    const jackpot = await getJackpotRules(paytable.game_type, client);
+    const { valid, errors, analysis } = validatePaytable(paytable.definition, { targetRtp, jackpot });
+
+    if (!valid) {
+      throw new Error(`Tabela de prêmios inválida: ${errors.join('; ')}`);
+    }
+
+    await client.query(
+      `UPDATE paytables SET status = 'retired' WHERE game_type = $1 AND status = 'active'`,
+      [paytable.game_type]
+    );
+
+    const result = await client.query(
+      `UPDATE paytables SET status = 'active', analysis = $1, activated_at = NOW() WHERE id = $2 RETURNING *`,
+      [JSON.stringify(analysis), id]
+    );
+
+    return result.rows[0];
+  });
+}
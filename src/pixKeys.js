@@ -0,0 +1,365 @@
+import crypto from 'crypto';
+import { pool, getSetting, withTransaction } from './db.js';
+import { formatPixKey } from './bullspay.js';
+import { getCodeSender } from './notifications.js';
+
+export const PIX_KEY_TYPES = ['cpf', 'cnpj', 'email', 'phone', 'random'];
+
+/**
+ * Como cada tipo de chave é verificado:
+ * - cpf: precisa ser o CPF do titular da conta (verificada na hora)
+ * - email/phone: código de confirmação enviado para a chave (sem serviço de envio configurado, aprovação do admin)
+ * - cnpj/random: aprovação manual do admin
+ */
+const VERIFICATION_METHODS = {
+  cpf: 'account_cpf',
+  email: 'code',
+  phone: 'code',
+  cnpj: 'admin',
+  random: 'admin'
+};
+
+const DEFAULT_COOLDOWN_HOURS = 24;
+const CODE_TTL_MINUTES = 15;
+const MAX_CODE_ATTEMPTS = 5;
+
+const EMAIL_REGEX = /^[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+const RANDOM_KEY_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Colunas expostas ao jogador (sem o hash do código)
+const PUBLIC_COLUMNS = `id, key_type, key_value, status, verification_method, review_notes,
+  verified_at, available_at, created_at`;
+
+export async function getPixKeyCooldownHours() {
+  const value = parseFloat(await getSetting('pix_key_cooldown_hours'));
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_COOLDOWN_HOURS;
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Normaliza e valida o formato da chave (CPF/CNPJ com dígitos verificadores)
+ */
+function normalizePixKey(keyType, keyValue) {
+  if (!PIX_KEY_TYPES.includes(keyType)) {
+    throw new Error(`Tipo de chave PIX inválido. Use: ${PIX_KEY_TYPES.join(', ')}`);
+  }
+
+  const value = formatPixKey(String(keyValue ?? ''), keyType);
+
+  if (keyType === 'email' && !EMAIL_REGEX.test(value)) {
+    throw new Error('Chave PIX inválida: e-mail inválido');
+  }
+
+  if (keyType === 'phone' && !/^\d{10,13}$/.test(value)) {
+    throw new Error('Chave PIX inválida: telefone deve ter DDD e número');
+  }
+
+  if (keyType === 'random' && !RANDOM_KEY_REGEX.test(value.toLowerCase())) {
+    throw new Error('Chave PIX inválida: a chave aleatória deve estar no formato UUID');
+  }
+
+  return keyType === 'random' ? value.toLowerCase() : value;
+}
+
+function getVerificationMethod(keyType) {
+  const method = VERIFICATION_METHODS[keyType];
+  return method === 'code' && !getCodeSender() ? 'admin' : method;
+}
+
+/**
+ * Entrega o código de confirmação por e-mail ou SMS para a própria chave (o código nunca vai para o log)
+ */
+async function deliverVerificationCode(pixKey, code) {
+  const sender = getCodeSender();
+  if (!sender) {
+    throw new Error('Envio de código de confirmação não configurado');
+  }
+
+  await sender.sendCode({
+    channel: pixKey.key_type === 'email' ? 'email' : 'sms',
+    to: pixKey.key_value,
+    code,
+    expiresInMinutes: CODE_TTL_MINUTES
+  });
+}
+
+/**
+ * Gera um novo código para a chave e o entrega
+ */
+async function issueVerificationCode(db, pixKey) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await db.query(
+    `UPDATE user_pix_keys
+     SET verification_code_hash = $1,
+         verification_expires_at = NOW() + ($2 || ' minutes')::interval,
+         verification_attempts = 0
+     WHERE id = $3`,
+    [hashCode(code), CODE_TTL_MINUTES.toString(), pixKey.id]
+  );
+
+  await deliverVerificationCode(pixKey, code);
+}
+
+/**
+ * Cadastra uma chave PIX do usuário. A chave só pode receber saques depois de verificada
+ * e de passado o período de carência (pix_key_cooldown_hours) contado do cadastro.
+ * Cadastrar de novo uma chave que aguarda confirmação reenvia o código.
+ * @param {string} userId - ID do usuário
+ * @param {{keyType: string, keyValue: string}} key
+ */
+export async function addPixKey(userId, { keyType, keyValue }) {
+  const value = normalizePixKey(keyType, keyValue);
+  const method = getVerificationMethod(keyType);
+  const cooldownHours = await getPixKeyCooldownHours();
+
+  return withTransaction(async (client) => {
+    const userResult = await client.query('SELECT id, cpf FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    if (keyType === 'cpf' && value !== userResult.rows[0].cpf) {
+      throw new Error('Chave PIX inválida: o CPF precisa ser o mesmo da sua conta');
+    }
+
+    // Uma chave verificada em outra conta não pode receber saques desta
+    const otherOwner = await client.query(
+      `SELECT 1 FROM user_pix_keys
+       WHERE key_type = $1 AND key_value = $2 AND user_id <> $3 AND status = 'verified'`,
+      [keyType, value, userId]
+    );
+    if (otherOwner.rows.length > 0) {
+      throw new Error('Chave PIX já existe em outra conta');
+    }
+
+    const existing = await client.query(
+      `SELECT * FROM user_pix_keys
+       WHERE user_id = $1 AND key_type = $2 AND key_value = $3 AND status <> 'removed'`,
+      [userId, keyType, value]
+    );
+
+    if (existing.rows.length > 0) {
+      const pixKey = existing.rows[0];
+
+      if (pixKey.status !== 'pending_confirmation') {
+        throw new Error('Chave PIX já existe na sua conta');
+      }
+
+      await issueVerificationCode(client, pixKey);
+
+      const refreshed = await client.query(`SELECT ${PUBLIC_COLUMNS} FROM user_pix_keys WHERE id = $1`, [pixKey.id]);
+      return refreshed.rows[0];
+    }
+
+    const status = method === 'account_cpf' ? 'verified'
+      : method === 'code' ? 'pending_confirmation'
+      : 'pending_approval';
+
+    const result = await client.query(
+      `INSERT INTO user_pix_keys (user_id, key_type, key_value, status, verification_method, verified_at, available_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' hours')::interval)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [userId, keyType, value, status, method, status === 'verified' ? new Date() : null, cooldownHours.toString()]
+    );
+
+    const pixKey = result.rows[0];
+
+    if (status === 'pending_confirmation') {
+      await issueVerificationCode(client, pixKey);
+    }
+
+    return pixKey;
+  });
+}
+
+/**
+ * Confirma uma chave de e-mail/telefone com o código recebido
+ */
+export async function confirmPixKey(userId, pixKeyId, code) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT * FROM user_pix_keys WHERE id = $1 AND user_id = $2 AND status <> 'removed' FOR UPDATE`,
+      [pixKeyId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Chave PIX não encontrada');
+    }
+
+    const pixKey = result.rows[0];
+
+    if (pixKey.status !== 'pending_confirmation') {
+      throw new Error('Confirmação inválida: esta chave não aguarda código');
+    }
+
+    if (!pixKey.verification_code_hash || new Date(pixKey.verification_expires_at) <= new Date()) {
+      throw new Error('Código inválido: expirado, cadastre a chave novamente para receber outro');
+    }
+
+    if (pixKey.verification_attempts >= MAX_CODE_ATTEMPTS) {
+      throw new Error('Código inválido: tentativas esgotadas, cadastre a chave novamente para receber outro');
+    }
+
+    const expected = Buffer.from(pixKey.verification_code_hash, 'hex');
+    const received = Buffer.from(hashCode(String(code ?? '').trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+      await client.query(
+        'UPDATE user_pix_keys SET verification_attempts = verification_attempts + 1 WHERE id = $1',
+        [pixKey.id]
+      );
+      return { confirmed: false, attemptsLeft: MAX_CODE_ATTEMPTS - pixKey.verification_attempts - 1 };
+    }
+
+    const updated = await client.query(
+      `UPDATE user_pix_keys
+       SET status = 'verified', verified_at = NOW(), verification_code_hash = NULL, verification_expires_at = NULL
+       WHERE id = $1
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [pixKey.id]
+    );
+
+    return { confirmed: true, pixKey: updated.rows[0] };
+  });
+}
+
+/**
+ * Decisão do admin sobre uma chave CNPJ/aleatória (ou de e-mail/telefone, sem serviço de envio de código)
+ * @param {string} pixKeyId - ID da chave
+ * @param {{decision: 'approved'|'rejected', notes?: string, reviewerId: string}} review
+ */
+export async function reviewPixKey(pixKeyId, { decision, notes = null, reviewerId }) {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new Error('Decisão inválida. Use: approved, rejected');
+  }
+
+  if (decision === 'rejected' && !notes) {
+    throw new Error('Motivo inválido: informe o motivo da recusa');
+  }
+
+  return withTransaction(async (client) => {
+    const pending = await client.query(
+      `SELECT * FROM user_pix_keys WHERE id = $1 AND status = 'pending_approval' FOR UPDATE`,
+      [pixKeyId]
+    );
+
+    if (pending.rows.length === 0) {
+      throw new Error('Chave PIX pendente de aprovação não encontrada');
+    }
+
+    const pixKey = pending.rows[0];
+
+    if (decision === 'approved') {
+      const otherOwner = await client.query(
+        `SELECT 1 FROM user_pix_keys
+         WHERE key_type = $1 AND key_value = $2 AND user_id <> $3 AND status = 'verified'`,
+        [pixKey.key_type, pixKey.key_value, pixKey.user_id]
+      );
+      if (otherOwner.rows.length > 0) {
+        throw new Error('Chave PIX já existe em outra conta');
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE user_pix_keys
+       SET status = $1, verified_at = $2, review_notes = $3, reviewed_by = $4, reviewed_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [
+        decision === 'approved' ? 'verified' : 'rejected',
+        decision === 'approved' ? new Date() : null,
+        notes,
+        reviewerId,
+        pixKeyId
+      ]
+    );
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Remove uma chave do usuário (o histórico dos saques continua apontando para ela)
+ */
+export async function removePixKey(userId, pixKeyId) {
+  const result = await pool.query(
+    `UPDATE user_pix_keys SET status = 'removed', verification_code_hash = NULL
+     WHERE id = $1 AND user_id = $2 AND status <> 'removed'
+     RETURNING id`,
+    [pixKeyId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Chave PIX não encontrada');
+  }
+}
+
+export async function listPixKeys(userId) {
+  const result = await pool.query(
+    `SELECT ${PUBLIC_COLUMNS}, (status = 'verified' AND available_at <= NOW()) AS usable
+     FROM user_pix_keys
+     WHERE user_id = $1 AND status <> 'removed'
+     ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Chaves aguardando aprovação manual, para o painel do admin
+ */
+export async function listPendingPixKeys({ limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT k.id, k.user_id, k.key_type, k.key_value, k.created_at, u.username, u.email, u.cpf
+     FROM user_pix_keys k
+     JOIN users u ON k.user_id = u.id
+     WHERE k.status = 'pending_approval'
+     ORDER BY k.created_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Chave de destino de um saque: precisa ser do usuário, verificada e fora da carência.
+ * Aceita o ID da chave ou o par tipo/valor.
+ * @returns {Promise<{allowed: boolean, pixKey: object|null, reason?: string}>}
+ */
+export async function checkWithdrawalPixKey(userId, { pixKeyId, pixKeyType, pixKey }) {
+  let result;
+
+  if (pixKeyId) {
+    result = await pool.query(
+      `SELECT * FROM user_pix_keys WHERE id = $1 AND user_id = $2 AND status <> 'removed'`,
+      [pixKeyId, userId]
+    );
+  } else {
+    result = await pool.query(
+      `SELECT * FROM user_pix_keys
+       WHERE user_id = $1 AND key_type = $2 AND key_value = $3 AND status <> 'removed'`,
+      [userId, pixKeyType, normalizePixKey(pixKeyType, pixKey)]
+    );
+  }
+
+  const key = result.rows[0];
+
+  if (!key) {
+    return { allowed: false, pixKey: null, reason: 'Saques só podem ir para uma chave PIX cadastrada e verificada na sua conta' };
+  }
+
+  if (key.status !== 'verified') {
+    return { allowed: false, pixKey: key, reason: 'Esta chave PIX ainda não foi verificada' };
+  }
+
+  if (new Date(key.available_at) > new Date()) {
+    const availableAt = new Date(key.available_at).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+    return { allowed: false, pixKey: key, reason: `Chave PIX recém-cadastrada: liberada para saques a partir de ${availableAt}` };
+  }
+
+  return { allowed: true, pixKey: key };
+}
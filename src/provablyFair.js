@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+
+const CLIENT_SEED_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+export function generateClientSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+export function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * HMAC-SHA256 da rodada: chave = server seed, mensagem = "clientSeed:nonce"
+ * @returns {string} HMAC em hexadecimal
+ */
+export function computeRoundHmac(serverSeed, clientSeed, nonce) {
+  return crypto.createHmac('sha256', serverSeed)
+    .update(`${clientSeed}:${nonce}`)
+    .digest('hex');
+}
+
+/**
+ * Converte os primeiros 4 bytes do HMAC em um número no intervalo [0, 1)
+ */
+export function hmacToFloat(hmac) {
+  return parseInt(hmac.slice(0, 8), 16) / 0x100000000;
+}
+
+/**
+ * Gera uma sequência determinística de números em [0, 1) para a rodada (usada além do sorteio principal,
+ * ex.: montagem da cartela). Cada bloco é HMAC(serverSeed, "clientSeed:nonce:cursor") e rende 8 números.
+ * @returns {() => number}
+ */
+export function createRandomStream(serverSeed, clientSeed, nonce) {
+  let cursor = 0;
+  let buffer = [];
+
+  return () => {
+    if (buffer.length === 0) {
+      cursor++;
+      const hmac = crypto.createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${cursor}`)
+        .digest('hex');
+      for (let i = 0; i < 64; i += 8) {
+        buffer.push(parseInt(hmac.slice(i, i + 8), 16) / 0x100000000);
+      }
+    }
+    return buffer.shift();
+  };
+}
+
+function publicSeed(row, { reveal = false } = {}) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    server_seed_hash: row.server_seed_hash,
+    server_seed: reveal ? row.server_seed : undefined,
+    client_seed: row.client_seed,
+    nonce: row.nonce,
+    created_at: row.created_at,
+    revealed_at: row.revealed_at || undefined
+  };
+}
+
+async function createSeed(db, userId, clientSeed = generateClientSeed()) {
+  const serverSeed = generateServerSeed();
+
+  const result = await db.query(
+    `INSERT INTO user_seeds (user_id, server_seed, server_seed_hash, client_seed)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id) WHERE active DO NOTHING
+     RETURNING *`,
+    [userId, serverSeed, hashServerSeed(serverSeed), clientSeed]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function getActiveSeedRow(db, userId, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM user_seeds WHERE user_id = $1 AND active = true${lock ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  await createSeed(db, userId);
+
+  const created = await db.query(
+    `SELECT * FROM user_seeds WHERE user_id = $1 AND active = true${lock ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+  return created.rows[0];
+}
+
+/**
+ * Consome o próximo nonce do par de seeds ativo do usuário e gera o número aleatório da rodada
+ * Deve ser chamado dentro da transação da rodada para que o nonce avance junto com o jogo
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<{random: number, stream: () => number, fairness: object}>}
+ */
+export async function nextRoundRandom(client, userId) {
+  const seed = await getActiveSeedRow(client, userId, { lock: true });
+  const nonce = seed.nonce;
+
+  await client.query(
+    'UPDATE user_seeds SET nonce = nonce + 1 WHERE id = $1',
+    [seed.id]
+  );
+
+  const hmac = computeRoundHmac(seed.server_seed, seed.client_seed, nonce);
+
+  return {
+    random: hmacToFloat(hmac),
+    stream: createRandomStream(seed.server_seed, seed.client_seed, nonce),
+    fairness: {
+      seed_id: seed.id,
+      server_seed_hash: seed.server_seed_hash,
+      client_seed: seed.client_seed,
+      nonce,
+      hmac
+    }
+  };
+}
+
+export async function getSeedInfo(userId) {
+  const active = await getActiveSeedRow(pool, userId);
+
+  const previous = await pool.query(
+    `SELECT * FROM user_seeds
+     WHERE user_id = $1 AND active = false
+     ORDER BY revealed_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+
+  return {
+    active: publicSeed(active),
+    previous: publicSeed(previous.rows[0], { reveal: true })
+  };
+}
+
+/**
+ * Encerra o par de seeds ativo (revelando a server seed) e cria um novo compromisso
+ * @param {string} userId - ID do usuário
+ * @param {string} [clientSeed] - Nova client seed escolhida pelo jogador
+ */
+export async function rotateSeed(userId, clientSeed) {
+  if (clientSeed !== undefined && clientSeed !== null && !CLIENT_SEED_REGEX.test(clientSeed)) {
+    throw new Error('Client seed inválido. Use de 1 a 64 caracteres (letras, números, _ ou -)');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await getActiveSeedRow(client, userId, { lock: true });
+
+    const revealed = await client.query(
+      'UPDATE user_seeds SET active = false, revealed_at = NOW() WHERE id = $1 RETURNING *',
+      [current.id]
+    );
+
+    const next = await createSeed(client, userId, clientSeed || generateClientSeed());
+
+    await client.query('COMMIT');
+
+    return {
+      revealed: publicSeed(revealed.rows[0], { reveal: true }),
+      active: publicSeed(next)
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Busca um par de seeds do usuário. A server seed só é devolvida se já tiver sido revelada.
+ */
+export async function getRevealedSeed(userId, seedId) {
+  const result = await pool.query(
+    'SELECT * FROM user_seeds WHERE id = $1 AND user_id = $2',
+    [seedId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Seed não encontrada');
+  }
+
+  const seed = result.rows[0];
+  return seed.active ? null : seed;
+}
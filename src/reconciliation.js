@@ -0,0 +1,174 @@
+import { pool } from './db.js';
+import { syncDepositWithGateway } from './deposits.js';
+import { syncWithdrawalWithGateway, resolveInFlightPayout } from './withdrawals.js';
+import { scheduleJob } from './scheduler.js';
+
+export const RECONCILIATION_JOB = 'reconciliation';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_BATCH_SIZE = 100;
+
+// Espera entre consultas de uma transação que continua pendente: 1, 2, 4... até 30 minutos
+const MAX_BACKOFF_MINUTES = 30;
+
+// Depósitos expirados continuam sendo consultados por este tempo: um PIX pode cair depois da expiração
+const EXPIRED_DEPOSIT_WINDOW_HOURS = 24;
+
+// Tempo sem gateway_id depois do pedido ao provedor até o saque ser procurado por wd_<id>
+// (cobre a aprovação que ainda está esperando a resposta do provedor)
+const IN_FLIGHT_GRACE_MINUTES = 10;
+
+/**
+ * Adia a próxima consulta da transação (ainda pendente ou com erro) com backoff exponencial,
+ * para que as demais da fila também sejam consultadas. Um depósito pendente nunca é adiado
+ * para depois de expires_at, para expirar no horário.
+ */
+async function deferNextCheck(transactionId) {
+  await pool.query(
+    `UPDATE transactions
+     SET next_check_at = LEAST(
+           NOW() + LEAST(POWER(2, reconcile_attempts), $2) * INTERVAL '1 minute',
+           CASE WHEN status = 'pending' AND expires_at > NOW() THEN expires_at END
+         ),
+         reconcile_attempts = reconcile_attempts + 1
+     WHERE id = $1`,
+    [transactionId, MAX_BACKOFF_MINUTES]
+  );
+}
+
+/**
+ * Varre depósitos pendentes (e os expirados nas últimas 24h, que ainda podem ser pagos) e saques
+ * já enviados ao provedor de pagamento e aplica o status de lá,
+ * pelos mesmos caminhos da consulta do jogador e do webhook (liquidação e reservas idempotentes).
+ * Depósitos pendentes depois de expires_at expiram mesmo que o jogador tenha fechado a página.
+ * Saques aprovados sem gateway_id (resposta do provedor perdida) são procurados pelo externalId wd_<id>.
+ * Uma falha numa transação não interrompe as demais. Cada transação que continua pendente (ou falha)
+ * só volta a ser consultada depois de next_check_at; as nunca consultadas vêm primeiro.
+ * @param {{limit?: number}} [options] - Máximo de transações de cada tipo por rodada
+ * @returns {Promise<{deposits: object, withdrawals: object, errors: Array}>}
+ */
+export async function reconcilePendingTransactions({ limit = DEFAULT_BATCH_SIZE } = {}) {
+  const summary = {
+    deposits: { checked: 0, paid: 0, expired: 0, updated: 0 },
+    withdrawals: { checked: 0, paid: 0, released: 0, updated: 0 },
+    errors: []
+  };
+
+  const deposits = await pool.query(
+    `SELECT * FROM transactions
+     WHERE type = 'deposit'
+       AND (status = 'pending' OR (status = 'expired' AND expires_at > NOW() - $2 * INTERVAL '1 hour'))
+       AND (next_check_at IS NULL OR next_check_at <= NOW())
+     ORDER BY next_check_at ASC NULLS FIRST, created_at ASC
+     LIMIT $1`,
+    [limit, EXPIRED_DEPOSIT_WINDOW_HOURS]
+  );
+
+  for (const deposit of deposits.rows) {
+    summary.deposits.checked++;
+
+    try {
+      const updated = await syncDepositWithGateway(deposit);
+
+      if (updated.status === deposit.status) await deferNextCheck(deposit.id);
+      else if (updated.status === 'paid') summary.deposits.paid++;
+      else if (updated.status === 'expired') summary.deposits.expired++;
+      else summary.deposits.updated++;
+    } catch (error) {
+      summary.errors.push({ transactionId: deposit.id, type: 'deposit', error: error.message });
+      await deferNextCheck(deposit.id);
+    }
+  }
+
+  // Saques aprovados cuja reserva ainda não foi capturada nem liberada
+  const withdrawals = await pool.query(
+    `SELECT * FROM transactions
+     WHERE type = 'withdrawal' AND status IN ('approved', 'pending')
+       AND hold_status = 'held' AND gateway_id IS NOT NULL
+       AND (next_check_at IS NULL OR next_check_at <= NOW())
+     ORDER BY next_check_at ASC NULLS FIRST, updated_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+
+  for (const withdrawal of withdrawals.rows) {
+    summary.withdrawals.checked++;
+
+    try {
+      const sync = await syncWithdrawalWithGateway(withdrawal);
+
+      if (sync.captured) summary.withdrawals.paid++;
+      else if (sync.released) summary.withdrawals.released++;
+      else if (sync.updated) summary.withdrawals.updated++;
+      else await deferNextCheck(withdrawal.id);
+    } catch (error) {
+      summary.errors.push({ transactionId: withdrawal.id, type: 'withdrawal', error: error.message });
+      await deferNextCheck(withdrawal.id);
+    }
+  }
+
+  // Saques pedidos ao provedor sem resposta conhecida (erro de rede, timeout, 5xx na aprovação)
+  const inFlight = await pool.query(
+    `SELECT * FROM transactions
+     WHERE type = 'withdrawal' AND status = 'approved'
+       AND hold_status = 'held' AND gateway_id IS NULL
+       AND payout_requested_at <= NOW() - $2 * INTERVAL '1 minute'
+       AND (next_check_at IS NULL OR next_check_at <= NOW())
+     ORDER BY next_check_at ASC NULLS FIRST, payout_requested_at ASC
+     LIMIT $1`,
+    [limit, IN_FLIGHT_GRACE_MINUTES]
+  );
+
+  for (const withdrawal of inFlight.rows) {
+    summary.withdrawals.checked++;
+
+    try {
+      const sync = await resolveInFlightPayout(withdrawal);
+
+      if (sync.captured) summary.withdrawals.paid++;
+      else if (sync.released) summary.withdrawals.released++;
+      else if (sync.updated) summary.withdrawals.updated++;
+      else await deferNextCheck(withdrawal.id);
+    } catch (error) {
+      summary.errors.push({ transactionId: withdrawal.id, type: 'withdrawal', error: error.message });
+      await deferNextCheck(withdrawal.id);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Agenda a reconciliação a cada RECONCILIATION_INTERVAL_MS (padrão 60s; 0 desativa)
+ * @returns {object|null} Tarefa agendada ou null se desativada
+ */
+export function startReconciliationWorker() {
+  const intervalMs = parseInt(process.env.RECONCILIATION_INTERVAL_MS ?? DEFAULT_INTERVAL_MS);
+
+  if (!intervalMs) {
+    console.log('⏸️  Reconciliação automática desativada (RECONCILIATION_INTERVAL_MS=0)');
+    return null;
+  }
+
+  return scheduleJob({
+    name: RECONCILIATION_JOB,
+    intervalMs,
+    run: async () => {
+      const summary = await reconcilePendingTransactions();
+      const { deposits, withdrawals, errors } = summary;
+
+      if (deposits.paid || deposits.expired || deposits.updated || withdrawals.paid || withdrawals.released || withdrawals.updated) {
+        console.log(
+          `🔄 Reconciliação: depósitos ${deposits.paid} pagos, ${deposits.expired} expirados, ${deposits.updated} atualizados; ` +
+          `saques ${withdrawals.paid} pagos, ${withdrawals.released} devolvidos, ${withdrawals.updated} atualizados`
+        );
+      }
+
+      if (errors.length > 0) {
+        console.error(`⚠️  Reconciliação: ${errors.length} transação(ões) com erro`, errors.slice(0, 5));
+      }
+
+      return summary;
+    }
+  });
+}
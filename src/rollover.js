@@ -0,0 +1,300 @@
+import { pool, getSetting, setSetting, withTransaction } from './db.js';
+import { roundMoney } from './ledger.js';
+
+export const ROLLOVER_APPLY_MODES = ['first_deposit', 'every_deposit', 'none'];
+
+/**
+ * Regra padrão: 1x apenas no primeiro depósito, VIPs isentos
+ * tiers: multiplicador por faixa de valor do depósito (maior minDeposit <= depósito); sem faixa usa `multiplier`
+ */
+export const DEFAULT_ROLLOVER_POLICY = {
+  applyOn: 'first_deposit',
+  multiplier: 1,
+  tiers: [],
+  vipExempt: true
+};
+
+export async function getRolloverPolicy() {
+  const value = await getSetting('rollover_policy');
+  if (!value) return DEFAULT_ROLLOVER_POLICY;
+
+  try {
+    return { ...DEFAULT_ROLLOVER_POLICY, ...JSON.parse(value) };
+  } catch {
+    return DEFAULT_ROLLOVER_POLICY;
+  }
+}
+
+export async function setRolloverPolicy({ applyOn, multiplier, tiers = [], vipExempt = true }) {
+  if (!ROLLOVER_APPLY_MODES.includes(applyOn)) {
+    throw new Error(`Regra de rollover inválida. Use: ${ROLLOVER_APPLY_MODES.join(', ')}`);
+  }
+
+  const policy = {
+    applyOn,
+    multiplier: parseFloat(multiplier),
+    tiers: [],
+    vipExempt: Boolean(vipExempt)
+  };
+
+  if (!Number.isFinite(policy.multiplier) || policy.multiplier < 0 || policy.multiplier > 100) {
+    throw new Error('Multiplicador de rollover inválido (0 a 100)');
+  }
+
+  if (!Array.isArray(tiers)) {
+    throw new Error('Faixas de rollover inválidas');
+  }
+
+  for (const tier of tiers) {
+    const minDeposit = parseFloat(tier.minDeposit);
+    const tierMultiplier = parseFloat(tier.multiplier);
+
+    if (!Number.isFinite(minDeposit) || minDeposit < 0 || !Number.isFinite(tierMultiplier) || tierMultiplier < 0 || tierMultiplier > 100) {
+      throw new Error('Faixa de rollover inválida: informe minDeposit >= 0 e multiplier entre 0 e 100');
+    }
+
+    policy.tiers.push({ minDeposit, multiplier: tierMultiplier });
+  }
+
+  policy.tiers.sort((a, b) => a.minDeposit - b.minDeposit);
+
+  await setSetting('rollover_policy', JSON.stringify(policy), 'Regras de rollover por depósito');
+  return policy;
+}
+
+/**
+ * Multiplicador de rollover de um depósito segundo a política (0 = sem rollover)
+ */
+export function computeRolloverMultiplier(policy, depositAmount, { isFirstDeposit, isVip }) {
+  if (policy.applyOn === 'none') return 0;
+  if (policy.applyOn === 'first_deposit' && !isFirstDeposit) return 0;
+  if (isVip && policy.vipExempt) return 0;
+
+  const tier = [...(policy.tiers || [])]
+    .sort((a, b) => b.minDeposit - a.minDeposit)
+    .find(t => depositAmount >= t.minDeposit);
+
+  return tier ? tier.multiplier : policy.multiplier;
+}
+
+/**
+ * Recalcula users.rollover_required como a soma do que falta em cada rollover aberto
+ */
+async function syncRolloverRequired(client, userId) {
+  const result = await client.query(
+    `UPDATE users
+     SET rollover_required = (
+       SELECT COALESCE(SUM(required_amount - wagered_amount), 0)
+       FROM deposit_rollovers
+       WHERE user_id = $1 AND status = 'open'
+     )
+     WHERE id = $1
+     RETURNING rollover_required`,
+    [userId]
+  );
+  return parseFloat(result.rows[0].rollover_required);
+}
+
+/**
+ * Registra o rollover de um depósito liquidado e marca o primeiro depósito do usuário
+ * Deve rodar na transação que liquida o depósito
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {object} transaction - Depósito liquidado
+ * @returns {Promise<{isFirstDeposit: boolean, rollover: object|null}>}
+ */
+export async function applyDepositRollover(client, transaction) {
+  const amount = parseFloat(transaction.amount);
+
+  // Marca o primeiro depósito de forma atômica: só uma liquidação vence este UPDATE
+  const firstDeposit = await client.query(
+    `UPDATE users SET first_deposit_made = true
+     WHERE id = $1 AND first_deposit_made = false
+     RETURNING id`,
+    [transaction.user_id]
+  );
+  const isFirstDeposit = firstDeposit.rows.length > 0;
+
+  const userResult = await client.query('SELECT is_vip FROM users WHERE id = $1', [transaction.user_id]);
+  const policy = await getRolloverPolicy();
+  const multiplier = computeRolloverMultiplier(policy, amount, {
+    isFirstDeposit,
+    isVip: userResult.rows[0].is_vip
+  });
+
+  if (multiplier <= 0) {
+    return { isFirstDeposit, rollover: null };
+  }
+
+  const result = await client.query(
+    `INSERT INTO deposit_rollovers (user_id, transaction_id, deposit_amount, multiplier, required_amount)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (transaction_id) DO NOTHING
+     RETURNING *`,
+    [transaction.user_id, transaction.id, amount, multiplier, roundMoney(amount * multiplier)]
+  );
+
+  await syncRolloverRequired(client, transaction.user_id);
+
+  return { isFirstDeposit, rollover: result.rows[0] || null };
+}
+
+/**
+ * Abate uma aposta com saldo real dos rollovers abertos, do mais antigo para o mais novo
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta (usuário já travado)
+ * @returns {Promise<number>} Rollover restante
+ */
+export async function applyRolloverContribution(client, userId, betAmount, gameRoundId) {
+  const open = await client.query(
+    `SELECT * FROM deposit_rollovers
+     WHERE user_id = $1 AND status = 'open'
+     ORDER BY created_at, id
+     FOR UPDATE`,
+    [userId]
+  );
+
+  let remaining = betAmount;
+
+  for (const rollover of open.rows) {
+    if (remaining <= 0) break;
+
+    const owed = roundMoney(parseFloat(rollover.required_amount) - parseFloat(rollover.wagered_amount));
+    const amount = roundMoney(Math.min(owed, remaining));
+    if (amount <= 0) continue;
+
+    await client.query(
+      'INSERT INTO rollover_contributions (deposit_rollover_id, game_round_id, amount) VALUES ($1, $2, $3)',
+      [rollover.id, gameRoundId, amount]
+    );
+
+    await client.query(
+      `UPDATE deposit_rollovers
+       SET wagered_amount = wagered_amount + $1,
+           status = CASE WHEN wagered_amount + $1 >= required_amount THEN 'completed' ELSE status END,
+           completed_at = CASE WHEN wagered_amount + $1 >= required_amount THEN NOW() ELSE completed_at END
+       WHERE id = $2`,
+      [amount, rollover.id]
+    );
+
+    remaining = roundMoney(remaining - amount);
+  }
+
+  if (open.rows.length === 0) {
+    return 0;
+  }
+
+  return syncRolloverRequired(client, userId);
+}
+
+/**
+ * Valor que ainda falta apostar nos rollovers abertos (para checar saques dentro de uma transação)
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ */
+export async function getOutstandingRollover(client, userId) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(required_amount - wagered_amount), 0) AS outstanding
+     FROM deposit_rollovers
+     WHERE user_id = $1 AND status = 'open'`,
+    [userId]
+  );
+  return roundMoney(parseFloat(result.rows[0].outstanding));
+}
+
+/**
+ * Dispensa o rollover aberto de um depósito estornado (reembolso ou chargeback)
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @returns {Promise<number>} Rollover total restante do usuário
+ */
+export async function waiveDepositRollover(client, transaction) {
+  await client.query(
+    `UPDATE deposit_rollovers SET status = 'waived', completed_at = NOW()
+     WHERE transaction_id = $1 AND status = 'open'`,
+    [transaction.id]
+  );
+  return syncRolloverRequired(client, transaction.user_id);
+}
+
+/**
+ * Dispensa os rollovers abertos do usuário (ex.: ao virar VIP)
+ */
+export async function waiveRollovers(client, userId) {
+  await client.query(
+    `UPDATE deposit_rollovers SET status = 'waived', completed_at = NOW()
+     WHERE user_id = $1 AND status = 'open'`,
+    [userId]
+  );
+  return syncRolloverRequired(client, userId);
+}
+
+/**
+ * Marca ou desmarca o usuário como VIP; com a política de isenção, os rollovers abertos são dispensados
+ */
+export async function setUserVip(userId, isVip) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      'UPDATE users SET is_vip = $1 WHERE id = $2 RETURNING id, username, is_vip',
+      [Boolean(isVip), userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const policy = await getRolloverPolicy();
+    const rolloverRequired = isVip && policy.vipExempt
+      ? await waiveRollovers(client, userId)
+      : await syncRolloverRequired(client, userId);
+
+    return { ...result.rows[0], rollover_required: rolloverRequired };
+  });
+}
+
+/**
+ * Extrato do rollover: quanto falta em cada depósito e quais apostas contaram
+ * @param {string} userId - ID do usuário
+ * @param {{limit?: number}} options - Quantos rollovers encerrados incluir além dos abertos
+ */
+export async function getRolloverStatus(userId, { limit = 10 } = {}) {
+  const rollovers = await pool.query(
+    `(SELECT * FROM deposit_rollovers WHERE user_id = $1 AND status = 'open')
+     UNION ALL
+     (SELECT * FROM deposit_rollovers WHERE user_id = $1 AND status <> 'open' ORDER BY completed_at DESC LIMIT $2)
+     ORDER BY created_at DESC`,
+    [userId, limit]
+  );
+
+  const ids = rollovers.rows.map(r => r.id);
+  const contributions = ids.length === 0 ? { rows: [] } : await pool.query(
+    `SELECT c.deposit_rollover_id, c.game_round_id, c.amount, c.created_at, g.game_type, g.bet_amount
+     FROM rollover_contributions c
+     LEFT JOIN game_rounds g ON c.game_round_id = g.id
+     WHERE c.deposit_rollover_id = ANY($1)
+     ORDER BY c.created_at DESC`,
+    [ids]
+  );
+
+  const deposits = rollovers.rows.map(rollover => {
+    const required = parseFloat(rollover.required_amount);
+    const wagered = parseFloat(rollover.wagered_amount);
+
+    return {
+      id: rollover.id,
+      transaction_id: rollover.transaction_id,
+      deposit_amount: parseFloat(rollover.deposit_amount),
+      multiplier: parseFloat(rollover.multiplier),
+      required,
+      wagered,
+      remaining: rollover.status === 'open' ? roundMoney(required - wagered) : 0,
+      status: rollover.status,
+      created_at: rollover.created_at,
+      completed_at: rollover.completed_at,
+      contributions: contributions.rows
+        .filter(c => c.deposit_rollover_id === rollover.id)
+        .map(({ deposit_rollover_id, ...c }) => ({ ...c, amount: parseFloat(c.amount) }))
+    };
+  });
+
+  return {
+    outstanding: roundMoney(deposits.reduce((sum, d) => sum + d.remaining, 0)),
+    deposits
+  };
+}
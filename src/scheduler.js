@@ -0,0 +1,87 @@
+import { pool } from './db.js';
+
+/**
+ * Agendador de tarefas em processo. Com várias instâncias do servidor no mesmo banco,
+ * um advisory lock do Postgres por tarefa garante que só uma instância a executa por vez;
+ * as demais pulam a rodada.
+ */
+
+const jobs = new Map();
+
+/**
+ * Executa `run` se conseguir o advisory lock de `name` (sem esperar)
+ * O lock é de sessão, então é pego e liberado na mesma conexão
+ * @returns {Promise<{ran: boolean, result?: any}>}
+ */
+export async function runWithLock(name, run) {
+  const client = await pool.connect();
+
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [`job:${name}`]);
+
+    if (!lock.rows[0].locked) {
+      return { ran: false };
+    }
+
+    try {
+      return { ran: true, result: await run() };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`job:${name}`]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Agenda uma tarefa periódica. Uma rodada que ainda não terminou faz a seguinte ser pulada.
+ * @param {{name: string, intervalMs: number, run: () => Promise<any>}} job
+ */
+export function scheduleJob({ name, intervalMs, run }) {
+  if (jobs.has(name)) {
+    throw new Error(`Tarefa ${name} já existe`);
+  }
+
+  const job = { name, intervalMs, running: false, lastRunAt: null, lastError: null };
+
+  const tick = async () => {
+    if (job.running) return;
+    job.running = true;
+
+    try {
+      const { ran } = await runWithLock(name, run);
+      if (ran) {
+        job.lastRunAt = new Date();
+        job.lastError = null;
+      }
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Erro na tarefa ${name}:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(tick, intervalMs);
+  // Não segura o processo aberto só por causa do agendador
+  job.timer.unref();
+
+  jobs.set(name, job);
+  return job;
+}
+
+export function stopScheduler() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+}
+
+/**
+ * Estado das tarefas agendadas (painel do admin)
+ */
+export function getScheduledJobs() {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name, intervalMs, running, lastRunAt, lastError
+  }));
+}
@@ -0,0 +1,112 @@
+import { getSetting, setSetting } from './db.js';
+
+export const GRID_ROWS = 3;
+export const GRID_COLS = 3;
+export const MATCH_COUNT = 3;
+
+// Símbolos que nunca pagam, usados para completar a cartela
+export const DECOY_SYMBOLS = ['lemon', 'bell', 'star', 'horseshoe', 'grape'];
+
+export const DEFAULT_NEAR_MISS = {
+  enabled: false,
+  probability: 0.25,
+  minMultiplier: 5
+};
+
+/**
+ * Símbolo exibido para um resultado da tabela de prêmios
+ */
+export function symbolOf(outcome) {
+  return outcome.symbol || outcome.id;
+}
+
+/**
+ * Monta uma cartela 3x3 coerente com o resultado sorteado:
+ * - prêmio: exatamente 3 símbolos do resultado e nenhum outro símbolo repetido 3 vezes
+ * - sem prêmio: nenhum símbolo aparece 3 vezes; com a regra de quase-acerto ativa, pode exibir
+ *   um par de um símbolo de prêmio alto (multiplicador >= minMultiplier)
+ * @param {object} tier - Faixa da tabela de prêmios usada na rodada
+ * @param {object} outcome - Resultado sorteado
+ * @param {() => number} nextRandom - Sequência aleatória da rodada (provably fair)
+ * @param {object} nearMiss - Regras de quase-acerto
+ * @returns {{rows: number, cols: number, cells: string[], winningSymbol: string|null, winningCells: number[], nearMissSymbol: string|null}}
+ */
+export function generateScratchGrid(tier, outcome, nextRandom, nearMiss = DEFAULT_NEAR_MISS) {
+  const totalCells = GRID_ROWS * GRID_COLS;
+  const prizeOutcomes = tier.outcomes.filter(o => o.multiplier > 0);
+  const prizeSymbols = [...new Set(prizeOutcomes.map(symbolOf))];
+  const symbols = [...prizeSymbols, ...DECOY_SYMBOLS.filter(s => !prizeSymbols.includes(s))];
+
+  const pick = (list) => list[Math.floor(nextRandom() * list.length)];
+
+  const counts = {};
+  const cells = [];
+  const place = (symbol, times) => {
+    for (let i = 0; i < times; i++) cells.push(symbol);
+    counts[symbol] = (counts[symbol] || 0) + times;
+  };
+
+  const winningSymbol = outcome.multiplier > 0 ? symbolOf(outcome) : null;
+  let nearMissSymbol = null;
+
+  if (winningSymbol) {
+    place(winningSymbol, MATCH_COUNT);
+  } else if (nearMiss.enabled && nextRandom() < nearMiss.probability) {
+    const candidates = prizeOutcomes.filter(o => o.multiplier >= nearMiss.minMultiplier).map(symbolOf);
+    if (candidates.length > 0) {
+      nearMissSymbol = pick(candidates);
+      place(nearMissSymbol, MATCH_COUNT - 1);
+    }
+  }
+
+  // Completar com símbolos que ainda não formam trinca
+  while (cells.length < totalCells) {
+    const available = symbols.filter(s => s !== winningSymbol && s !== nearMissSymbol && (counts[s] || 0) < MATCH_COUNT - 1);
+    place(pick(available), 1);
+  }
+
+  // Embaralhar (Fisher-Yates)
+  for (let i = cells.length - 1; i > 0; i--) {
+    const j = Math.floor(nextRandom() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+
+  return {
+    rows: GRID_ROWS,
+    cols: GRID_COLS,
+    cells,
+    winningSymbol,
+    winningCells: winningSymbol ? cells.map((s, i) => (s === winningSymbol ? i : -1)).filter(i => i >= 0) : [],
+    nearMissSymbol
+  };
+}
+
+export async function getNearMissConfig() {
+  const value = await getSetting('scratch_near_miss');
+  if (!value) return DEFAULT_NEAR_MISS;
+
+  try {
+    return { ...DEFAULT_NEAR_MISS, ...JSON.parse(value) };
+  } catch {
+    return DEFAULT_NEAR_MISS;
+  }
+}
+
+export async function setNearMissConfig({ enabled, probability, minMultiplier }) {
+  const config = {
+    enabled: Boolean(enabled),
+    probability: parseFloat(probability),
+    minMultiplier: parseFloat(minMultiplier)
+  };
+
+  if (!Number.isFinite(config.probability) || config.probability < 0 || config.probability > 1) {
+    throw new Error('Probabilidade de quase-acerto inválida (use um valor entre 0 e 1)');
+  }
+
+  if (!Number.isFinite(config.minMultiplier) || config.minMultiplier <= 0) {
+    throw new Error('Multiplicador mínimo de quase-acerto inválido');
+  }
+
+  await setSetting('scratch_near_miss', JSON.stringify(config), 'Regras de quase-acerto da cartela da raspadinha');
+  return config;
+}
@@ -0,0 +1,347 @@
+import { pool } from './db.js';
+import * as BullsPay from './bullspay.js';
+import { scheduleJob } from './scheduler.js';
+
+export const SETTLEMENT_JOB = 'settlement';
+
+const PAGE_SIZE = 100;
+// Teto de páginas por lista (10 mil registros); acima disso o relatório sai marcado como truncado
+const MAX_PAGES = 100;
+// Teto de consultas individuais para confirmar registros que não vieram na listagem do período
+const MAX_ID_LOOKUPS = 100;
+const MAX_RANGE_DAYS = 31;
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Período como texto AAAA-MM-DD (o driver converteria DATE para meia-noite no fuso do servidor)
+const REPORT_COLUMNS = `id, period_start::text AS period_start, period_end::text AS period_end, status, source,
+  summary, discrepancies, error, created_by, created_at, completed_at`;
+
+// Como cada lado do gateway é lido: lista, campo dos itens e valor em centavos
+const GATEWAY_SOURCES = {
+  deposit: {
+    list: (params) => BullsPay.listTransactions(params),
+    items: (data) => data.transactions,
+    amountCents: (item) => Math.round(Number(item.total_value ?? item.amount))
+  },
+  withdrawal: {
+    list: (params) => BullsPay.listWithdrawals(params),
+    items: (data) => data.withdrawals,
+    amountCents: (item) => Math.round(Number(item.amount))
+  }
+};
+
+/**
+ * Estado de liquidação para comparar status dos dois lados:
+ * status "em aberto" (pending, approved, pending_approval...) contam como iguais entre si
+ */
+function settlementState(status) {
+  if (['paid', 'failed', 'canceled', 'refunded', 'chargeback', 'expired', 'rejected'].includes(status)) {
+    return status;
+  }
+  return 'open';
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Período do relatório em dias do calendário de São Paulo (to inclusivo)
+ * @param {{from: string, to: string}} range - Datas AAAA-MM-DD
+ * @returns {Promise<{from: string, to: string, start: Date, end: Date}>}
+ */
+async function resolvePeriod({ from, to }) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(from || '') || !datePattern.test(to || '')) {
+    throw new Error('Período inválido: informe from e to no formato AAAA-MM-DD');
+  }
+
+  const result = await pool.query(
+    `SELECT ($1::date)::timestamp AT TIME ZONE 'America/Sao_Paulo' AS start,
+            ($2::date + 1)::timestamp AT TIME ZONE 'America/Sao_Paulo' AS "end",
+            $2::date - $1::date AS days`,
+    [from, to]
+  );
+
+  const { start, end, days } = result.rows[0];
+
+  if (days < 0 || days >= MAX_RANGE_DAYS) {
+    throw new Error(`Período inválido: to deve ser igual ou depois de from, com até ${MAX_RANGE_DAYS} dias`);
+  }
+
+  return { from, to, start: new Date(start), end: new Date(end) };
+}
+
+/**
+ * Percorre as páginas da listagem do gateway e mantém os registros criados no período
+ */
+async function fetchGatewayRecords(source, { start, end }) {
+  const records = new Map();
+  let truncated = true;
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const data = await source.list({ page, limit: PAGE_SIZE });
+    const items = source.items(data);
+
+    for (const item of items) {
+      const createdAt = new Date(item.created_at);
+      if (item.unic_id && createdAt >= start && createdAt < end) {
+        records.set(item.unic_id, item);
+      }
+    }
+
+    const lastPage = data.pagination?.total_pages ?? data.pagination?.last_page;
+    if (items.length < PAGE_SIZE || (lastPage && page >= lastPage)) {
+      truncated = false;
+      break;
+    }
+  }
+
+  return { records, truncated };
+}
+
+/**
+ * Compara um tipo (depósitos ou saques) entre o nosso banco e o gateway.
+ * Divergências: missing_on_our_side, missing_on_gateway, amount_mismatch e status_mismatch
+ */
+async function reconcileType(type, period) {
+  const source = GATEWAY_SOURCES[type];
+  const { records: gateway, truncated } = await fetchGatewayRecords(source, period);
+
+  // Nossos registros da BullsPay no período, mais os que o gateway listou no período (a data pode cair do outro lado da meia-noite)
+  const ours = await pool.query(
+    `SELECT id, user_id, amount, status, gateway_id, created_at
+     FROM transactions
+     WHERE type = $1 AND provider = 'bullspay' AND gateway_id IS NOT NULL
+       AND ((created_at >= $2 AND created_at < $3) OR gateway_id = ANY($4))`,
+    [type, period.start, period.end, [...gateway.keys()]]
+  );
+
+  const oursByGatewayId = new Map(ours.rows.map(row => [row.gateway_id, row]));
+  const discrepancies = [];
+  const summary = {
+    gateway_count: gateway.size,
+    our_count: ours.rows.length,
+    matched: 0,
+    missing_on_our_side: 0,
+    missing_on_gateway: 0,
+    amount_mismatches: 0,
+    status_mismatches: 0,
+    truncated
+  };
+
+  const compare = (row, item) => {
+    summary.matched++;
+
+    const ourCents = toCents(row.amount);
+    const gatewayCents = source.amountCents(item);
+    const base = {
+      type,
+      transaction_id: row.id,
+      user_id: row.user_id,
+      gateway_id: row.gateway_id,
+      our_amount: ourCents / 100,
+      gateway_amount: gatewayCents / 100,
+      our_status: row.status,
+      gateway_status: item.status
+    };
+
+    if (ourCents !== gatewayCents) {
+      summary.amount_mismatches++;
+      discrepancies.push({ kind: 'amount_mismatch', ...base });
+    }
+
+    if (settlementState(row.status) !== settlementState(item.status)) {
+      summary.status_mismatches++;
+      // Só um dos lados pago: dinheiro creditado ou enviado sem correspondência
+      const critical = (row.status === 'paid') !== (item.status === 'paid');
+      discrepancies.push({ kind: 'status_mismatch', critical, ...base });
+    }
+  };
+
+  for (const [gatewayId, item] of gateway) {
+    const row = oursByGatewayId.get(gatewayId);
+
+    if (row) {
+      compare(row, item);
+      continue;
+    }
+
+    summary.missing_on_our_side++;
+    discrepancies.push({
+      kind: 'missing_on_our_side',
+      type,
+      transaction_id: null,
+      user_id: null,
+      gateway_id: gatewayId,
+      our_amount: null,
+      gateway_amount: source.amountCents(item) / 100,
+      our_status: null,
+      gateway_status: item.status
+    });
+  }
+
+  // Nossos registros que não vieram na listagem: confirmar um a um antes de apontar como ausentes
+  const unlisted = ours.rows.filter(row => !gateway.has(row.gateway_id));
+
+  for (const [index, row] of unlisted.entries()) {
+    let item = null;
+
+    if (index < MAX_ID_LOOKUPS) {
+      const data = await source.list({ id: row.gateway_id, limit: 1 });
+      item = source.items(data).find(i => i.unic_id === row.gateway_id) || null;
+    }
+
+    if (item) {
+      compare(row, item);
+      continue;
+    }
+
+    summary.missing_on_gateway++;
+    discrepancies.push({
+      kind: 'missing_on_gateway',
+      type,
+      transaction_id: row.id,
+      user_id: row.user_id,
+      gateway_id: row.gateway_id,
+      our_amount: toCents(row.amount) / 100,
+      gateway_amount: null,
+      our_status: row.status,
+      gateway_status: null,
+      verified: index < MAX_ID_LOOKUPS
+    });
+  }
+
+  return { summary, discrepancies };
+}
+
+/**
+ * Gera o relatório de conciliação do período com a BullsPay e o grava em settlement_reports.
+ * Uma execução que falha também é gravada, com o erro.
+ * @param {{from: string, to: string, source?: 'manual'|'scheduled', createdBy?: string}} options - Datas AAAA-MM-DD (São Paulo)
+ * @returns {Promise<object>} Relatório gravado
+ */
+export async function runSettlementReport({ from, to, source = 'manual', createdBy = null }) {
+  const period = await resolvePeriod({ from, to });
+
+  const inserted = await pool.query(
+    `INSERT INTO settlement_reports (period_start, period_end, status, source, created_by)
+     VALUES ($1, $2, 'running', $3, $4)
+     RETURNING id`,
+    [from, to, source, createdBy]
+  );
+  const reportId = inserted.rows[0].id;
+
+  try {
+    const deposits = await reconcileType('deposit', period);
+    const withdrawals = await reconcileType('withdrawal', period);
+
+    const summary = {
+      deposits: deposits.summary,
+      withdrawals: withdrawals.summary,
+      total_discrepancies: deposits.discrepancies.length + withdrawals.discrepancies.length,
+      critical: [...deposits.discrepancies, ...withdrawals.discrepancies].filter(d => d.critical).length
+    };
+
+    const result = await pool.query(
+      `UPDATE settlement_reports
+       SET status = 'completed', summary = $1, discrepancies = $2, completed_at = NOW()
+       WHERE id = $3
+       RETURNING ${REPORT_COLUMNS}`,
+      [JSON.stringify(summary), JSON.stringify([...deposits.discrepancies, ...withdrawals.discrepancies]), reportId]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    await pool.query(
+      `UPDATE settlement_reports SET status = 'failed', error = $1, completed_at = NOW() WHERE id = $2`,
+      [error.message, reportId]
+    );
+    throw error;
+  }
+}
+
+export async function listSettlementReports({ limit = 30 } = {}) {
+  const result = await pool.query(
+    `SELECT r.id, r.period_start::text AS period_start, r.period_end::text AS period_end, r.status, r.source, r.summary, r.error,
+            r.created_at, r.completed_at, u.username AS created_by_username
+     FROM settlement_reports r
+     LEFT JOIN users u ON r.created_by = u.id
+     ORDER BY r.created_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+export async function getSettlementReport(reportId) {
+  const result = await pool.query(`SELECT ${REPORT_COLUMNS} FROM settlement_reports WHERE id = $1`, [reportId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Relatório de conciliação não encontrado');
+  }
+
+  return result.rows[0];
+}
+
+const CSV_COLUMNS = ['kind', 'critical', 'type', 'transaction_id', 'user_id', 'gateway_id', 'our_amount', 'gateway_amount', 'our_status', 'gateway_status'];
+
+/**
+ * Divergências do relatório em CSV (uma linha por divergência)
+ */
+export function settlementReportToCsv(report) {
+  const lines = (report.discrepancies || []).map(d =>
+    CSV_COLUMNS.map(column => d[column] ?? '').join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Gera o relatório do dia anterior (São Paulo) se ainda não houver um concluído
+ * @returns {Promise<object|null>} Relatório gerado ou null se já existia
+ */
+export async function ensureDailySettlementReport() {
+  const yesterday = await pool.query(
+    `SELECT to_char((NOW() AT TIME ZONE 'America/Sao_Paulo')::date - 1, 'YYYY-MM-DD') AS day`
+  );
+  const day = yesterday.rows[0].day;
+
+  const existing = await pool.query(
+    `SELECT id FROM settlement_reports
+     WHERE source = 'scheduled' AND status = 'completed' AND period_start = $1 AND period_end = $1`,
+    [day]
+  );
+
+  if (existing.rows.length > 0) {
+    return null;
+  }
+
+  return runSettlementReport({ from: day, to: day, source: 'scheduled' });
+}
+
+/**
+ * Confere a cada SETTLEMENT_CHECK_INTERVAL_MS (padrão 1h; 0 desativa) se o relatório de ontem já foi gerado
+ * @returns {object|null} Tarefa agendada ou null se desativada
+ */
+export function startSettlementWorker() {
+  const intervalMs = parseInt(process.env.SETTLEMENT_CHECK_INTERVAL_MS ?? DEFAULT_CHECK_INTERVAL_MS);
+
+  if (!intervalMs) {
+    console.log('⏸️  Relatório diário de conciliação desativado (SETTLEMENT_CHECK_INTERVAL_MS=0)');
+    return null;
+  }
+
+  return scheduleJob({
+    name: SETTLEMENT_JOB,
+    intervalMs,
+    run: async () => {
+      const report = await ensureDailySettlementReport();
+
+      if (report) {
+        console.log(`📊 Conciliação diária com a BullsPay: ${report.summary.total_discrepancies} divergência(s), ${report.summary.critical} crítica(s)`);
+      }
+
+      return report;
+    }
+  });
+}
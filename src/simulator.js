@@ -0,0 +1,156 @@
+import { ALLOWED_BETS, calculateScratchPrize } from './gameEngine.js';
+import { DEFAULT_PAYTABLE } from './paytable.js';
+import { calculateJackpotContribution } from './jackpot.js';
+
+const DRAWDOWN_PERCENTILES = [50, 90, 95, 99];
+
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return 0;
+  const index = Math.min(sortedValues.length - 1, Math.ceil((p / 100) * sortedValues.length) - 1);
+  return sortedValues[Math.max(0, index)];
+}
+
+function round(value, decimals = 4) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Simula rodadas de uma aposta usando calculateScratchPrize, sem tocar no banco
+ * O drawdown é medido por sessão: maior queda do saldo acumulado em relação ao pico da sessão
+ * A contribuição ao jackpot volta aos jogadores pelo pote: entra no RTP total (totalRtp), mas não no drawdown
+ * @param {number} betAmount - Valor da aposta
+ * @param {{rounds: number, sessionLength: number, paytable: object, jackpot?: {contributionPercent: number, minBet: number}|null, random: () => number}} options
+ */
+export function simulateBet(betAmount, { rounds, sessionLength, paytable, jackpot = null, random = Math.random }) {
+  const distribution = new Map();
+  let totalPrize = 0;
+  let hits = 0;
+  let sum = 0;
+  let sumSquares = 0;
+
+  const drawdowns = [];
+  let sessionNet = 0;
+  let sessionPeak = 0;
+  let sessionDrawdown = 0;
+  let sessionRounds = 0;
+
+  for (let i = 0; i < rounds; i++) {
+    const { multiplier, prizeAmount } = calculateScratchPrize(betAmount, paytable, random());
+
+    totalPrize += prizeAmount;
+    if (prizeAmount > 0) hits++;
+    sum += multiplier;
+    sumSquares += multiplier * multiplier;
+    distribution.set(multiplier, (distribution.get(multiplier) || 0) + 1);
+
+    // Drawdown da perspectiva do jogador (saldo acumulado da sessão)
+    sessionNet += prizeAmount - betAmount;
+    sessionPeak = Math.max(sessionPeak, sessionNet);
+    sessionDrawdown = Math.max(sessionDrawdown, sessionPeak - sessionNet);
+    sessionRounds++;
+
+    if (sessionRounds === sessionLength) {
+      drawdowns.push(sessionDrawdown);
+      sessionNet = 0;
+      sessionPeak = 0;
+      sessionDrawdown = 0;
+      sessionRounds = 0;
+    }
+  }
+
+  if (sessionRounds > 0) {
+    drawdowns.push(sessionDrawdown);
+  }
+
+  drawdowns.sort((a, b) => a - b);
+
+  const contribution = jackpot && betAmount >= jackpot.minBet
+    ? calculateJackpotContribution(betAmount, jackpot.contributionPercent)
+    : 0;
+  const totalJackpot = round(contribution * rounds, 2);
+
+  const mean = sum / rounds;
+  const variance = sumSquares / rounds - mean * mean;
+
+  return {
+    betAmount,
+    rounds,
+    totalWagered: round(betAmount * rounds, 2),
+    totalPrize: round(totalPrize, 2),
+    totalJackpot,
+    rtp: round((totalPrize / (betAmount * rounds)) * 100),
+    jackpotRtp: round((totalJackpot / (betAmount * rounds)) * 100),
+    totalRtp: round(((totalPrize + totalJackpot) / (betAmount * rounds)) * 100),
+    hitFrequency: round((hits / rounds) * 100),
+    variance: round(variance),
+    stdDev: round(Math.sqrt(Math.max(0, variance))),
+    distribution: [...distribution.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([multiplier, count]) => ({ multiplier, count, frequency: round((count / rounds) * 100) })),
+    maxDrawdown: {
+      sessionLength,
+      sessions: drawdowns.length,
+      percentiles: Object.fromEntries(DRAWDOWN_PERCENTILES.map(p => [`p${p}`, round(percentile(drawdowns, p), 2)]))
+    }
+  };
+}
+
+/**
+ * Executa a simulação de RTP para cada valor de aposta
+ * @param {{rounds?: number, bets?: number[], sessionLength?: number, paytable?: object, jackpot?: {contributionPercent: number, minBet: number}|null}} options
+ */
+export function simulateRtp({ rounds = 1000000, bets = ALLOWED_BETS, sessionLength = 100, paytable = DEFAULT_PAYTABLE, jackpot = null } = {}) {
+  if (!Number.isInteger(rounds) || rounds <= 0) {
+    throw new Error('Número de rodadas inválido');
+  }
+
+  if (!Number.isInteger(sessionLength) || sessionLength <= 0) {
+    throw new Error('Tamanho de sessão inválido');
+  }
+
+  const invalidBet = bets.find(bet => !ALLOWED_BETS.includes(bet));
+  if (invalidBet !== undefined) {
+    throw new Error(`Valor de aposta inválido: ${invalidBet}`);
+  }
+
+  const startedAt = Date.now();
+  const results = bets.map(bet => simulateBet(bet, { rounds, sessionLength, paytable, jackpot }));
+
+  const totalWagered = results.reduce((sum, r) => sum + r.totalWagered, 0);
+  const totalPrize = results.reduce((sum, r) => sum + r.totalPrize, 0);
+  const totalJackpot = results.reduce((sum, r) => sum + r.totalJackpot, 0);
+
+  return {
+    roundsPerBet: rounds,
+    sessionLength,
+    jackpot,
+    overallRtp: round((totalPrize / totalWagered) * 100),
+    overallTotalRtp: round(((totalPrize + totalJackpot) / totalWagered) * 100),
+    durationMs: Date.now() - startedAt,
+    bets: results
+  };
+}
+
+/**
+ * Converte o resultado da simulação em CSV (uma linha por valor de aposta)
+ */
+export function simulationToCsv(simulation) {
+  const percentileColumns = DRAWDOWN_PERCENTILES.map(p => `drawdown_p${p}`);
+  const header = ['bet_amount', 'rounds', 'rtp', 'jackpot_rtp', 'total_rtp', 'hit_frequency', 'variance', 'std_dev', ...percentileColumns, 'distribution'];
+
+  const lines = simulation.bets.map(r => [
+    r.betAmount.toFixed(2),
+    r.rounds,
+    r.rtp,
+    r.jackpotRtp,
+    r.totalRtp,
+    r.hitFrequency,
+    r.variance,
+    r.stdDev,
+    ...DRAWDOWN_PERCENTILES.map(p => r.maxDrawdown.percentiles[`p${p}`]),
+    `"${r.distribution.map(d => `${d.multiplier}x:${d.count}`).join(' ')}"`
+  ].join(','));
+
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
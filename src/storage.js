@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Armazenamento de arquivos (documentos de KYC). Todo store implementa:
+ * - put(key, body, contentType): grava o arquivo
+ * - get(key): retorna { body: Buffer, contentType }
+ * - remove(key): apaga o arquivo (sem erro se não existir)
+ */
+
+/**
+ * Store em disco local; o tipo do conteúdo fica num arquivo .meta ao lado
+ * @param {{dir: string}} options - Diretório raiz
+ */
+export function createLocalStorage({ dir }) {
+  const resolve = (key) => {
+    const filePath = path.resolve(dir, key);
+    if (!filePath.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error('Chave de arquivo inválida');
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, body, contentType) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+      await fs.writeFile(`${filePath}.meta`, JSON.stringify({ contentType }));
+    },
+
+    async get(key) {
+      const filePath = resolve(key);
+      try {
+        const body = await fs.readFile(filePath);
+        const meta = JSON.parse(await fs.readFile(`${filePath}.meta`, 'utf8').catch(() => '{}'));
+        return { body, contentType: meta.contentType || 'application/octet-stream' };
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new Error('Arquivo não encontrado');
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      const filePath = resolve(key);
+      await fs.rm(filePath, { force: true });
+      await fs.rm(`${filePath}.meta`, { force: true });
+    }
+  };
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Store compatível com S3 (AWS, MinIO, R2...), URL no estilo path (endpoint/bucket/key) e assinatura AWS SigV4
+ * @param {{endpoint: string, bucket: string, region?: string, accessKeyId: string, secretAccessKey: string}} options
+ */
+export function createS3Storage({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY devem estar configuradas');
+  }
+
+  const baseUrl = new URL(endpoint);
+
+  async function request(method, key, body = null, contentType = null) {
+    const url = new URL(baseUrl);
+    const canonicalUri = `${baseUrl.pathname.replace(/\/$/, '')}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    url.pathname = canonicalUri;
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || '');
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const signedHeaderNames = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      '',
+      signedHeaderNames.map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaderNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...requestHeaders } = headers;
+    const resp = await fetch(url, {
+      method,
+      headers: {
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`
+      },
+      body
+    });
+
+    if (resp.status === 404) {
+      throw new Error('Arquivo não encontrado');
+    }
+
+    if (!resp.ok) {
+      const errorText = await resp.text().catch(() => 'Erro desconhecido');
+      throw new Error(`S3 error ${resp.status}: ${errorText}`);
+    }
+
+    return resp;
+  }
+
+  return {
+    async put(key, body, contentType) {
+      await request('PUT', key, body, contentType);
+    },
+
+    async get(key) {
+      const resp = await request('GET', key);
+      return {
+        body: Buffer.from(await resp.arrayBuffer()),
+        contentType: resp.headers.get('content-type') || 'application/octet-stream'
+      };
+    },
+
+    async remove(key) {
+      await request('DELETE', key).catch((error) => {
+        if (!error.message.includes('não encontrado')) throw error;
+      });
+    }
+  };
+}
+
+let documentStorage = null;
+
+/**
+ * Store dos documentos: STORAGE_DRIVER=s3 usa as variáveis S3_*; padrão é disco local em STORAGE_DIR (./storage)
+ */
+export function getDocumentStorage() {
+  if (!documentStorage) {
+    documentStorage = process.env.STORAGE_DRIVER === 's3'
+      ? createS3Storage({
+          endpoint: process.env.S3_ENDPOINT,
+          bucket: process.env.S3_BUCKET,
+          region: process.env.S3_REGION,
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        })
+      : createLocalStorage({ dir: process.env.STORAGE_DIR || path.join(process.cwd(), 'storage') });
+  }
+  return documentStorage;
+}
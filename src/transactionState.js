@@ -0,0 +1,132 @@
+import { pool } from './db.js';
+
+/**
+ * Máquina de estados de transactions.status. Todo status vindo de um provedor passa por
+ * mapGatewayStatus e toda mudança passa por transitionTransaction, que grava o histórico.
+ *
+ * Depósito: pending → paid | failed | canceled | expired; paid → refunded | chargeback.
+ * O PIX pode cair depois da expiração local ou de uma falha informada, então expired,
+ * failed e canceled ainda aceitam paid.
+ *
+ * Saque: pending_approval → approved | rejected; approved → pending (em processamento no provedor)
+ * | paid | failed | canceled; pending → paid | failed | canceled.
+ */
+
+export const DEPOSIT_TRANSITIONS = {
+  pending: ['paid', 'failed', 'canceled', 'expired'],
+  expired: ['paid', 'failed', 'canceled'],
+  failed: ['paid'],
+  canceled: ['paid'],
+  paid: ['refunded', 'chargeback'],
+  refunded: [],
+  chargeback: []
+};
+
+export const WITHDRAWAL_TRANSITIONS = {
+  pending_approval: ['approved', 'rejected'],
+  approved: ['pending', 'paid', 'failed', 'canceled'],
+  pending: ['paid', 'failed', 'canceled'],
+  paid: [],
+  failed: [],
+  canceled: [],
+  rejected: []
+};
+
+// Origem de cada transição gravada em transaction_status_history
+export const TRANSITION_SOURCES = ['webhook', 'sync', 'admin', 'system'];
+
+// Status dos provedores (já normalizados pelo adaptador) → status que gravamos
+const GATEWAY_STATUSES = {
+  pending: 'pending',
+  waiting_payment: 'pending',
+  processing: 'pending',
+  paid: 'paid',
+  completed: 'paid',
+  failed: 'failed',
+  canceled: 'canceled',
+  cancelled: 'canceled',
+  expired: 'expired',
+  refunded: 'refunded',
+  chargeback: 'chargeback'
+};
+
+// Status que um provedor pode informar para cada tipo (os demais são decisões nossas)
+const GATEWAY_STATUSES_BY_TYPE = {
+  deposit: ['pending', 'paid', 'failed', 'canceled', 'expired', 'refunded', 'chargeback'],
+  withdrawal: ['pending', 'paid', 'failed', 'canceled']
+};
+
+function getTransitions(type) {
+  return type === 'withdrawal' ? WITHDRAWAL_TRANSITIONS : DEPOSIT_TRANSITIONS;
+}
+
+/**
+ * Converte o status informado pelo provedor no status interno do tipo da transação
+ * @param {'deposit'|'withdrawal'} type
+ * @param {string} gatewayStatus
+ * @returns {string|null} Status interno ou null se o status é desconhecido para o tipo
+ */
+export function mapGatewayStatus(type, gatewayStatus) {
+  const status = GATEWAY_STATUSES[String(gatewayStatus || '').toLowerCase()];
+  return GATEWAY_STATUSES_BY_TYPE[type]?.includes(status) ? status : null;
+}
+
+export function canTransition(type, from, to) {
+  return getTransitions(type)[from]?.includes(to) ?? false;
+}
+
+/**
+ * Muda o status de uma transação se a máquina de estados permitir e grava a transição no histórico.
+ * O UPDATE é condicional ao status que o chamador leu: se outra atualização chegou antes, nada muda.
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @param {object} transaction - Transação como lida do banco
+ * @param {string} toStatus - Novo status (interno)
+ * @param {{source: string, gatewayStatus?: string, gatewayPayload?: object, adminNotes?: string, provider?: string}} details
+ * @returns {Promise<object|null>} Transação atualizada ou null se a transição não foi aplicada
+ */
+export async function transitionTransaction(client, transaction, toStatus, {
+  source,
+  gatewayStatus = null,
+  gatewayPayload = null,
+  adminNotes = null,
+  provider = null
+}) {
+  if (!canTransition(transaction.type, transaction.status, toStatus)) {
+    if (transaction.status !== toStatus) {
+      console.log(`Transição ignorada (${source}): ${transaction.type} ${transaction.id} ${transaction.status} → ${toStatus}`);
+    }
+    return null;
+  }
+
+  const result = await client.query(
+    `UPDATE transactions
+     SET status = $1, gateway_data = COALESCE($2, gateway_data), admin_notes = COALESCE($3, admin_notes),
+         provider = COALESCE($4, provider), updated_at = NOW()
+     WHERE id = $5 AND status = $6
+     RETURNING *`,
+    [toStatus, gatewayPayload ? JSON.stringify(gatewayPayload) : null, adminNotes, provider, transaction.id, transaction.status]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await client.query(
+    `INSERT INTO transaction_status_history (transaction_id, from_status, to_status, source, gateway_status)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [transaction.id, transaction.status, toStatus, source, gatewayStatus]
+  );
+
+  return result.rows[0];
+}
+
+export async function getTransactionStatusHistory(transactionId) {
+  const result = await pool.query(
+    `SELECT id, from_status, to_status, source, gateway_status, created_at
+     FROM transaction_status_history
+     WHERE transaction_id = $1
+     ORDER BY created_at ASC`,
+    [transactionId]
+  );
+  return result.rows;
+}
@@ -0,0 +1,88 @@
+// Validação de documentos (CPF/CNPJ) e idade mínima para cadastro
+
+export const MIN_AGE = 18;
+
+export function onlyDigits(value) {
+  return String(value ?? '').replace(/\D/g, '');
+}
+
+/**
+ * Dígito verificador módulo 11 (resto < 2 vira 0)
+ * @param {string} digits - Dígitos já calculados
+ * @param {number[]} weights - Pesos aplicados da esquerda para a direita
+ */
+function mod11CheckDigit(digits, weights) {
+  const sum = weights.reduce((total, weight, i) => total + parseInt(digits[i]) * weight, 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+}
+
+/**
+ * CPF válido: 11 dígitos, não todos iguais e com os dois dígitos verificadores corretos
+ */
+export function isValidCpf(value) {
+  const cpf = onlyDigits(value);
+
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) {
+    return false;
+  }
+
+  const first = mod11CheckDigit(cpf, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = mod11CheckDigit(cpf, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  return first === parseInt(cpf[9]) && second === parseInt(cpf[10]);
+}
+
+/**
+ * CNPJ válido: 14 dígitos, não todos iguais e com os dois dígitos verificadores corretos
+ */
+export function isValidCnpj(value) {
+  const cnpj = onlyDigits(value);
+
+  if (cnpj.length !== 14 || /^(\d)\1{13}$/.test(cnpj)) {
+    return false;
+  }
+
+  const first = mod11CheckDigit(cnpj, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = mod11CheckDigit(cnpj, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  return first === parseInt(cnpj[12]) && second === parseInt(cnpj[13]);
+}
+
+/**
+ * Converte a data de nascimento (AAAA-MM-DD ou DD/MM/AAAA) para AAAA-MM-DD
+ * @returns {string|null} Data normalizada ou null se inválida
+ */
+export function parseBirthDate(value) {
+  const text = String(value ?? '').trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/) || text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+
+  if (!match) return null;
+
+  const [year, month, day] = match[1].length === 4
+    ? [match[1], match[2], match[3]]
+    : [match[3], match[2], match[1]];
+
+  // Rejeita datas como 31/02 (o Date "corrigiria" para março)
+  const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+  if (date.getUTCFullYear() !== parseInt(year) || date.getUTCMonth() !== parseInt(month) - 1 || date.getUTCDate() !== parseInt(day)) {
+    return null;
+  }
+
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Idade completa em anos na data de referência
+ * @param {string} birthDate - Data no formato AAAA-MM-DD
+ */
+export function calculateAge(birthDate, today = new Date()) {
+  const [year, month, day] = birthDate.split('-').map(Number);
+  let age = today.getFullYear() - year;
+
+  if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) {
+    age--;
+  }
+
+  return age;
+}
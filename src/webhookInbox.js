@@ -0,0 +1,295 @@
+import { pool, withTransaction } from './db.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { MAX_LOGGED_BODY, getRawBody, redactHeaders, claimWebhookEvent, recordWebhookRejection } from './webhooks.js';
+import { settleDeposit, updateDepositStatus } from './deposits.js';
+import { applyWithdrawalStatus } from './withdrawals.js';
+import { mapGatewayStatus } from './transactionState.js';
+import { scheduleJob, runWithLock } from './scheduler.js';
+
+/**
+ * Caixa de entrada dos webhooks: toda entrega é gravada em webhook_events (corpo bruto, headers e
+ * resultado da verificação) antes da resposta ao provedor, e um worker processa depois.
+ * Status de um evento:
+ * - pending: aguardando processamento (primeira tentativa ou nova tentativa agendada)
+ * - processed: aplicado à transação
+ * - ignored: verificado, mas sem transação nossa correspondente
+ * - dead: esgotou as tentativas (dead-letter); só volta com reprocessamento pelo admin
+ * - rejected: recusado na verificação (assinatura/timestamp); nunca é processado
+ * - duplicate: reenvio de um evento já recebido; não é processado
+ */
+
+export const WEBHOOK_JOB = 'webhooks';
+
+export const WEBHOOK_EVENT_STATUSES = ['pending', 'processed', 'ignored', 'dead', 'rejected', 'duplicate'];
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 5 * 1000;
+const DEFAULT_BATCH_SIZE = 50;
+
+// Listagem sem corpo e headers (ficam no detalhe)
+const SUMMARY_COLUMNS = `id, provider, event_id, resource_id, verified, verification_error, status, attempts,
+  next_attempt_at, last_error, replay_count, received_at, processed_at`;
+
+function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+function getIntervalMs() {
+  return parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS ?? DEFAULT_INTERVAL_MS);
+}
+
+/**
+ * Grava a entrega em webhook_events. Recusadas também vão para webhook_rejections, com o corpo truncado;
+ * reenvios de um evento já recebido ficam como duplicate. A marcação em webhook_deliveries e a gravação
+ * do evento são atômicas: se a gravação falhar, o reenvio do provedor não é tratado como duplicado.
+ * @param {object} provider - Provedor de pagamento (src/paymentProviders.js)
+ * @param {import('express').Request} req - Requisição com req.rawBody
+ * @returns {Promise<object>} Evento gravado
+ */
+export async function receiveWebhook(provider, req) {
+  const { verified, reason = null, eventId } = provider.verifyWebhook(req);
+  const rawBody = getRawBody(req);
+
+  return withTransaction(async (client) => {
+    let status = 'rejected';
+    let resourceId = null;
+
+    if (verified) {
+      resourceId = provider.parseWebhookEvent(req.body)?.id ?? null;
+      status = (await claimWebhookEvent(provider.name, eventId, client)) ? 'pending' : 'duplicate';
+    } else {
+      await recordWebhookRejection(provider.name, req, { reason, eventId }, client);
+    }
+
+    const result = await client.query(
+      `INSERT INTO webhook_events (provider, event_id, resource_id, headers, body, verified, verification_error, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${SUMMARY_COLUMNS}`,
+      [
+        provider.name,
+        eventId,
+        resourceId,
+        JSON.stringify(redactHeaders(req.headers)),
+        verified ? rawBody : rawBody.slice(0, MAX_LOGGED_BODY),
+        verified,
+        reason,
+        status
+      ]
+    );
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Aplica um evento à transação correspondente. As liquidações são idempotentes,
+ * então reprocessar um evento não credita nem devolve saldo duas vezes.
+ * @returns {Promise<'processed'|'ignored'>}
+ */
+async function applyWebhookEvent(row) {
+  const provider = getPaymentProvider(row.provider);
+  const event = provider.parseWebhookEvent(JSON.parse(row.body));
+
+  if (!event) {
+    return 'ignored';
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM transactions WHERE provider = $1 AND gateway_id = $2',
+    [row.provider, event.id]
+  );
+
+  if (result.rows.length === 0) {
+    console.log('Webhook: transação não encontrada:', event.id);
+    return 'ignored';
+  }
+
+  const transaction = result.rows[0];
+  const status = mapGatewayStatus(transaction.type, event.status);
+  const details = { gatewayPayload: event.payload, source: 'webhook', gatewayStatus: event.status };
+
+  if (!status) {
+    console.log(`Webhook: status desconhecido para ${transaction.type} ${transaction.id}: ${event.status}`);
+    return 'ignored';
+  }
+
+  if (transaction.type === 'deposit') {
+    if (status === 'paid') {
+      // Liquidação idempotente: não credita de novo se o polling já liquidou
+      const settlement = await settleDeposit(transaction.id, details);
+      if (!settlement.settled) {
+        console.log(`Webhook: depósito ${transaction.id} já liquidado`);
+      }
+    } else if (status !== transaction.status) {
+      await updateDepositStatus(transaction, status, details);
+    }
+
+    return 'processed';
+  }
+
+  // Saque: pago captura a reserva; falhou/cancelado devolve o saldo (uma única vez)
+  const { released } = await applyWithdrawalStatus(transaction, status, details);
+
+  if (released) {
+    console.log(`Saldo devolvido para usuário ${transaction.user_id}: R$ ${transaction.amount}`);
+  }
+
+  return 'processed';
+}
+
+/**
+ * Processa os eventos pendentes em ordem de chegada. Um evento com falha volta para a fila com
+ * backoff exponencial e segura os eventos seguintes da mesma transação do gateway até ser resolvido;
+ * depois de MAX_ATTEMPTS tentativas vai para dead.
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<{processed: number, ignored: number, retried: number, dead: number}>}
+ */
+export async function processWebhookEvents({ limit = DEFAULT_BATCH_SIZE } = {}) {
+  const summary = { processed: 0, ignored: 0, retried: 0, dead: 0 };
+
+  const due = await pool.query(
+    `SELECT e.id, e.provider, e.resource_id, e.body, e.attempts
+     FROM webhook_events e
+     WHERE e.status = 'pending' AND e.next_attempt_at <= NOW()
+       AND NOT EXISTS (
+         SELECT 1 FROM webhook_events earlier
+         WHERE earlier.status = 'pending' AND earlier.next_attempt_at > NOW()
+           AND earlier.provider = e.provider AND earlier.resource_id = e.resource_id
+           AND earlier.received_at < e.received_at
+       )
+     ORDER BY e.received_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+
+  // Eventos anteriores já vencidos vêm antes na lista; se um deles falhar nesta rodada, os seguintes do mesmo recurso esperam
+  const blocked = new Set();
+
+  for (const row of due.rows) {
+    const resourceKey = `${row.provider}:${row.resource_id}`;
+    if (row.resource_id && blocked.has(resourceKey)) {
+      continue;
+    }
+
+    const attempts = row.attempts + 1;
+
+    try {
+      const outcome = await applyWebhookEvent(row);
+
+      await pool.query(
+        `UPDATE webhook_events SET status = $1, attempts = $2, last_error = NULL, processed_at = NOW() WHERE id = $3`,
+        [outcome, attempts, row.id]
+      );
+      summary[outcome]++;
+    } catch (error) {
+      blocked.add(resourceKey);
+      const dead = attempts >= MAX_ATTEMPTS;
+
+      await pool.query(
+        `UPDATE webhook_events
+         SET status = $1, attempts = $2, last_error = $3, next_attempt_at = NOW() + ($4 * INTERVAL '1 millisecond')
+         WHERE id = $5`,
+        [dead ? 'dead' : 'pending', attempts, error.message, backoffMs(attempts), row.id]
+      );
+
+      if (dead) {
+        summary.dead++;
+        console.error(`☠️  Webhook ${row.id} foi para dead-letter após ${attempts} tentativas: ${error.message}`);
+      } else {
+        summary.retried++;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Processa a fila logo após receber uma entrega, sem esperar a próxima rodada do worker.
+ * Se outra rodada já está em andamento (lock ocupado), ela ou a seguinte pega o evento.
+ */
+export function triggerWebhookProcessing() {
+  if (!getIntervalMs()) return;
+
+  runWithLock(WEBHOOK_JOB, () => processWebhookEvents()).catch((error) => {
+    console.error('Erro ao processar webhooks:', error);
+  });
+}
+
+export async function listWebhookEvents({ status = null, provider = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT ${SUMMARY_COLUMNS}
+     FROM webhook_events
+     WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR provider = $2)
+     ORDER BY received_at DESC
+     LIMIT $3`,
+    [status, provider, limit]
+  );
+  return result.rows;
+}
+
+export async function getWebhookEvent(eventId) {
+  const result = await pool.query(
+    `SELECT ${SUMMARY_COLUMNS}, headers, body FROM webhook_events WHERE id = $1`,
+    [eventId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Evento de webhook não encontrado');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Devolve um evento verificado à fila (inclusive processed, ignored, dead e duplicate), com as tentativas zeradas
+ */
+export async function replayWebhookEvent(eventId) {
+  const event = await getWebhookEvent(eventId);
+
+  if (!event.verified) {
+    throw new Error('Evento inválido: entregas recusadas na verificação não podem ser reprocessadas');
+  }
+
+  const result = await pool.query(
+    `UPDATE webhook_events
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL,
+         processed_at = NULL, replay_count = replay_count + 1
+     WHERE id = $1
+     RETURNING ${SUMMARY_COLUMNS}`,
+    [eventId]
+  );
+
+  triggerWebhookProcessing();
+  return result.rows[0];
+}
+
+/**
+ * Agenda o worker a cada WEBHOOK_WORKER_INTERVAL_MS (padrão 5s; 0 pausa o processamento:
+ * as entregas continuam sendo gravadas e ficam pending)
+ * @returns {object|null} Tarefa agendada ou null se desativada
+ */
+export function startWebhookWorker() {
+  const intervalMs = getIntervalMs();
+
+  if (!intervalMs) {
+    console.log('⏸️  Processamento de webhooks pausado (WEBHOOK_WORKER_INTERVAL_MS=0)');
+    return null;
+  }
+
+  return scheduleJob({
+    name: WEBHOOK_JOB,
+    intervalMs,
+    run: async () => {
+      const summary = await processWebhookEvents();
+
+      if (summary.retried || summary.dead) {
+        console.error(`⚠️  Webhooks: ${summary.retried} com nova tentativa agendada, ${summary.dead} em dead-letter`);
+      }
+
+      return summary;
+    }
+  });
+}
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+
+/**
+ * Autenticação dos webhooks dos provedores de pagamento.
+ * Esquema assinado (BullsPay e gateway PIX genérico):
+ * - X-Timestamp: segundos Unix do envio
+ * - X-Event-Id: id da entrega (letras, números e _ . : -, até 128 caracteres); sem ele, ou fora desse
+ *   formato, o SHA-256 do corpo bruto identifica a entrega
+ * - X-Signature: HMAC-SHA256 hex de `${timestamp}.${X-Event-Id}.${corpo bruto}`, ou de `${timestamp}.${corpo bruto}`
+ *   quando não há X-Event-Id (aceita o prefixo "sha256="). O id entra na assinatura para que uma entrega
+ *   capturada não possa ser reenviada com outro X-Event-Id e escapar da deduplicação.
+ */
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Corpo guardado das entregas recusadas (o suficiente para investigar, sem encher as tabelas)
+export const MAX_LOGGED_BODY = 4096;
+
+// Formato aceito para o X-Event-Id: o valor vai para o banco e para o painel do admin
+const EVENT_ID_REGEX = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+// Headers que não vão para o log (credenciais)
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-api-key', 'x-fake-secret'];
+
+function getToleranceSeconds() {
+  const value = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TOLERANCE_SECONDS;
+}
+
+export function getRawBody(req) {
+  return req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body ?? {});
+}
+
+/**
+ * Compara duas strings em tempo constante (assinaturas, segredos)
+ */
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''), 'utf8');
+  const right = Buffer.from(String(b || ''), 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Header X-Event-Id, ou null se ausente ou fora do formato (nesse caso é ignorado, inclusive na assinatura)
+ */
+function getHeaderEventId(req) {
+  const eventId = String(req.headers['x-event-id'] || '');
+  return EVENT_ID_REGEX.test(eventId) ? eventId : null;
+}
+
+/**
+ * Id da entrega: header X-Event-Id válido ou, sem ele, o SHA-256 do corpo bruto
+ */
+export function getWebhookEventId(req) {
+  return getHeaderEventId(req) || crypto.createHash('sha256').update(getRawBody(req)).digest('hex');
+}
+
+export function signWebhookPayload(secret, timestamp, rawBody, eventId = null) {
+  const signed = eventId ? `${timestamp}.${eventId}.${rawBody}` : `${timestamp}.${rawBody}`;
+  return crypto.createHmac('sha256', secret).update(signed).digest('hex');
+}
+
+/**
+ * Confere assinatura e timestamp de um webhook no esquema assinado
+ * @param {import('express').Request} req
+ * @param {{secret: string|undefined}} options - Segredo HMAC do provedor
+ * @returns {{verified: boolean, reason?: string, eventId: string}}
+ */
+export function verifySignedWebhook(req, { secret }) {
+  const rawBody = getRawBody(req);
+  const eventId = getWebhookEventId(req);
+  const headerEventId = getHeaderEventId(req);
+
+  if (!secret) {
+    return { verified: false, reason: 'not_configured', eventId };
+  }
+
+  const signature = String(req.headers['x-signature'] || '').replace(/^sha256=/, '');
+  if (!signature) {
+    return { verified: false, reason: 'missing_signature', eventId };
+  }
+
+  const timestamp = String(req.headers['x-timestamp'] || '');
+  if (!/^\d+$/.test(timestamp)) {
+    return { verified: false, reason: 'missing_timestamp', eventId };
+  }
+
+  // Assinatura antes do timestamp: um timestamp velho só é "stale" se a entrega for autêntica
+  if (!safeEqual(signature, signWebhookPayload(secret, timestamp, rawBody, headerEventId))) {
+    return { verified: false, reason: 'invalid_signature', eventId };
+  }
+
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > getToleranceSeconds()) {
+    return { verified: false, reason: 'stale_timestamp', eventId };
+  }
+
+  return { verified: true, eventId };
+}
+
+/**
+ * Marca a entrega como recebida. Retorna false se o mesmo evento já foi recebido (reenvio ou replay).
+ * @param {import('pg').PoolClient} [client] - Cliente com transação aberta (padrão: pool)
+ */
+export async function claimWebhookEvent(provider, eventId, client = pool) {
+  const result = await client.query(
+    `INSERT INTO webhook_deliveries (provider, event_id) VALUES ($1, $2)
+     ON CONFLICT (provider, event_id) DO NOTHING
+     RETURNING event_id`,
+    [provider, eventId]
+  );
+  return result.rows.length > 0;
+}
+
+export function redactHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, REDACTED_HEADERS.includes(name) ? '[omitido]' : value])
+  );
+}
+
+/**
+ * Grava uma entrega recusada em webhook_rejections (headers sensíveis omitidos, corpo truncado)
+ */
+export async function recordWebhookRejection(provider, req, { reason, eventId = null }, client = pool) {
+  await client.query(
+    `INSERT INTO webhook_rejections (provider, reason, event_id, ip, headers, body)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [provider, reason, eventId, req.ip || null, JSON.stringify(redactHeaders(req.headers)), getRawBody(req).slice(0, MAX_LOGGED_BODY)]
+  );
+}
+
+export async function listWebhookRejections({ provider = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT id, provider, reason, event_id, ip, headers, body, created_at
+     FROM webhook_rejections
+     WHERE ($1::text IS NULL OR provider = $1)
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [provider, limit]
+  );
+  return result.rows;
+}
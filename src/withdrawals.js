@@ -0,0 +1,304 @@
+import { pool, withTransaction } from './db.js';
+import { adjustUserBalance, recordLedgerEntry, ACCOUNTS } from './ledger.js';
+import { getOutstandingRollover } from './rollover.js';
+import { checkWithdrawalKyc } from './kyc.js';
+import { getTransactionProvider } from './paymentProviders.js';
+import { mapGatewayStatus, transitionTransaction } from './transactionState.js';
+
+/**
+ * Ciclo de vida do valor reservado de um saque (transactions.hold_status):
+ * - held: debitado do saldo do usuário na criação, aguardando aprovação/pagamento
+ * - captured: o gateway pagou o saque; a reserva vira saída para o gateway
+ * - released: saque rejeitado, falhou ou foi cancelado; a reserva volta ao saldo
+ */
+export const HOLD_STATUSES = ['held', 'captured', 'released'];
+
+// Status do gateway que encerram o saque sem pagamento
+const RELEASE_STATUSES = ['failed', 'canceled'];
+
+/**
+ * Cria o saque numa única transação: trava o usuário, confere saldo, rollover e KYC,
+ * insere o saque (pending_approval) e reserva o valor do saldo.
+ * Nada é gravado se alguma checagem falhar.
+ * @param {string} userId - ID do usuário
+ * @param {{amount: number, pixKey: object, adminNotes?: string}} withdrawal - pixKey é a chave verificada (user_pix_keys)
+ * @returns {Promise<{created: true, transaction: object} | {created: false, reason: 'insufficient_balance'|'rollover'|'kyc', outstanding?: number, kyc?: object}>}
+ */
+export async function createWithdrawal(userId, { amount, pixKey, adminNotes = null }) {
+  const value = parseFloat(amount);
+
+  return withTransaction(async (client) => {
+    const userResult = await client.query(
+      'SELECT balance FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    if (parseFloat(userResult.rows[0].balance) < value) {
+      return { created: false, reason: 'insufficient_balance' };
+    }
+
+    const outstanding = await getOutstandingRollover(client, userId);
+    if (outstanding > 0) {
+      return { created: false, reason: 'rollover', outstanding };
+    }
+
+    // Com o usuário travado, saques concorrentes não somam para escapar do limite de KYC
+    const kyc = await checkWithdrawalKyc(userId, value, client);
+    if (kyc.required) {
+      return { created: false, reason: 'kyc', kyc };
+    }
+
+    const result = await client.query(
+      `INSERT INTO transactions (user_id, type, amount, status, hold_status, pix_key_type, pix_key, pix_key_id, admin_notes)
+       VALUES ($1, 'withdrawal', $2, 'pending_approval', 'held', $3, $4, $5, $6)
+       RETURNING *`,
+      [userId, value, pixKey.key_type, pixKey.key_value, pixKey.id, adminNotes]
+    );
+
+    await adjustUserBalance(client, userId, -value, {
+      entryType: 'withdrawal_hold',
+      transactionId: result.rows[0].id,
+      description: 'Saque solicitado'
+    });
+
+    return { created: true, transaction: result.rows[0] };
+  });
+}
+
+async function lockWithdrawal(client, transactionId) {
+  const result = await client.query(
+    "SELECT * FROM transactions WHERE id = $1 AND type = 'withdrawal' FOR UPDATE",
+    [transactionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Devolve ao saldo o valor reservado. Idempotente: só a primeira chamada credita.
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @returns {Promise<boolean>} true se a reserva foi liberada nesta chamada
+ */
+export async function releaseWithdrawalHold(client, transactionId, description) {
+  const result = await client.query(
+    `UPDATE transactions SET hold_status = 'released', updated_at = NOW()
+     WHERE id = $1 AND type = 'withdrawal' AND hold_status = 'held'
+     RETURNING user_id, amount`,
+    [transactionId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const { user_id: userId, amount } = result.rows[0];
+
+  await adjustUserBalance(client, userId, parseFloat(amount), {
+    entryType: 'reversal',
+    transactionId,
+    description
+  });
+
+  return true;
+}
+
+/**
+ * Efetiva a reserva de um saque pago: o valor sai de pending_withdrawals para o gateway.
+ * Idempotente: só a primeira chamada lança no livro-razão.
+ * @param {import('pg').PoolClient} client - Cliente com transação aberta
+ * @returns {Promise<boolean>} true se a reserva foi capturada nesta chamada
+ */
+export async function captureWithdrawalHold(client, transactionId) {
+  const result = await client.query(
+    `UPDATE transactions SET hold_status = 'captured', updated_at = NOW()
+     WHERE id = $1 AND type = 'withdrawal' AND hold_status = 'held'
+     RETURNING user_id, amount`,
+    [transactionId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const { user_id: userId, amount } = result.rows[0];
+
+  await recordLedgerEntry(client, {
+    userId,
+    entryType: 'withdrawal_capture',
+    amount: parseFloat(amount),
+    account: ACCOUNTS.GATEWAY,
+    counterAccount: ACCOUNTS.PENDING_WITHDRAWALS,
+    transactionId,
+    description: 'Saque pago pelo gateway'
+  });
+
+  return true;
+}
+
+/**
+ * Reserva o saque para aprovação: só um admin (e só uma vez) tira o saque de pending_approval.
+ * Deve ser chamado antes de pedir o saque ao gateway; grava o provedor que vai pagar o saque.
+ * @param {string} transactionId - ID do saque
+ * @param {string} [provider] - Nome do provedor de pagamento (padrão: mantém o gravado)
+ * @returns {Promise<object|null>} Saque aprovado ou null se não estava mais pendente
+ */
+export async function claimWithdrawalForApproval(transactionId, provider = null) {
+  return withTransaction(async (client) => {
+    const transaction = await lockWithdrawal(client, transactionId);
+
+    if (!transaction || transaction.hold_status !== 'held') {
+      return null;
+    }
+
+    const approved = await transitionTransaction(client, transaction, 'approved', {
+      source: 'admin',
+      adminNotes: 'Aprovado pelo admin',
+      provider
+    });
+
+    if (!approved) {
+      return null;
+    }
+
+    // Marca o pedido ao provedor: se a resposta se perder, a reconciliação procura o saque por wd_<id>
+    const marked = await client.query(
+      'UPDATE transactions SET payout_requested_at = NOW() WHERE id = $1 RETURNING *',
+      [transactionId]
+    );
+    return marked.rows[0];
+  });
+}
+
+/**
+ * Grava o saque criado no provedor (gateway_id), se nenhum foi gravado antes
+ * @returns {Promise<object|null>} Saque atualizado ou null se já tinha gateway_id
+ */
+export async function recordPayout(transactionId, payout) {
+  const result = await pool.query(
+    `UPDATE transactions SET gateway_id = $1, gateway_data = $2, updated_at = NOW()
+     WHERE id = $3 AND gateway_id IS NULL
+     RETURNING *`,
+    [payout.id, JSON.stringify(payout.raw), transactionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Rejeita um saque pendente e libera a reserva na mesma transação
+ * @returns {Promise<object|null>} Saque rejeitado ou null se não estava mais pendente
+ */
+export async function rejectWithdrawal(transactionId, reason) {
+  return withTransaction(async (client) => {
+    const transaction = await lockWithdrawal(client, transactionId);
+
+    const rejected = transaction && await transitionTransaction(client, transaction, 'rejected', {
+      source: 'admin',
+      adminNotes: reason
+    });
+
+    if (!rejected) {
+      return null;
+    }
+
+    await releaseWithdrawalHold(client, transactionId, 'Saque rejeitado pelo admin');
+
+    return rejected;
+  });
+}
+
+/**
+ * Aplica um status interno ao saque (webhook, consulta ou falha ao pedir o saque):
+ * pago captura a reserva; falhou/cancelado libera.
+ * O status só é trocado se a máquina de estados permitir e se ainda for o que o chamador leu
+ * (evita sobrescrever uma atualização concorrente).
+ * @param {object} transaction - Saque como lido do banco
+ * @param {string} newStatus - Novo status (interno; status do provedor passam antes por mapGatewayStatus)
+ * @param {{gatewayPayload?: object, adminNotes?: string, source?: string, gatewayStatus?: string}} [details]
+ * @returns {Promise<{updated: boolean, released: boolean, captured: boolean, transaction: object}>}
+ */
+export async function applyWithdrawalStatus(transaction, newStatus, {
+  gatewayPayload = null,
+  adminNotes = null,
+  source = 'sync',
+  gatewayStatus = null
+} = {}) {
+  return withTransaction(async (client) => {
+    const updated = await transitionTransaction(client, transaction, newStatus, { source, gatewayStatus, gatewayPayload, adminNotes });
+
+    if (!updated) {
+      return { updated: false, released: false, captured: false, transaction };
+    }
+
+    const released = RELEASE_STATUSES.includes(newStatus)
+      && await releaseWithdrawalHold(client, transaction.id, `Saque ${newStatus} no provedor de pagamento`);
+
+    const captured = newStatus === 'paid' && await captureWithdrawalHold(client, transaction.id);
+
+    const current = await client.query('SELECT * FROM transactions WHERE id = $1', [transaction.id]);
+
+    return { updated: true, released, captured, transaction: current.rows[0] };
+  });
+}
+
+/**
+ * Confere um saque já enviado ao provedor e aplica o status de lá.
+ * Usado pela consulta do jogador e pelo worker de reconciliação.
+ * @param {object} transaction - Saque como lido do banco (com gateway_id)
+ * @returns {Promise<{updated: boolean, released: boolean, captured: boolean, transaction: object}>}
+ */
+export async function syncWithdrawalWithGateway(transaction) {
+  const payout = await getTransactionProvider(transaction).getPayout(transaction.gateway_id);
+  return applyPayoutStatus(transaction, payout);
+}
+
+/**
+ * Resolve um saque pedido ao provedor sem resposta conhecida (rede, timeout, 5xx) procurando-o pelo
+ * externalId wd_<id>: se o provedor criou o saque, grava o gateway_id e aplica o status de lá;
+ * se não conhece o externalId, o saque nunca foi criado e a reserva é liberada.
+ * Provedores sem findPayout deixam o saque aprovado e retido para o admin conferir no painel do provedor.
+ * @param {object} transaction - Saque aprovado, sem gateway_id
+ * @returns {Promise<{updated: boolean, released: boolean, captured: boolean, transaction: object}>}
+ */
+export async function resolveInFlightPayout(transaction) {
+  const provider = getTransactionProvider(transaction);
+
+  if (!provider.findPayout) {
+    return { updated: false, released: false, captured: false, transaction };
+  }
+
+  const payout = await provider.findPayout(`wd_${transaction.id}`);
+
+  if (!payout) {
+    return applyWithdrawalStatus(transaction, 'failed', {
+      source: 'sync',
+      adminNotes: 'Saque não encontrado no provedor de pagamento'
+    });
+  }
+
+  const recorded = await recordPayout(transaction.id, payout);
+
+  if (!recorded) {
+    return { updated: false, released: false, captured: false, transaction };
+  }
+
+  const sync = await applyPayoutStatus(recorded, payout);
+  return { ...sync, updated: true };
+}
+
+// Aplica ao saque o status do saque consultado no provedor
+async function applyPayoutStatus(transaction, payout) {
+  const status = payout && mapGatewayStatus('withdrawal', payout.status);
+
+  if (payout && !status) {
+    console.log(`Status desconhecido do provedor para o saque ${transaction.id}: ${payout.status}`);
+  }
+
+  if (!status || status === transaction.status) {
+    return { updated: false, released: false, captured: false, transaction };
+  }
+
+  return applyWithdrawalStatus(transaction, status, { gatewayPayload: payout.raw, source: 'sync', gatewayStatus: payout.status });
+}
@@ -44,7 +44,9 @@ const AuthAPI = {
 const WalletAPI = {
   getBalance: () => apiCall('/api/wallet/balance'),
 
-  getTransactions: (limit = 20) => apiCall(`/api/wallet/transactions?limit=${limit}`)
+  getTransactions: (limit = 20) => apiCall(`/api/wallet/transactions?limit=${limit}`),
+
+  getRollover: () => apiCall('/api/wallet/rollover')
 };
 
 // Deposit API
@@ -74,9 +76,99 @@ const GameAPI = {
     body: JSON.stringify({ betAmount })
   }),
 
+  playScratchBatch: (betAmount, count) => apiCall('/api/game/scratch/batch', {
+    method: 'POST',
+    body: JSON.stringify({ betAmount, count })
+  }),
+
+  play: (gameType, betAmount) => apiCall(`/api/game/${gameType}/play`, {
+    method: 'POST',
+    body: JSON.stringify({ betAmount })
+  }),
+
+  getCatalog: () => apiCall('/api/game/catalog'),
+
   getHistory: (limit = 20) => apiCall(`/api/game/history?limit=${limit}`)
 };
 
+// Provably Fair API
+const FairnessAPI = {
+  getSeeds: () => apiCall('/api/fairness/seeds'),
+
+  rotateSeed: (clientSeed) => apiCall('/api/fairness/seeds/rotate', {
+    method: 'POST',
+    body: JSON.stringify({ clientSeed })
+  }),
+
+  verifyRound: (roundId) => apiCall(`/api/fairness/verify/${roundId}`)
+};
+
+// Bonus API
+const BonusAPI = {
+  getBonuses: () => apiCall('/api/bonus'),
+
+  redeem: (code) => apiCall('/api/bonus/redeem', {
+    method: 'POST',
+    body: JSON.stringify({ code })
+  })
+};
+
+// Responsible Gambling Limits API
+const LimitsAPI = {
+  getLimits: () => apiCall('/api/limits'),
+
+  setLimit: (type, period, amount) => apiCall('/api/limits', {
+    method: 'POST',
+    body: JSON.stringify({ type, period, amount })
+  })
+};
+
+// Self-Exclusion API
+const ExclusionAPI = {
+  getStatus: () => apiCall('/api/exclusion'),
+
+  exclude: (period, reason) => apiCall('/api/exclusion', {
+    method: 'POST',
+    body: JSON.stringify({ period, reason })
+  })
+};
+
+// PIX Keys API
+const PixKeyAPI = {
+  list: () => apiCall('/api/pix-keys'),
+
+  add: (keyType, keyValue) => apiCall('/api/pix-keys', {
+    method: 'POST',
+    body: JSON.stringify({ keyType, keyValue })
+  }),
+
+  confirm: (pixKeyId, code) => apiCall(`/api/pix-keys/${pixKeyId}/confirm`, {
+    method: 'POST',
+    body: JSON.stringify({ code })
+  }),
+
+  remove: (pixKeyId) => apiCall(`/api/pix-keys/${pixKeyId}`, {
+    method: 'DELETE'
+  })
+};
+
+// KYC API
+const KycAPI = {
+  getStatus: () => apiCall('/api/kyc'),
+
+  uploadDocument: (docType, contentType, data) => apiCall('/api/kyc/documents', {
+    method: 'POST',
+    body: JSON.stringify({ docType, contentType, data })
+  }),
+
+  submit: () => apiCall('/api/kyc/submit', { method: 'POST' })
+};
+
+// Jackpot API
+const JackpotAPI = {
+  getJackpots: () => apiCall('/api/jackpot')
+};
+
 // Admin API
 const AdminAPI = {
   getRTP: () => apiCall('/api/admin/rtp'),
@@ -86,9 +178,135 @@ const AdminAPI = {
     body: JSON.stringify({ rtp_percentage })
   }),
 
+  simulateRTP: (options = {}) => apiCall('/api/admin/rtp/simulate', {
+    method: 'POST',
+    body: JSON.stringify(options)
+  }),
+
+  getNearMiss: () => apiCall('/api/admin/near-miss'),
+
+  setNearMiss: (config) => apiCall('/api/admin/near-miss', {
+    method: 'POST',
+    body: JSON.stringify(config)
+  }),
+
+  getRolloverPolicy: () => apiCall('/api/admin/rollover-policy'),
+
+  setRolloverPolicy: (policy) => apiCall('/api/admin/rollover-policy', {
+    method: 'POST',
+    body: JSON.stringify(policy)
+  }),
+
+  setUserVip: (userId, vip) => apiCall(`/api/admin/users/${userId}/vip`, {
+    method: 'POST',
+    body: JSON.stringify({ vip })
+  }),
+
+  getPaymentProviders: () => apiCall('/api/admin/payment-providers'),
+
+  setProviderRouting: (routing) => apiCall('/api/admin/payment-providers/routing', {
+    method: 'POST',
+    body: JSON.stringify(routing)
+  }),
+
+  getSettlementReports: () => apiCall('/api/admin/settlement-reports'),
+
+  runSettlementReport: (from, to) => apiCall('/api/admin/settlement-reports', {
+    method: 'POST',
+    body: JSON.stringify({ from, to })
+  }),
+
+  getPendingPixKeys: () => apiCall('/api/admin/pix-keys'),
+
+  reviewPixKey: (pixKeyId, decision, notes) => apiCall(`/api/admin/pix-keys/${pixKeyId}/review`, {
+    method: 'POST',
+    body: JSON.stringify({ decision, notes })
+  }),
+
+  setPixKeyCooldown: (hours) => apiCall('/api/admin/pix-key-cooldown', {
+    method: 'POST',
+    body: JSON.stringify({ hours })
+  }),
+
+  getKycSubmissions: (status = 'pending') => apiCall(`/api/admin/kyc?status=${status}`),
+
+  reviewKyc: (submissionId, decision, notes) => apiCall(`/api/admin/kyc/${submissionId}/review`, {
+    method: 'POST',
+    body: JSON.stringify({ decision, notes })
+  }),
+
+  setKycThreshold: (threshold) => apiCall('/api/admin/kyc-threshold', {
+    method: 'POST',
+    body: JSON.stringify({ threshold })
+  }),
+
+  getUserExclusions: (userId) => apiCall(`/api/admin/users/${userId}/exclusions`),
+
+  excludeUser: (userId, period, reason) => apiCall(`/api/admin/users/${userId}/exclusion`, {
+    method: 'POST',
+    body: JSON.stringify({ period, reason })
+  }),
+
+  getUserLimits: (userId) => apiCall(`/api/admin/limits/${userId}`),
+
+  setUserLimit: (userId, type, period, amount) => apiCall(`/api/admin/limits/${userId}`, {
+    method: 'POST',
+    body: JSON.stringify({ type, period, amount })
+  }),
+
+  getBonusCampaigns: () => apiCall('/api/admin/bonus-campaigns'),
+
+  createBonusCampaign: (campaign) => apiCall('/api/admin/bonus-campaigns', {
+    method: 'POST',
+    body: JSON.stringify(campaign)
+  }),
+
+  setBonusCampaignStatus: (id, active) => apiCall(`/api/admin/bonus-campaigns/${id}/status`, {
+    method: 'POST',
+    body: JSON.stringify({ active })
+  }),
+
+  grantBonus: (campaignId, userId) => apiCall(`/api/admin/bonus-campaigns/${campaignId}/grant`, {
+    method: 'POST',
+    body: JSON.stringify({ userId })
+  }),
+
+  getJackpotWins: (limit = 50) => apiCall(`/api/admin/jackpot/wins?limit=${limit}`),
+
+  updateJackpot: (gameType, config) => apiCall(`/api/admin/jackpot/${gameType}`, {
+    method: 'POST',
+    body: JSON.stringify(config)
+  }),
+
+  getGames: () => apiCall('/api/admin/games'),
+
+  setGameStatus: (gameType, enabled) => apiCall(`/api/admin/games/${gameType}/status`, {
+    method: 'POST',
+    body: JSON.stringify({ enabled })
+  }),
+
+  // Tabelas de prêmios
+  getPaytables: (gameType = 'scratch_card') => apiCall(`/api/admin/paytables?gameType=${gameType}`),
+
+  analyzePaytable: (definition) => apiCall('/api/admin/paytables/analyze', {
+    method: 'POST',
+    body: JSON.stringify({ definition })
+  }),
+
+  createPaytable: (gameType, definition) => apiCall('/api/admin/paytables', {
+    method: 'POST',
+    body: JSON.stringify({ gameType, definition })
+  }),
+
+  activatePaytable: (id) => apiCall(`/api/admin/paytables/${id}/activate`, {
+    method: 'POST'
+  }),
+
   getTransactions: (status = 'all', limit = 50) =>
     apiCall(`/api/admin/transactions?status=${status}&limit=${limit}`),
 
+  getTransactionHistory: (transactionId) => apiCall(`/api/admin/transactions/${transactionId}/history`),
+
   refund: (transactionId) => apiCall(`/api/admin/refund/${transactionId}`, {
     method: 'POST'
   }),
@@ -119,6 +337,11 @@ const AdminAPI = {
     method: 'POST'
   }),
 
+  // Livro-razão
+  reconcileLedger: () => apiCall('/api/admin/ledger/reconcile'),
+
+  getUserLedger: (userId, limit = 50) => apiCall(`/api/admin/ledger/${userId}?limit=${limit}`),
+
   // Webhooks
   listWebhooks: (page = 1, limit = 20) =>
     apiCall(`/api/admin/webhooks/list?page=${page}&limit=${limit}`),
@@ -130,6 +353,20 @@ const AdminAPI = {
 
   deleteWebhook: (webhookId) => apiCall(`/api/admin/webhooks/delete/${webhookId}`, {
     method: 'DELETE'
+  }),
+
+  getWebhookRejections: (limit = 50) => apiCall(`/api/admin/webhook-rejections?limit=${limit}`),
+
+  getWebhookEvents: (status = null, limit = 50) => {
+    const params = new URLSearchParams({ limit });
+    if (status) params.set('status', status);
+    return apiCall(`/api/admin/webhook-events?${params}`);
+  },
+
+  getWebhookEvent: (eventId) => apiCall(`/api/admin/webhook-events/${eventId}`),
+
+  replayWebhookEvent: (eventId) => apiCall(`/api/admin/webhook-events/${eventId}/replay`, {
+    method: 'POST'
   })
 };
 
@@ -156,6 +393,49 @@ function formatCPF(cpf) {
   return cpf.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
 }
 
+// Símbolos da cartela da raspadinha
+// Escapar valores vindos do servidor antes de montar HTML com innerHTML
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const SCRATCH_SYMBOLS = {
+  diamond: '💎',
+  gold: '🪙',
+  clover: '🍀',
+  cherry: '🍒',
+  lemon: '🍋',
+  bell: '🔔',
+  star: '⭐',
+  // Não existe emoji de ferradura: imagem no tamanho da fonte da célula
+  horseshoe: '<img src="/img/horseshoe.svg" alt="ferradura" style="height: 1em; vertical-align: -0.125em;">',
+  grape: '🍇',
+  pot: '🍯',
+  rainbow: '🌈',
+  hat: '🎩',
+  coin: '💰',
+  crown: '👑',
+  ruby: '❤️'
+};
+
+function renderScratchGrid(grid, { small = false } = {}) {
+  if (!grid || !grid.cells) return '';
+
+  const size = small ? 20 : 48;
+  const cells = grid.cells.map((symbol, index) => {
+    const winning = grid.winningCells && grid.winningCells.includes(index);
+    const style = winning ? 'background: rgba(33, 193, 122, 0.3); border-radius: 8px;' : '';
+    return `<span style="font-size: ${size}px; text-align: center; ${style}">${SCRATCH_SYMBOLS[symbol] || symbol}</span>`;
+  }).join('');
+
+  return `<div style="display: inline-grid; grid-template-columns: repeat(${grid.cols}, 1fr); gap: ${small ? 2 : 8}px;">${cells}</div>`;
+}
+
 function showError(message) {
   alert(message);
 }